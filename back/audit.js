@@ -0,0 +1,74 @@
+// back/audit.js
+// 학생 데이터 변경 이력 (audit_log, 016_audit_log.sql)
+// - 누가(actor) / 언제 / 무엇을(action, table, record_id) / 어떻게(before → after, diff) 바꿨는지 기록
+// - 이력 기록이 실패해도 원래 요청은 그대로 진행되도록 에러는 로그만 남김
+const { supabase } = require('./supabaseClient')
+
+// 원문/AI 결과처럼 크고 학생 정보와 무관한 필드는 이력에 남기지 않음
+const OMITTED_FIELDS = ['raw_text', 'ai_records', 'ocr_pages', 'updated_at']
+
+function snapshot(record) {
+  if (!record) return null
+  const copy = { ...record }
+  OMITTED_FIELDS.forEach(field => delete copy[field])
+  return copy
+}
+
+// 바뀐 필드만 → { field: { before, after } }
+// (양쪽 스냅샷에 모두 있는 필드만 비교: 한쪽에서만 조회한 컬럼은 바뀌었는지 알 수 없음)
+function diffRecords(before, after) {
+  const diff = {}
+  Object.keys(after).forEach(key => {
+    if (!(key in before)) return
+    const prev = before[key] ?? null
+    const next = after[key] ?? null
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      diff[key] = { before: prev, after: next }
+    }
+  })
+  return diff
+}
+
+/**
+ * 변경 이력 기록
+ * - actor: req.user ({ id, role }) 또는 null(시스템)
+ * - changes: { action, table, recordId, before, after, studentId } 하나 또는 배열
+ *   action: create | update | delete | restore | merge
+ *   studentId 를 안 주면 before/after 의 student_id (students 테이블이면 recordId) 를 사용
+ */
+async function recordAudit(actor, changes) {
+  const list = (Array.isArray(changes) ? changes : [changes]).filter(Boolean)
+  if (list.length === 0) return
+
+  try {
+    const rows = list.map(change => {
+      const before = snapshot(change.before)
+      const after = snapshot(change.after)
+      const recordId = change.recordId ?? after?.id ?? before?.id ?? null
+      const studentId =
+        change.studentId ??
+        after?.student_id ??
+        before?.student_id ??
+        (change.table === 'students' ? recordId : null)
+
+      return {
+        actor_id: actor?.id || null,
+        actor_role: actor?.role || null,
+        action: change.action,
+        table_name: change.table,
+        record_id: recordId == null ? null : String(recordId),
+        student_id: studentId || null,
+        before,
+        after,
+        diff: before && after ? diffRecords(before, after) : null,
+      }
+    })
+
+    const { error } = await supabase.from('audit_log').insert(rows)
+    if (error) console.error('audit_log 기록 에러:', error)
+  } catch (e) {
+    console.error('audit_log 기록 에러:', e)
+  }
+}
+
+module.exports = { recordAudit }
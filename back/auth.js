@@ -0,0 +1,301 @@
+// back/auth.js
+// 로그인 비밀번호 검증 + 서명된 세션 토큰(JWT, HS256) 발급/검증 유틸
+require('dotenv').config()
+const crypto = require('crypto')
+const { createClient } = require('@supabase/supabase-js')
+
+// -------------------- 토큰 설정 --------------------
+
+// 토큰 서명용 비밀키 (없으면 서버 재시작마다 바뀌는 임시 키를 사용)
+let tokenSecret = process.env.AUTH_TOKEN_SECRET || process.env.JWT_SECRET
+
+if (!tokenSecret) {
+  tokenSecret = crypto.randomBytes(32).toString('hex')
+  console.warn(
+    '⚠️ AUTH_TOKEN_SECRET 환경변수가 설정되어 있지 않습니다. 임시 키를 사용하므로 서버를 재시작하면 모든 로그인이 만료됩니다.',
+  )
+}
+
+// 유효 기간(초) - access 는 짧게, refresh 는 길게
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 60 * 60
+const REFRESH_TOKEN_TTL =
+  Number(process.env.REFRESH_TOKEN_TTL) || 60 * 60 * 24 * 14
+// 실시간 이벤트(SSE) 연결용 토큰 - URL 에 실리므로 연결할 때만 쓰도록 아주 짧게
+const EVENTS_TOKEN_TTL = Number(process.env.EVENTS_TOKEN_TTL) || 60
+
+// events 토큰을 받아 주는 경로 (이 경로의 text/event-stream 요청만 ?events_token= 허용)
+const EVENTS_TOKEN_PATHS = ['/uploads/events', '/api/uploads/events']
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url')
+}
+
+function sign(data) {
+  return crypto
+    .createHmac('sha256', tokenSecret)
+    .update(data)
+    .digest('base64url')
+}
+
+/**
+ * payload 에 iat/exp 를 붙여서 HS256 JWT 문자열로 서명
+ */
+function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000)
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const body = base64url(
+    JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }),
+  )
+  return `${header}.${body}.${sign(`${header}.${body}`)}`
+}
+
+/**
+ * 토큰 서명/만료/종류(access | refresh | events)를 확인
+ * - 성공: { payload }
+ * - 실패: { code: 'INVALID_TOKEN' | 'TOKEN_EXPIRED' }
+ */
+function verifyToken(token, expectedType = 'access') {
+  if (!token || typeof token !== 'string') return { code: 'INVALID_TOKEN' }
+
+  const parts = token.split('.')
+  if (parts.length !== 3) return { code: 'INVALID_TOKEN' }
+
+  const [header, body, signature] = parts
+  const expected = sign(`${header}.${body}`)
+
+  const a = Buffer.from(signature)
+  const b = Buffer.from(expected)
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { code: 'INVALID_TOKEN' }
+  }
+
+  let payload = null
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+  } catch {
+    return { code: 'INVALID_TOKEN' }
+  }
+
+  if (!payload || payload.typ !== expectedType || !payload.sub) {
+    return { code: 'INVALID_TOKEN' }
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+    return { code: 'TOKEN_EXPIRED' }
+  }
+
+  return { payload }
+}
+
+/**
+ * 로그인 유저 정보로 access/refresh 토큰 한 쌍을 발급
+ * user: { id, email, display_name, role }
+ */
+function issueSession(user) {
+  const claims = {
+    sub: user.id,
+    email: user.email || null,
+    display_name: user.display_name || null,
+    role: normalizeRole(user.role),
+  }
+
+  return {
+    token: signToken({ ...claims, typ: 'access' }, ACCESS_TOKEN_TTL),
+    refresh_token: signToken(
+      { sub: user.id, typ: 'refresh' },
+      REFRESH_TOKEN_TTL,
+    ),
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+  }
+}
+
+/**
+ * 실시간 이벤트 연결용 토큰 발급 (POST /uploads/events/token)
+ * - access 토큰은 URL(프록시/접속 로그, 브라우저 기록)에 남기지 않고, 이 토큰만 쿼리로 보냄
+ * - EVENTS_TOKEN_PATHS 에서만 받고, 유효 기간은 EVENTS_TOKEN_TTL(기본 60초)
+ */
+function issueEventsToken(user) {
+  return {
+    token: signToken(
+      {
+        sub: user.id,
+        email: user.email || null,
+        display_name: user.display_name || null,
+        role: normalizeRole(user.role),
+        typ: 'events',
+      },
+      EVENTS_TOKEN_TTL,
+    ),
+    expires_in: EVENTS_TOKEN_TTL,
+  }
+}
+
+// -------------------- 역할/권한 --------------------
+
+// observer(꿈뜰 활동자) < teacher(교사) < admin(관리자) 순으로 권한이 누적됨
+const ROLES = ['observer', 'teacher', 'admin']
+
+const OBSERVER_PERMISSIONS = [
+  'uploads.create', // 파일 업로드, AI 추출, 업로드 기록 저장
+  'logs.annotate', // 기록/감정 태그 추가
+]
+
+const TEACHER_PERMISSIONS = [
+  ...OBSERVER_PERMISSIONS,
+  'uploads.delete',
+  'logs.edit',
+  'logs.delete',
+  'reports.generate',
+  'reports.delete',
+]
+
+const ADMIN_PERMISSIONS = [
+  ...TEACHER_PERMISSIONS,
+  'students.manage', // 학생 추가/수정/삭제
+  'users.manage', // 사용자 역할 변경 (교사 승격 등)
+  'templates.manage', // 리포트 템플릿 생성
+  'trash.manage', // 휴지통 조회/복원
+  'audit.view', // 학생 데이터 변경 이력 조회
+  'prompts.manage', // AI 프롬프트 버전 관리/테스트
+  'settings.manage', // 학교 설정 (AI 개인정보 가리기 등)
+]
+
+const ROLE_PERMISSIONS = {
+  observer: OBSERVER_PERMISSIONS,
+  teacher: TEACHER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+}
+
+// 알 수 없는 role 은 가장 낮은 observer 로 취급
+function normalizeRole(role) {
+  return ROLES.includes(role) ? role : 'observer'
+}
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)]
+}
+
+function hasPermission(user, permission) {
+  return !!user && permissionsForRole(user.role).includes(permission)
+}
+
+// -------------------- 인증 미들웨어 --------------------
+
+// 401 응답 메시지 (code 별)
+const UNAUTHORIZED_MESSAGES = {
+  UNAUTHORIZED: '로그인이 필요합니다.',
+  INVALID_TOKEN: '유효하지 않은 로그인 정보입니다. 다시 로그인해 주세요.',
+  TOKEN_EXPIRED: '로그인이 만료되었습니다.',
+}
+
+// 모든 401 응답은 { message, code } 한 가지 형태로 통일
+function sendUnauthorized(res, code = 'UNAUTHORIZED') {
+  return res.status(401).json({
+    message: UNAUTHORIZED_MESSAGES[code] || UNAUTHORIZED_MESSAGES.UNAUTHORIZED,
+    code,
+  })
+}
+
+// 요청에서 토큰과 그 종류를 꺼냄 → { token, type } | null
+// - 보통은 Authorization: Bearer <access 토큰>
+// - EventSource(SSE) 는 헤더를 붙일 수 없어서, EVENTS_TOKEN_PATHS 의 text/event-stream 요청에 한해
+//   ?events_token=<events 토큰> 쿼리도 허용 (access 토큰은 쿼리로 받지 않음)
+function getRequestToken(req) {
+  const header = req.headers.authorization || ''
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  if (match) return { token: match[1].trim(), type: 'access' }
+
+  const accept = req.headers.accept || ''
+  if (
+    accept.includes('text/event-stream') &&
+    EVENTS_TOKEN_PATHS.includes(req.path) &&
+    req.query?.events_token
+  ) {
+    return { token: String(req.query.events_token), type: 'events' }
+  }
+  return null
+}
+
+/**
+ * Express 미들웨어
+ * - Bearer 토큰을 검증해서 req.user = { id, email, display_name, role } 로 채움
+ * - 토큰이 없거나 잘못/만료되었으면 401
+ */
+function requireAuth(req, res, next) {
+  const requestToken = getRequestToken(req)
+  if (!requestToken) return sendUnauthorized(res)
+
+  const { payload, code } = verifyToken(requestToken.token, requestToken.type)
+  if (!payload) return sendUnauthorized(res, code)
+
+  req.user = {
+    id: payload.sub,
+    email: payload.email || null,
+    display_name: payload.display_name || null,
+    role: normalizeRole(payload.role),
+  }
+  return next()
+}
+
+/**
+ * 라우트별 권한 체크 미들웨어 (requireAuth 뒤에서 사용)
+ * 예) app.delete('/api/students/:id', requirePermission('students.manage'), ...)
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) return sendUnauthorized(res)
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        message: '이 작업을 수행할 권한이 없습니다.',
+        code: 'FORBIDDEN',
+        permission,
+      })
+    }
+    return next()
+  }
+}
+
+// -------------------- 비밀번호 검증 --------------------
+
+/**
+ * Supabase Auth 로 이메일/비밀번호를 확인하고, 맞으면 auth 유저를 반환
+ * - 서비스 키 클라이언트(supabaseClient.js)에 세션이 섞이지 않도록
+ *   검증할 때마다 세션을 저장하지 않는 별도 클라이언트를 사용
+ */
+async function verifyPassword(email, password) {
+  const authClient = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_KEY,
+    { auth: { persistSession: false, autoRefreshToken: false } },
+  )
+
+  const { data, error } = await authClient.auth.signInWithPassword({
+    email,
+    password,
+  })
+
+  if (error || !data?.user) {
+    return null
+  }
+
+  return data.user
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  ROLES,
+  normalizeRole,
+  permissionsForRole,
+  hasPermission,
+  signToken,
+  verifyToken,
+  issueSession,
+  issueEventsToken,
+  requireAuth,
+  requirePermission,
+  sendUnauthorized,
+  verifyPassword,
+}
@@ -0,0 +1,174 @@
+// back/extractionChunks.js
+// 긴 원본 텍스트(한 학기 일지 등)를 나눠서 records 를 추출할 때 쓰는 유틸
+// - splitIntoChunks: 날짜 줄 / 빈 줄(문단) 경계에서 자르고, 앞 조각 끝부분을 다음 조각 앞에 겹쳐 붙임
+//   (경계에 걸친 활동이 어느 한 조각에는 온전히 들어가도록)
+// - mergeChunkRecords: 겹친 부분에서 두 번 나온 레코드를 하나로 합침
+const DEFAULT_MAX_CHARS = 12000
+const DEFAULT_OVERLAP_CHARS = 1000
+
+// "2024-03-05", "2024.3.5", "2024년 3월 5일", "3월 5일", "3/5(화)" 로 시작하는 줄
+const DATE_LINE_PATTERN =
+  /^\s*[[(]?\s*(\d{4}\s*[-./년]\s*\d{1,2}\s*[-./월]\s*\d{1,2}|\d{1,2}\s*월\s*\d{1,2}\s*일|\d{1,2}[./]\d{1,2}\s*[(（])/
+
+// 텍스트 → 블록(날짜 줄 또는 빈 줄에서 시작하는 문단) 목록
+// 블록을 이어 붙이면 원문과 같음 (줄바꿈 포함)
+function splitIntoBlocks(text) {
+  const lines = text.match(/[^\n]*\n|[^\n]+$/g) || []
+  const blocks = []
+  let current = ''
+  let prevBlank = false
+
+  lines.forEach(line => {
+    const blank = !line.trim()
+    const startsBlock = !blank && (prevBlank || DATE_LINE_PATTERN.test(line))
+    if (startsBlock && current.trim()) {
+      blocks.push(current)
+      current = ''
+    }
+    current += line
+    prevBlank = blank
+  })
+  if (current) blocks.push(current)
+  return blocks
+}
+
+// maxChars 보다 긴 블록은 줄 단위로, 한 줄도 길면 글자 수로 자름
+function splitLongBlock(block, maxChars) {
+  if (block.length <= maxChars) return [block]
+
+  const parts = []
+  let current = ''
+  ;(block.match(/[^\n]*\n|[^\n]+$/g) || []).forEach(line => {
+    if (current && current.length + line.length > maxChars) {
+      parts.push(current)
+      current = ''
+    }
+    for (let i = 0; i < line.length; i += maxChars) {
+      const piece = line.slice(i, i + maxChars)
+      if (current.length + piece.length > maxChars) {
+        parts.push(current)
+        current = ''
+      }
+      current += piece
+    }
+  })
+  if (current) parts.push(current)
+  return parts
+}
+
+/**
+ * 원본 텍스트 → 조각 목록
+ * options: { maxChars, overlapChars }
+ * → [{ index, start, end, text }] (start/end: 원문 기준 글자 위치, 조각끼리 overlapChars 까지 겹침)
+ */
+function splitIntoChunks(text, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHARS
+  const overlapChars = Math.min(
+    options.overlapChars ?? DEFAULT_OVERLAP_CHARS,
+    Math.floor(maxChars / 2),
+  )
+  const source = String(text || '')
+  if (source.length <= maxChars) {
+    return [{ index: 0, start: 0, end: source.length, text: source }]
+  }
+
+  // 블록마다 원문 위치를 같이 기억
+  const blocks = []
+  let offset = 0
+  splitIntoBlocks(source).forEach(block => {
+    splitLongBlock(block, maxChars).forEach(part => {
+      blocks.push({ start: offset, end: offset + part.length })
+      offset += part.length
+    })
+  })
+
+  const chunks = []
+  let first = 0
+  while (first < blocks.length) {
+    let last = first
+    while (
+      last + 1 < blocks.length &&
+      blocks[last + 1].end - blocks[first].start <= maxChars
+    ) {
+      last += 1
+    }
+
+    const start = blocks[first].start
+    const end = blocks[last].end
+    chunks.push({ index: chunks.length, start, end, text: source.slice(start, end) })
+    if (last === blocks.length - 1) break
+
+    // 다음 조각은 이번 조각 끝의 블록들(overlapChars 이내)부터 시작
+    let next = last + 1
+    while (next - 1 > first && end - blocks[next - 1].start <= overlapChars) {
+      next -= 1
+    }
+    first = next
+  }
+
+  return chunks
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFC')
+    .replace(/[\s.,!?'"“”‘’·…~()[\]-]+/g, '')
+    .toLowerCase()
+}
+
+// 같은 날짜·학생이고 원본 문장이 겹치면(한쪽이 다른 쪽을 포함) 같은 레코드로 봄
+// (원본 문장이 없으면 활동 제목으로 비교)
+function isSameRecord(a, b) {
+  if ((a.date || null) !== (b.date || null)) return false
+  if (normalizeText(a.student_name) !== normalizeText(b.student_name)) return false
+
+  const rawA = normalizeText(a.raw_activity_text)
+  const rawB = normalizeText(b.raw_activity_text)
+  if (rawA && rawB) return rawA.includes(rawB) || rawB.includes(rawA)
+  return (
+    !!normalizeText(a.activity_title) &&
+    normalizeText(a.activity_title) === normalizeText(b.activity_title)
+  )
+}
+
+/**
+ * 조각별 records → 하나의 records
+ * - chunkRecords: 조각 순서대로 [records, records, ...]
+ * - 바로 앞 조각의 레코드와 같은 레코드면 원본 문장이 더 긴 쪽을 남김
+ *   (조각 경계에서 잘린 쪽보다 온전한 raw_activity_text 를 보존)
+ * → { records, duplicates: [{ chunk, index, kept_chunk, kept_index }] }
+ */
+function mergeChunkRecords(chunkRecords) {
+  const merged = [] // { record, chunk, index }
+  const duplicates = []
+
+  chunkRecords.forEach((records, chunk) => {
+    const previous = merged.filter(item => item.chunk === chunk - 1)
+    const matched = new Set()
+
+    ;(records || []).forEach((record, index) => {
+      const same = previous.find(
+        item => !matched.has(item) && isSameRecord(item.record, record),
+      )
+      if (!same) {
+        merged.push({ record, chunk, index })
+        return
+      }
+      matched.add(same)
+
+      const keepNew =
+        String(record.raw_activity_text || '').length >
+        String(same.record.raw_activity_text || '').length
+      if (keepNew) {
+        duplicates.push({ chunk: same.chunk, index: same.index, kept_chunk: chunk, kept_index: index })
+        Object.assign(same, { record, chunk, index })
+      } else {
+        duplicates.push({ chunk, index, kept_chunk: same.chunk, kept_index: same.index })
+      }
+    })
+  })
+
+  return { records: merged.map(item => item.record), duplicates }
+}
+
+module.exports = { splitIntoChunks, mergeChunkRecords }
@@ -0,0 +1,171 @@
+// back/fileType.js
+// 업로드 파일의 실제 형식을 내용(매직 바이트)으로 판별
+// - 브라우저가 보내는 MIME(file.mimetype)은 믿지 않고, 여기서 판별한 값을 ingest_uploads.mime_type 에 저장
+// - 지원하지 않는 형식이면 null
+const path = require('path')
+const CFB = require('cfb')
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04])
+const CFB_SIGNATURE = Buffer.from([
+  0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1,
+])
+
+// ISO BMFF(ftyp) 브랜드 중 HEIC/HEIF
+const HEIC_BRANDS = [
+  'heic',
+  'heix',
+  'hevc',
+  'hevx',
+  'heim',
+  'heis',
+  'mif1',
+  'msf1',
+]
+
+function startsWith(buffer, signature, offset = 0) {
+  return (
+    buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(signature)
+  )
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1')
+}
+
+// local file header 고정 길이 (이름/extra 필드 앞까지)
+const ZIP_LOCAL_HEADER_LENGTH = 30
+
+// zip 안의 파일 이름만 훑어봄 (local file header 순회, 압축 해제 없음)
+// - 잘리거나 깨진 zip 은 읽을 수 있는 데까지만 (헤더/이름이 버퍼 밖으로 나가면 멈춤)
+function listZipEntryNames(buffer, limit = 200) {
+  const names = []
+  let offset = 0
+  while (names.length < limit && startsWith(buffer, ZIP_SIGNATURE, offset)) {
+    if (offset + ZIP_LOCAL_HEADER_LENGTH > buffer.length) break
+
+    const compressedSize = buffer.readUInt32LE(offset + 18)
+    const nameLength = buffer.readUInt16LE(offset + 26)
+    const extraLength = buffer.readUInt16LE(offset + 28)
+    const nameStart = offset + ZIP_LOCAL_HEADER_LENGTH
+    if (nameStart + nameLength > buffer.length) break
+    names.push(buffer.toString('utf8', nameStart, nameStart + nameLength))
+
+    const flags = buffer.readUInt16LE(offset + 6)
+    // data descriptor 를 쓰는 zip 은 크기를 미리 알 수 없으니 여기서 멈춤
+    if (flags & 0x8) break
+    offset = nameStart + nameLength + extraLength + compressedSize
+  }
+  return names
+}
+
+function detectZip(buffer) {
+  // HWPX 는 첫 엔트리가 mimetype(application/hwp+zip) 이고 압축하지 않음
+  if (
+    ascii(buffer, 30, 38) === 'mimetype' &&
+    ascii(buffer, 38, 57) === 'application/hwp+zip'
+  ) {
+    return { mime: 'application/hwp+zip', ext: '.hwpx' }
+  }
+
+  const names = listZipEntryNames(buffer)
+  if (names.some(n => n.startsWith('word/'))) {
+    return {
+      mime:
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      ext: '.docx',
+    }
+  }
+  if (names.some(n => /^Contents\/section\d+\.xml$/i.test(n))) {
+    return { mime: 'application/hwp+zip', ext: '.hwpx' }
+  }
+  return { mime: 'application/zip', ext: '.zip' }
+}
+
+function detectCfb(buffer) {
+  try {
+    const cfb = CFB.read(buffer, { type: 'buffer' })
+    const header = CFB.find(cfb, 'FileHeader')
+    const signature = header ? ascii(Buffer.from(header.content), 0, 17) : ''
+    if (signature === 'HWP Document File') {
+      return { mime: 'application/x-hwp', ext: '.hwp' }
+    }
+  } catch (e) {
+    console.error('CFB 파일 판별 에러:', e)
+  }
+  return null
+}
+
+// NUL 이 없고 UTF-8 로 깨지지 않으면 텍스트로 봄
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 64 * 1024)
+  if (sample.includes(0)) return false
+  const decoded = sample.toString('utf8')
+  // 잘린 마지막 글자 때문에 생긴 U+FFFD 는 허용
+  return !decoded.slice(0, -3).includes('\uFFFD')
+}
+
+const TEXT_MIMES = {
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+}
+
+/**
+ * 파일 내용으로 형식 판별
+ * - 성공: { mime, ext }
+ * - 지원하지 않는 형식: null (깨진 파일이라 판별 중 에러가 나도 null)
+ */
+function detectFileType(buffer, fileName = '') {
+  if (!buffer || buffer.length === 0) return null
+  try {
+    return detectByContent(buffer, fileName)
+  } catch (e) {
+    console.error(`파일 형식 판별 에러 (${fileName}):`, e)
+    return null
+  }
+}
+
+function detectByContent(buffer, fileName) {
+
+  if (startsWith(buffer, Buffer.from('%PDF-'))) {
+    return { mime: 'application/pdf', ext: '.pdf' }
+  }
+  if (startsWith(buffer, Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+    return { mime: 'image/png', ext: '.png' }
+  }
+  if (startsWith(buffer, Buffer.from([0xff, 0xd8, 0xff]))) {
+    return { mime: 'image/jpeg', ext: '.jpg' }
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    return { mime: 'image/webp', ext: '.webp' }
+  }
+  // BMP 헤더의 파일 크기까지 맞아야 BMP 로 봄 ("BM" 으로 시작하는 텍스트 오인 방지)
+  if (
+    ascii(buffer, 0, 2) === 'BM' &&
+    buffer.length >= 14 &&
+    buffer.readUInt32LE(2) === buffer.length
+  ) {
+    return { mime: 'image/bmp', ext: '.bmp' }
+  }
+  if (
+    ascii(buffer, 4, 8) === 'ftyp' &&
+    HEIC_BRANDS.includes(ascii(buffer, 8, 12))
+  ) {
+    return { mime: 'image/heic', ext: '.heic' }
+  }
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    return detectZip(buffer)
+  }
+  if (startsWith(buffer, CFB_SIGNATURE)) {
+    return detectCfb(buffer)
+  }
+  if (looksLikeText(buffer)) {
+    const ext = path.extname(fileName).toLowerCase()
+    return TEXT_MIMES[ext]
+      ? { mime: TEXT_MIMES[ext], ext }
+      : { mime: 'text/plain', ext: '.txt' }
+  }
+  return null
+}
+
+module.exports = { detectFileType }
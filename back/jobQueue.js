@@ -0,0 +1,57 @@
+// back/jobQueue.js
+// 서버 프로세스 안에서 도는 간단한 작업 큐
+// - 같은 id 는 큐에 한 번만 들어감 (대기/실행 중 중복 방지)
+// - 동시에 concurrency 개까지만 handler 실행
+// - 작업 상태는 DB(ingest_uploads.status 등)에 남기므로 큐 자체는 메모리만 사용
+
+function createJobQueue({ name, concurrency = 1, handler }) {
+  const pending = []
+  const queued = new Set()
+  const running = new Set()
+
+  function next() {
+    while (running.size < concurrency && pending.length > 0) {
+      const id = pending.shift()
+      queued.delete(id)
+      running.add(id)
+
+      Promise.resolve()
+        .then(() => handler(id))
+        .catch(e => {
+          console.error(`[${name}] 작업 실패 (${id}):`, e)
+        })
+        .finally(() => {
+          running.delete(id)
+          next()
+        })
+    }
+  }
+
+  /**
+   * 작업 추가
+   * - 이미 대기/실행 중인 id 면 false
+   */
+  function enqueue(id) {
+    const key = String(id)
+    if (queued.has(key) || running.has(key)) return false
+
+    pending.push(key)
+    queued.add(key)
+    // 요청 처리(응답 전송)가 끝난 뒤에 돌도록 다음 tick 에 시작
+    setImmediate(next)
+    return true
+  }
+
+  function isActive(id) {
+    const key = String(id)
+    return queued.has(key) || running.has(key)
+  }
+
+  function stats() {
+    return { pending: pending.length, running: running.size }
+  }
+
+  return { enqueue, isActive, stats }
+}
+
+module.exports = { createJobQueue }
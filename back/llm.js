@@ -0,0 +1,328 @@
+// back/llm.js
+// AI(LLM) 제공자 — 텍스트 추출 / records 추출 / 리포트 / 대시보드 채팅이 모두 여기를 거침
+// - LLM_PROVIDER=gemini | openai | ollama | fake 로 선택
+//   (없으면 GEMINI_API_KEY/GOOGLE_API_KEY 가 있을 때 gemini, 없으면 AI 기능 꺼짐)
+// - openai: OpenAI 호환 /chat/completions (OPENAI_BASE_URL 로 다른 호환 서버도 사용 가능)
+// - ollama: 로컬 Ollama /api/chat (OLLAMA_BASE_URL, 기본 http://localhost:11434)
+// - fake: 외부 호출 없이 입력에서 정해진 응답을 만듦 (오프라인 실행/테스트용)
+// - external: 학교 밖 서버로 데이터를 보내는 제공자인지 (개인정보 가리기 설정에서 사용)
+// - openai/ollama 요청은 LLM_REQUEST_TIMEOUT_MS(기본 120초)가 지나면 끊음 (응답 없는 서버가 작업 큐를 막지 않도록)
+require('dotenv').config()
+const { GoogleGenerativeAI } = require('@google/generative-ai')
+
+// "a,b,c" → ['a', 'b', 'c'] (기본 모델을 맨 앞에, 중복 제거)
+function modelList(defaultModel, value) {
+  return [
+    ...new Set(
+      [defaultModel, ...String(value || '').split(',')]
+        .map(m => m.trim())
+        .filter(Boolean),
+    ),
+  ]
+}
+
+const LLM_REQUEST_TIMEOUT_MS = Number(process.env.LLM_REQUEST_TIMEOUT_MS) || 120 * 1000
+
+// fetch + 시간 제한 (응답 본문을 다 읽을 때까지 포함) → 파싱한 JSON
+async function fetchJson(url, options, label) {
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(LLM_REQUEST_TIMEOUT_MS),
+    })
+    return await readJsonResponse(response, label)
+  } catch (e) {
+    if (e.name === 'TimeoutError') {
+      throw new Error(`${label} API 가 ${LLM_REQUEST_TIMEOUT_MS / 1000}초 안에 응답하지 않았습니다.`)
+    }
+    throw e
+  }
+}
+
+async function readJsonResponse(response, label) {
+  const text = await response.text()
+  if (!response.ok) {
+    throw new Error(`${label} API 에러 (${response.status}): ${text.slice(0, 500)}`)
+  }
+  try {
+    return JSON.parse(text)
+  } catch {
+    throw new Error(`${label} API 응답을 해석하지 못했습니다: ${text.slice(0, 500)}`)
+  }
+}
+
+// -------------------- Gemini --------------------
+
+function createGeminiDriver() {
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
+  if (!apiKey) return null
+  const client = new GoogleGenerativeAI(apiKey)
+
+  // 텍스트/records 추출에 쓸 수 있는 모델 목록 (재처리 때 사용자가 선택)
+  // - GEMINI_EXTRACTION_MODELS=gemini-2.5-flash,gemini-2.5-pro 처럼 콤마로 지정
+  const extraction = process.env.GEMINI_EXTRACTION_MODEL || 'gemini-2.5-flash'
+
+  return {
+    name: 'gemini',
+    external: true,
+    models: {
+      extraction,
+      text: process.env.GEMINI_TEXT_MODEL || extraction,
+      report: process.env.GEMINI_REPORT_MODEL || 'gemini-2.5-flash',
+      chat: process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash',
+    },
+    modelChoices: modelList(
+      extraction,
+      process.env.GEMINI_EXTRACTION_MODELS ||
+        'gemini-2.5-flash,gemini-2.5-pro,gemini-2.0-flash',
+    ),
+
+    // 이미지와 PDF 를 그대로 읽을 수 있음
+    supportsFile(mimeType) {
+      return mimeType.startsWith('image/') || mimeType === 'application/pdf'
+    },
+
+    async generate({ model, prompt, json, files }) {
+      const generativeModel = client.getGenerativeModel({
+        model,
+        generationConfig: json ? { responseMimeType: 'application/json' } : undefined,
+      })
+      const result = await generativeModel.generateContent([
+        ...files.map(file => ({
+          inlineData: { data: file.data.toString('base64'), mimeType: file.mimeType },
+        })),
+        { text: prompt },
+      ])
+      return result.response.text()
+    },
+  }
+}
+
+// -------------------- OpenAI 호환 --------------------
+
+function createOpenAiDriver() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+  const apiKey = process.env.OPENAI_API_KEY || null
+  const model = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+
+  return {
+    name: 'openai',
+    external: true,
+    models: { extraction: model, text: model, report: model, chat: model },
+    modelChoices: modelList(model, process.env.OPENAI_MODELS),
+
+    // 이미지만 (PDF 는 로컬 추출기로 읽은 텍스트를 사용)
+    supportsFile(mimeType) {
+      return mimeType.startsWith('image/')
+    },
+
+    async generate({ model: modelName, prompt, json, files }) {
+      const content = files.length
+        ? [
+            ...files.map(file => ({
+              type: 'image_url',
+              image_url: {
+                url: `data:${file.mimeType};base64,${file.data.toString('base64')}`,
+              },
+            })),
+            { type: 'text', text: prompt },
+          ]
+        : prompt
+
+      const data = await fetchJson(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model: modelName,
+          messages: [{ role: 'user', content }],
+          ...(json ? { response_format: { type: 'json_object' } } : {}),
+        }),
+      }, 'OpenAI')
+      return data?.choices?.[0]?.message?.content || ''
+    },
+  }
+}
+
+// -------------------- Ollama (로컬) --------------------
+
+function createOllamaDriver() {
+  const baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '')
+  const model = process.env.OLLAMA_MODEL || 'llama3.1'
+
+  return {
+    name: 'ollama',
+    external: false,
+    models: { extraction: model, text: model, report: model, chat: model },
+    modelChoices: modelList(model, process.env.OLLAMA_MODELS),
+
+    // 비전 모델(llava 등)일 때만 의미 있음
+    supportsFile(mimeType) {
+      return mimeType.startsWith('image/')
+    },
+
+    async generate({ model: modelName, prompt, json, files }) {
+      const data = await fetchJson(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: modelName,
+          stream: false,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+              ...(files.length
+                ? { images: files.map(file => file.data.toString('base64')) }
+                : {}),
+            },
+          ],
+          ...(json ? { format: 'json' } : {}),
+        }),
+      }, 'Ollama')
+      return data?.message?.content || ''
+    },
+  }
+}
+
+// -------------------- fake (오프라인) --------------------
+
+// "2024-03-05", "2024.3.5" → "2024-03-05"
+function findDate(text) {
+  const m = String(text).match(/(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})/)
+  if (!m) return null
+  return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`
+}
+
+// 빈 줄로 나눈 문단마다 레코드 하나
+function fakeRecords(rawText) {
+  return String(rawText || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({
+      student_name: null,
+      date: findDate(paragraph),
+      activity_title: paragraph.split('\n')[0].slice(0, 30),
+      activity_type: '기타',
+      time_range: null,
+      raw_activity_text: paragraph,
+      ability_analysis: { main_abilities: [], level: '보통', comment: '' },
+      emotions: [],
+      behavior_tags: [],
+      teacher_comment: '',
+    }))
+}
+
+const FAKE_RESPONSES = {
+  text: ({ files }) =>
+    files
+      .map(file => `[fake] ${file.mimeType} 파일에서 읽은 텍스트 (${file.data.length} bytes)`)
+      .join('\n'),
+
+  extraction: ({ input }) => JSON.stringify({ records: fakeRecords(input?.raw_text) }),
+
+  report: ({ input }) => {
+    const name = input?.student_profile?.name || '학생'
+    const range = input?.date_range
+      ? `${input.date_range.start || input.date_range.from || '-'} ~ ${input.date_range.end || input.date_range.to || '-'}`
+      : '-'
+    const samples = Array.isArray(input?.activity_samples) ? input.activity_samples.length : 0
+    return [
+      `# ${name} 리포트 (fake)`,
+      '',
+      `- 기간: ${range}`,
+      `- 활동 샘플: ${samples}건`,
+      '',
+      '## 요약',
+      '오프라인(fake) 제공자가 만든 예시 리포트입니다.',
+    ].join('\n')
+  },
+
+  chat: ({ input }) =>
+    `[fake] "${input?.message || ''}" 에 대한 예시 답변입니다. (기록 ${input?.recordCount ?? 0}건 기준)`,
+}
+
+function createFakeDriver() {
+  return {
+    name: 'fake',
+    external: false,
+    models: { extraction: 'fake', text: 'fake', report: 'fake', chat: 'fake' },
+    modelChoices: ['fake'],
+
+    supportsFile() {
+      return true
+    },
+
+    async generate({ task, files, input }) {
+      const respond = FAKE_RESPONSES[task]
+      return respond ? respond({ files, input }) : `[fake] ${task} 응답`
+    },
+  }
+}
+
+// -------------------- 제공자 선택 --------------------
+
+const DRIVERS = {
+  gemini: createGeminiDriver,
+  openai: createOpenAiDriver,
+  ollama: createOllamaDriver,
+  fake: createFakeDriver,
+}
+
+function resolveDriver() {
+  const name = (process.env.LLM_PROVIDER || '').trim().toLowerCase()
+  if (!name) return createGeminiDriver()
+  if (!DRIVERS[name]) {
+    console.warn(`⚠️ 알 수 없는 LLM_PROVIDER 입니다: ${name} (gemini, openai, ollama, fake 중 하나)`)
+    return null
+  }
+  return DRIVERS[name]()
+}
+
+const driver = resolveDriver()
+
+if (!driver) {
+  console.warn(
+    '⚠️ AI 제공자가 설정되어 있지 않습니다 (LLM_PROVIDER 또는 GEMINI_API_KEY/GOOGLE_API_KEY). AI 기능이 비활성화됩니다.',
+  )
+}
+
+/**
+ * AI 응답 생성
+ * - task: extraction | text | report | chat (model 을 안 주면 task 별 기본 모델 사용)
+ * - json: JSON 응답 모드 요청
+ * - files: [{ data: Buffer, mimeType }] (canReadFile 로 먼저 확인)
+ * - input: 프롬프트를 만든 원본 데이터 (fake 제공자가 정해진 응답을 만들 때 사용)
+ * → { text, model }
+ * 제공자가 꺼져 있거나 호출이 실패하면 throw
+ */
+async function generateText({ task, model, prompt, json = false, files = [], input = null }) {
+  if (!driver) throw new Error('AI 제공자가 설정되어 있지 않습니다.')
+  const modelName = model || driver.models[task] || driver.models.extraction
+  const text = await driver.generate({
+    task,
+    model: modelName,
+    prompt,
+    json,
+    files,
+    input,
+  })
+  return { text: text || '', model: modelName }
+}
+
+// 이 제공자로 파일(이미지/PDF)을 직접 읽을 수 있는지
+function canReadFile(mimeType) {
+  return !!driver && driver.supportsFile(mimeType || '')
+}
+
+module.exports = {
+  llmProviderName: driver ? driver.name : null,
+  llmIsExternal: driver ? driver.external : false,
+  llmModels: driver ? driver.models : {},
+  llmModelChoices: driver ? driver.modelChoices : [],
+  generateText,
+  canReadFile,
+}
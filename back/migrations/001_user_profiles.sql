@@ -0,0 +1,19 @@
+-- back/migrations/001_user_profiles.sql
+-- POST /auth/signup 이 채우는 user_profiles 컬럼
+-- (Supabase SQL Editor 에서 순서대로 실행)
+
+create table if not exists public.user_profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table public.user_profiles
+  add column if not exists email text,
+  add column if not exists display_name text,
+  add column if not exists phone text,
+  add column if not exists role text not null default 'observer',
+  add column if not exists updated_at timestamptz not null default now();
+
+-- 이메일 중복 가입 방지 (대소문자 무시)
+create unique index if not exists user_profiles_email_key
+  on public.user_profiles (lower(email));
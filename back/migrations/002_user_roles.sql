@@ -0,0 +1,10 @@
+-- back/migrations/002_user_roles.sql
+-- 역할: observer(꿈뜰 활동자) / teacher(교사) / admin(관리자)
+-- 관리자 지정은 SQL 로 직접: update user_profiles set role = 'admin' where email = '...';
+
+alter table public.user_profiles
+  drop constraint if exists user_profiles_role_check;
+
+alter table public.user_profiles
+  add constraint user_profiles_role_check
+  check (role in ('observer', 'teacher', 'admin'));
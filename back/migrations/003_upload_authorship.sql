@@ -0,0 +1,15 @@
+-- back/migrations/003_upload_authorship.sql
+-- 업로드한 사용자(ingest_uploads.uploaded_by) / 기록한 사용자(log_entries.observer_id)
+
+alter table public.ingest_uploads
+  add column if not exists uploaded_by uuid references auth.users (id) on delete set null;
+
+alter table public.log_entries
+  add column if not exists observer_id uuid references auth.users (id) on delete set null;
+
+-- "내 업로드", "내 관찰 기록" 조회용
+create index if not exists ingest_uploads_uploaded_by_idx
+  on public.ingest_uploads (uploaded_by, created_at desc);
+
+create index if not exists log_entries_observer_id_idx
+  on public.log_entries (observer_id, log_date);
@@ -0,0 +1,7 @@
+-- back/migrations/004_upload_files.sql
+-- 업로드 원본 파일 메타데이터 (파일 자체는 storage_key 위치에 저장)
+-- Supabase Storage 를 쓰려면 비공개 버킷을 하나 만들고 SUPABASE_STORAGE_BUCKET 에 이름을 넣어 주세요.
+
+alter table public.ingest_uploads
+  add column if not exists mime_type text,
+  add column if not exists file_size bigint;
@@ -0,0 +1,11 @@
+-- back/migrations/005_ingest_queue.sql
+-- 업로드 처리 작업 큐(jobQueue.js) 상태/결과 컬럼
+-- status: queued → extracting → analyzing → needs_review → success (실패 시 failed)
+
+alter table public.ingest_uploads
+  add column if not exists ai_records jsonb,
+  add column if not exists ai_model text,
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists ingest_uploads_status_idx
+  on public.ingest_uploads (status);
@@ -0,0 +1,7 @@
+-- back/migrations/006_upload_reprocess.sql
+-- 업로드 재처리(POST /uploads/:id/reprocess) 시도 횟수 / 선택한 추출 모델
+
+alter table public.ingest_uploads
+  add column if not exists attempts integer not null default 0,
+  add column if not exists last_attempt_at timestamptz,
+  add column if not exists extraction_model text;
@@ -0,0 +1,5 @@
+-- back/migrations/007_text_extractor.sql
+-- raw_text 를 만든 추출기 (text / pdf-text / docx / hwpx / hwp / gemini:<model>)
+
+alter table public.ingest_uploads
+  add column if not exists text_extractor text;
@@ -0,0 +1,7 @@
+-- back/migrations/008_upload_ocr.sql
+-- 로컬 OCR(ocr.js) 결과의 신뢰도
+-- ocr_pages: [{ page, text, confidence, lines: [{ text, confidence }] }] (confidence 0~100)
+
+alter table public.ingest_uploads
+  add column if not exists ocr_confidence real,
+  add column if not exists ocr_pages jsonb;
@@ -0,0 +1,10 @@
+-- back/migrations/009_upload_content_hash.sql
+-- 업로드 파일 내용의 SHA-256 (같은 파일을 다시 올리면 기존 업로드로 연결)
+-- 기존 행은 content_hash 가 null 이라 중복 검사 대상이 아님
+
+alter table public.ingest_uploads
+  add column if not exists content_hash text;
+
+create unique index if not exists ingest_uploads_content_hash_key
+  on public.ingest_uploads (content_hash)
+  where content_hash is not null;
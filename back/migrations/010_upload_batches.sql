@@ -0,0 +1,16 @@
+-- back/migrations/010_upload_batches.sql
+-- ZIP 일괄 업로드 묶음 (ZIP 1개 = upload_batches 1행, 안의 문서마다 ingest_uploads 1행)
+
+create table if not exists public.upload_batches (
+  id uuid primary key default gen_random_uuid(),
+  file_name text not null,
+  total_files integer not null default 0,
+  uploaded_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.ingest_uploads
+  add column if not exists batch_id uuid references public.upload_batches (id) on delete set null;
+
+create index if not exists ingest_uploads_batch_id_idx
+  on public.ingest_uploads (batch_id);
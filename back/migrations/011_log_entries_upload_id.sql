@@ -0,0 +1,23 @@
+-- back/migrations/011_log_entries_upload_id.sql
+-- log_entries 가 어느 업로드에서 저장됐는지 id 로 연결
+-- (예전에는 source_file_path = ingest_uploads.file_name 으로 찾아서 같은 이름의 업로드끼리 기록이 섞였음)
+-- 업로드를 지우면 기본은 upload_id 만 비움, 기록까지 지우는 건 DELETE /uploads/:id?log_entries=cascade
+
+alter table public.log_entries
+  add column if not exists upload_id uuid references public.ingest_uploads (id) on delete set null;
+
+create index if not exists log_entries_upload_id_idx
+  on public.log_entries (upload_id);
+
+-- 기존 행 채우기: 파일 이름이 같은 업로드가 하나뿐인 경우만 연결 (여럿이면 어느 쪽인지 알 수 없어서 비워 둠)
+update public.log_entries le
+set upload_id = u.id
+from public.ingest_uploads u
+where le.upload_id is null
+  and le.source_file_path = u.file_name
+  and not exists (
+    select 1
+    from public.ingest_uploads other
+    where other.file_name = u.file_name
+      and other.id <> u.id
+  );
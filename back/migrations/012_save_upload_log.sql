@@ -0,0 +1,108 @@
+-- back/migrations/012_save_upload_log.sql
+-- POST /uploads/:id/log 저장을 한 트랜잭션으로 처리하는 함수
+-- - 학생 조회/자동 생성, log_entries 저장, ingest_uploads 상태 변경이 전부 성공하거나 전부 취소됨
+-- - 업로드 단위로 멱등: 같은 업로드를 다시 저장하면 그 업로드의 기존 기록을 지우고 새로 넣음 (중복 저장 없음)
+-- - 같은 업로드를 동시에 저장하면 ingest_uploads 행 잠금으로 하나씩 처리
+--
+-- p_entries: [{ student_id, student_name, log_date, emotion_tag, activity_tags, log_content, related_metrics }]
+--   student_id 가 uuid 가 아니면 student_name 으로 students 를 찾고, 없으면 새로 만듦
+--   activity_tags 는 문자열 배열, related_metrics 는 객체 배열 (jsonb[] 로 저장)
+-- 반환값: 저장된 log_entries 행
+
+create or replace function public.save_upload_log(
+  p_upload_id uuid,
+  p_observer_id uuid,
+  p_entries jsonb
+)
+returns setof public.log_entries
+language plpgsql
+as $$
+declare
+  v_entry jsonb;
+  v_student_id uuid;
+  v_student_name text;
+  v_first_student_id uuid;
+begin
+  perform 1
+  from public.ingest_uploads
+  where id = p_upload_id
+  for update;
+
+  if not found then
+    raise exception 'UPLOAD_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- 다시 저장하는 경우: 이 업로드에서 저장됐던 기록을 새 기록으로 교체
+  delete from public.log_entries where upload_id = p_upload_id;
+
+  for v_entry in select value from jsonb_array_elements(p_entries)
+  loop
+    v_student_id := null;
+    v_student_name := nullif(btrim(v_entry ->> 'student_name'), '');
+
+    if (v_entry ->> 'student_id') ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+      v_student_id := (v_entry ->> 'student_id')::uuid;
+    elsif v_student_name is not null then
+      select id into v_student_id
+      from public.students
+      where name = v_student_name
+      limit 1;
+
+      if v_student_id is null then
+        insert into public.students (name)
+        values (v_student_name)
+        returning id into v_student_id;
+      end if;
+    end if;
+
+    -- 학생을 알 수 없는 기록은 저장하지 않음
+    continue when v_student_id is null;
+
+    v_first_student_id := coalesce(v_first_student_id, v_student_id);
+
+    return query
+    insert into public.log_entries (
+      log_date,
+      student_id,
+      emotion_tag,
+      activity_tags,
+      log_content,
+      related_metrics,
+      source_file_path,
+      upload_id,
+      observer_id
+    )
+    values (
+      coalesce((v_entry ->> 'log_date')::date, current_date),
+      v_student_id,
+      v_entry ->> 'emotion_tag',
+      case
+        when jsonb_typeof(v_entry -> 'activity_tags') = 'array'
+          and jsonb_array_length(v_entry -> 'activity_tags') > 0
+        then array(select jsonb_array_elements_text(v_entry -> 'activity_tags'))
+      end,
+      v_entry ->> 'log_content',
+      case
+        when jsonb_typeof(v_entry -> 'related_metrics') = 'array'
+        then array(select jsonb_array_elements(v_entry -> 'related_metrics'))
+      end,
+      v_entry ->> 'source_file_path',
+      p_upload_id,
+      p_observer_id
+    )
+    returning *;
+  end loop;
+
+  if v_first_student_id is null then
+    raise exception 'NO_STUDENT_ENTRIES' using errcode = 'P0001';
+  end if;
+
+  update public.ingest_uploads
+  set student_id = v_first_student_id,
+      status = 'success',
+      progress = 100,
+      error = null,
+      updated_at = now()
+  where id = p_upload_id;
+end;
+$$;
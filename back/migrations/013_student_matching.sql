@@ -0,0 +1,113 @@
+-- back/migrations/013_student_matching.sql
+-- 학생 이름 확인 후 저장 (POST /uploads/:id/log + studentMatcher.js)
+-- - students.nickname: 이름 매칭 때 별명으로도 찾을 수 있게
+-- - save_upload_log: create_student = true 인 기록은 같은 이름 학생이 있어도 새 학생으로 만듦
+--   (교사가 "새 학생으로 추가"를 고른 경우)
+
+alter table public.students
+  add column if not exists nickname text;
+
+create or replace function public.save_upload_log(
+  p_upload_id uuid,
+  p_observer_id uuid,
+  p_entries jsonb
+)
+returns setof public.log_entries
+language plpgsql
+as $$
+declare
+  v_entry jsonb;
+  v_student_id uuid;
+  v_student_name text;
+  v_first_student_id uuid;
+  -- 이번 저장에서 새로 만든 학생 (이름 → id), 같은 이름 기록이 여러 개여도 한 번만 만듦
+  v_created jsonb := '{}'::jsonb;
+begin
+  perform 1
+  from public.ingest_uploads
+  where id = p_upload_id
+  for update;
+
+  if not found then
+    raise exception 'UPLOAD_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- 다시 저장하는 경우: 이 업로드에서 저장됐던 기록을 새 기록으로 교체
+  delete from public.log_entries where upload_id = p_upload_id;
+
+  for v_entry in select value from jsonb_array_elements(p_entries)
+  loop
+    v_student_id := null;
+    v_student_name := nullif(btrim(v_entry ->> 'student_name'), '');
+
+    if (v_entry ->> 'student_id') ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+      v_student_id := (v_entry ->> 'student_id')::uuid;
+    elsif v_student_name is not null then
+      v_student_id := (v_created ->> v_student_name)::uuid;
+
+      if v_student_id is null and not coalesce((v_entry ->> 'create_student')::boolean, false) then
+        select id into v_student_id
+        from public.students
+        where name = v_student_name
+        limit 1;
+      end if;
+
+      if v_student_id is null then
+        insert into public.students (name)
+        values (v_student_name)
+        returning id into v_student_id;
+        v_created := v_created || jsonb_build_object(v_student_name, v_student_id);
+      end if;
+    end if;
+
+    -- 학생을 알 수 없는 기록은 저장하지 않음
+    continue when v_student_id is null;
+
+    v_first_student_id := coalesce(v_first_student_id, v_student_id);
+
+    return query
+    insert into public.log_entries (
+      log_date,
+      student_id,
+      emotion_tag,
+      activity_tags,
+      log_content,
+      related_metrics,
+      source_file_path,
+      upload_id,
+      observer_id
+    )
+    values (
+      coalesce((v_entry ->> 'log_date')::date, current_date),
+      v_student_id,
+      v_entry ->> 'emotion_tag',
+      case
+        when jsonb_typeof(v_entry -> 'activity_tags') = 'array'
+          and jsonb_array_length(v_entry -> 'activity_tags') > 0
+        then array(select jsonb_array_elements_text(v_entry -> 'activity_tags'))
+      end,
+      v_entry ->> 'log_content',
+      case
+        when jsonb_typeof(v_entry -> 'related_metrics') = 'array'
+        then array(select jsonb_array_elements(v_entry -> 'related_metrics'))
+      end,
+      v_entry ->> 'source_file_path',
+      p_upload_id,
+      p_observer_id
+    )
+    returning *;
+  end loop;
+
+  if v_first_student_id is null then
+    raise exception 'NO_STUDENT_ENTRIES' using errcode = 'P0001';
+  end if;
+
+  update public.ingest_uploads
+  set student_id = v_first_student_id,
+      status = 'success',
+      progress = 100,
+      error = null,
+      updated_at = now()
+  where id = p_upload_id;
+end;
+$$;
@@ -0,0 +1,69 @@
+-- back/migrations/014_merge_students.sql
+-- 중복 학생 합치기 (POST /api/students/:id/merge)
+-- - source 학생을 가리키던 log_entries / ingest_uploads / report_runs(params.student_id) 를 target 으로 옮기고 source 삭제
+-- - 업로드 저장 때 붙는 "학생:<source 이름>" 활동 태그는 제거
+-- - target 에 별명/메모가 없으면 source 것을 이어받음
+-- - 한 트랜잭션이라 중간에 실패하면 아무것도 바뀌지 않음
+-- 반환값: { log_entries, ingest_uploads, report_runs } 옮긴 행 수
+
+create or replace function public.merge_students(
+  p_source_id uuid,
+  p_target_id uuid
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_source public.students%rowtype;
+  v_target public.students%rowtype;
+  v_logs integer;
+  v_uploads integer;
+  v_reports integer;
+begin
+  if p_source_id = p_target_id then
+    raise exception 'SAME_STUDENT' using errcode = 'P0001';
+  end if;
+
+  select * into v_source from public.students where id = p_source_id for update;
+  select * into v_target from public.students where id = p_target_id for update;
+
+  if v_source.id is null or v_target.id is null then
+    raise exception 'STUDENT_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  update public.log_entries
+  set student_id = p_target_id,
+      activity_tags = nullif(
+        array_remove(activity_tags, '학생:' || v_source.name),
+        '{}'::text[]
+      )
+  where student_id = p_source_id;
+  get diagnostics v_logs = row_count;
+
+  update public.ingest_uploads
+  set student_id = p_target_id
+  where student_id = p_source_id;
+  get diagnostics v_uploads = row_count;
+
+  update public.report_runs
+  set params = params || jsonb_build_object(
+        'student_id', p_target_id::text,
+        'student_name', v_target.name
+      )
+  where params ->> 'student_id' = p_source_id::text;
+  get diagnostics v_reports = row_count;
+
+  update public.students
+  set nickname = coalesce(nickname, v_source.nickname),
+      notes = coalesce(notes, v_source.notes)
+  where id = p_target_id;
+
+  delete from public.students where id = p_source_id;
+
+  return jsonb_build_object(
+    'log_entries', v_logs,
+    'ingest_uploads', v_uploads,
+    'report_runs', v_reports
+  );
+end;
+$$;
@@ -0,0 +1,37 @@
+-- back/migrations/015_soft_delete.sql
+-- 휴지통: 삭제 API 는 행을 지우지 않고 deleted_at / deleted_by 만 채움
+-- - 목록/집계 API 는 deleted_at is null 인 행만 사용
+-- - 관리자는 GET /api/trash 에서 보고 복원 가능
+-- - TRASH_RETENTION_DAYS(기본 30일)가 지나면 서버가 완전히 삭제 (purgeExpiredTrash)
+
+alter table public.students
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+alter table public.log_entries
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+alter table public.ingest_uploads
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+alter table public.report_runs
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+-- 휴지통 목록 / 보관 기간 지난 행 정리용
+create index if not exists students_deleted_at_idx
+  on public.students (deleted_at) where deleted_at is not null;
+create index if not exists log_entries_deleted_at_idx
+  on public.log_entries (deleted_at) where deleted_at is not null;
+create index if not exists ingest_uploads_deleted_at_idx
+  on public.ingest_uploads (deleted_at) where deleted_at is not null;
+create index if not exists report_runs_deleted_at_idx
+  on public.report_runs (deleted_at) where deleted_at is not null;
+
+-- 휴지통에 있는 업로드와 같은 파일을 다시 올릴 수 있도록 중복 검사는 삭제되지 않은 행끼리만
+drop index if exists public.ingest_uploads_content_hash_key;
+create unique index ingest_uploads_content_hash_key
+  on public.ingest_uploads (content_hash)
+  where content_hash is not null and deleted_at is null;
@@ -0,0 +1,30 @@
+-- back/migrations/016_audit_log.sql
+-- 학생 데이터 변경 이력 (back/audit.js 의 recordAudit 가 기록, GET /api/audit 로 조회)
+-- - student_id / record_id 에는 FK 를 걸지 않음: 학생/기록이 완전히 삭제돼도 이력은 남아야 함
+-- - action: create | update | delete(휴지통 이동) | restore | merge
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_role text,
+  action text not null,
+  table_name text not null,
+  record_id text,
+  student_id uuid,
+  before jsonb,
+  after jsonb,
+  diff jsonb
+);
+
+create index if not exists audit_log_created_at_idx
+  on public.audit_log (created_at desc);
+
+create index if not exists audit_log_student_id_idx
+  on public.audit_log (student_id, created_at desc);
+
+create index if not exists audit_log_actor_id_idx
+  on public.audit_log (actor_id, created_at desc);
+
+create index if not exists audit_log_record_idx
+  on public.audit_log (table_name, record_id);
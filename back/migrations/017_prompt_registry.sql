@@ -0,0 +1,214 @@
+-- back/migrations/017_prompt_registry.sql
+-- 프롬프트 저장소 (back/promptRegistry.js, /api/prompts)
+-- - 이름(name)별로 버전을 쌓고, 그중 하나만 사용 중(is_active)
+-- - 사용 중인 버전이 없으면 코드에 있는 기본 프롬프트(prompts.js, 버전 0)를 사용
+-- - 어떤 프롬프트로 만든 결과인지 추적:
+--   ingest_uploads.ai_prompt_id/ai_prompt_version → 저장할 때 log_entries.prompt_id/prompt_version 으로 복사
+--   report_runs 는 params.prompt = { id, name, version }
+
+create table if not exists public.prompt_versions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  version integer not null check (version > 0),
+  body text not null,
+  note text,
+  is_active boolean not null default false,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (name, version)
+);
+
+create unique index if not exists prompt_versions_active_idx
+  on public.prompt_versions (name)
+  where is_active;
+
+alter table public.ingest_uploads
+  add column if not exists ai_prompt_id uuid references public.prompt_versions (id) on delete set null,
+  add column if not exists ai_prompt_version integer;
+
+alter table public.log_entries
+  add column if not exists prompt_id uuid references public.prompt_versions (id) on delete set null,
+  add column if not exists prompt_version integer;
+
+create index if not exists log_entries_prompt_idx
+  on public.log_entries (prompt_id, prompt_version);
+
+-- 새 버전 저장 (버전 번호는 이름별로 1 부터 증가, p_activate 면 바로 사용 중으로)
+create or replace function public.save_prompt_version(
+  p_name text,
+  p_body text,
+  p_note text,
+  p_created_by uuid,
+  p_activate boolean
+)
+returns public.prompt_versions
+language plpgsql
+as $$
+declare
+  v_row public.prompt_versions%rowtype;
+begin
+  -- 같은 이름을 동시에 저장해도 버전 번호가 겹치지 않게
+  perform pg_advisory_xact_lock(hashtext('prompt_versions:' || p_name));
+
+  if p_activate then
+    update public.prompt_versions
+    set is_active = false
+    where name = p_name and is_active;
+  end if;
+
+  insert into public.prompt_versions (name, version, body, note, is_active, created_by)
+  select
+    p_name,
+    coalesce(max(version), 0) + 1,
+    p_body,
+    p_note,
+    p_activate,
+    p_created_by
+  from public.prompt_versions
+  where name = p_name
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+-- 사용할 버전 바꾸기 (p_version = 0 이면 코드 기본 프롬프트로 되돌림)
+create or replace function public.activate_prompt_version(
+  p_name text,
+  p_version integer
+)
+returns void
+language plpgsql
+as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('prompt_versions:' || p_name));
+
+  if p_version <> 0 and not exists (
+    select 1 from public.prompt_versions
+    where name = p_name and version = p_version
+  ) then
+    raise exception 'PROMPT_VERSION_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  update public.prompt_versions
+  set is_active = false
+  where name = p_name and is_active;
+
+  update public.prompt_versions
+  set is_active = true
+  where name = p_name and version = p_version;
+end;
+$$;
+
+-- save_upload_log: 업로드의 AI 분석에 쓴 프롬프트를 기록마다 남김 (013 과 같고 prompt_id/prompt_version 만 추가)
+create or replace function public.save_upload_log(
+  p_upload_id uuid,
+  p_observer_id uuid,
+  p_entries jsonb
+)
+returns setof public.log_entries
+language plpgsql
+as $$
+declare
+  v_entry jsonb;
+  v_student_id uuid;
+  v_student_name text;
+  v_first_student_id uuid;
+  v_prompt_id uuid;
+  v_prompt_version integer;
+  -- 이번 저장에서 새로 만든 학생 (이름 → id), 같은 이름 기록이 여러 개여도 한 번만 만듦
+  v_created jsonb := '{}'::jsonb;
+begin
+  select ai_prompt_id, ai_prompt_version
+  into v_prompt_id, v_prompt_version
+  from public.ingest_uploads
+  where id = p_upload_id
+  for update;
+
+  if not found then
+    raise exception 'UPLOAD_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- 다시 저장하는 경우: 이 업로드에서 저장됐던 기록을 새 기록으로 교체
+  delete from public.log_entries where upload_id = p_upload_id;
+
+  for v_entry in select value from jsonb_array_elements(p_entries)
+  loop
+    v_student_id := null;
+    v_student_name := nullif(btrim(v_entry ->> 'student_name'), '');
+
+    if (v_entry ->> 'student_id') ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+      v_student_id := (v_entry ->> 'student_id')::uuid;
+    elsif v_student_name is not null then
+      v_student_id := (v_created ->> v_student_name)::uuid;
+
+      if v_student_id is null and not coalesce((v_entry ->> 'create_student')::boolean, false) then
+        select id into v_student_id
+        from public.students
+        where name = v_student_name
+        limit 1;
+      end if;
+
+      if v_student_id is null then
+        insert into public.students (name)
+        values (v_student_name)
+        returning id into v_student_id;
+        v_created := v_created || jsonb_build_object(v_student_name, v_student_id);
+      end if;
+    end if;
+
+    -- 학생을 알 수 없는 기록은 저장하지 않음
+    continue when v_student_id is null;
+
+    v_first_student_id := coalesce(v_first_student_id, v_student_id);
+
+    return query
+    insert into public.log_entries (
+      log_date,
+      student_id,
+      emotion_tag,
+      activity_tags,
+      log_content,
+      related_metrics,
+      source_file_path,
+      upload_id,
+      observer_id,
+      prompt_id,
+      prompt_version
+    )
+    values (
+      coalesce((v_entry ->> 'log_date')::date, current_date),
+      v_student_id,
+      v_entry ->> 'emotion_tag',
+      case
+        when jsonb_typeof(v_entry -> 'activity_tags') = 'array'
+          and jsonb_array_length(v_entry -> 'activity_tags') > 0
+        then array(select jsonb_array_elements_text(v_entry -> 'activity_tags'))
+      end,
+      v_entry ->> 'log_content',
+      case
+        when jsonb_typeof(v_entry -> 'related_metrics') = 'array'
+        then array(select jsonb_array_elements(v_entry -> 'related_metrics'))
+      end,
+      v_entry ->> 'source_file_path',
+      p_upload_id,
+      p_observer_id,
+      v_prompt_id,
+      v_prompt_version
+    )
+    returning *;
+  end loop;
+
+  if v_first_student_id is null then
+    raise exception 'NO_STUDENT_ENTRIES' using errcode = 'P0001';
+  end if;
+
+  update public.ingest_uploads
+  set student_id = v_first_student_id,
+      status = 'success',
+      progress = 100,
+      error = null,
+      updated_at = now()
+  where id = p_upload_id;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- back/migrations/018_school_settings.sql
+-- 학교 설정 (back/schoolSettings.js, GET/PATCH /api/school-settings)
+-- - 한 서버가 한 학교를 맡으므로 한 줄만 둠 (id = true)
+-- - require_ai_redaction: AI 로 보내기 전 학생 이름/생년월일/연락처를 자리표시자로 가리기 (back/redaction.js)
+--   켜져 있으면 가리지 못하는 요청(학생 목록 조회 실패, 외부 AI 로 이미지/스캔 PDF 보내기)은 AI 를 호출하지 않음
+
+create table if not exists public.school_settings (
+  id boolean primary key default true check (id),
+  require_ai_redaction boolean not null default false,
+  updated_by uuid references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.school_settings (id)
+values (true)
+on conflict (id) do nothing;
@@ -0,0 +1,12 @@
+-- back/migrations/019_upload_batch_results.sql
+-- ZIP 일괄 업로드 결과를 upload_batches 에 남김 (createBatchFromZip)
+-- - status: processing(푸는 중) → done, 중간에 멈추면 failed + error
+-- - skipped: 올리지 못한 파일 [{ name, reason }] (형식 미지원, 크기 초과, 저장 실패 등)
+
+alter table public.upload_batches
+  add column if not exists status text not null default 'done',
+  add column if not exists created_count integer not null default 0,
+  add column if not exists duplicate_count integer not null default 0,
+  add column if not exists skipped jsonb not null default '[]'::jsonb,
+  add column if not exists error text,
+  add column if not exists finished_at timestamptz;
@@ -0,0 +1,200 @@
+-- back/migrations/020_skip_trashed_students.sql
+-- 휴지통에 있는 학생(deleted_at 이 채워진 행)은 이름 매칭/합치기 대상에서 제외
+-- - save_upload_log: 이름으로 기존 학생을 찾을 때 삭제된 학생은 건너뜀 (없으면 새 학생을 만듦)
+--   다시 저장할 때 이전 기록은 지우지 않고 휴지통으로 (deleted_by = 저장한 사용자)
+-- - merge_students: 삭제된 학생은 합치기 source/target 이 될 수 없음 (STUDENT_NOT_FOUND)
+--   합친 source 학생은 지우지 않고 휴지통으로 (p_merged_by = 합친 사용자, 보관 기간이 지나면 정리)
+-- 나머지 동작은 017(save_upload_log), 014(merge_students) 와 같음
+
+-- save_upload_log: 017 과 같고 이름 매칭에서 삭제된 학생 제외, 이전 기록은 휴지통으로
+create or replace function public.save_upload_log(
+  p_upload_id uuid,
+  p_observer_id uuid,
+  p_entries jsonb
+)
+returns setof public.log_entries
+language plpgsql
+as $$
+declare
+  v_entry jsonb;
+  v_student_id uuid;
+  v_student_name text;
+  v_first_student_id uuid;
+  v_prompt_id uuid;
+  v_prompt_version integer;
+  -- 이번 저장에서 새로 만든 학생 (이름 → id), 같은 이름 기록이 여러 개여도 한 번만 만듦
+  v_created jsonb := '{}'::jsonb;
+begin
+  select ai_prompt_id, ai_prompt_version
+  into v_prompt_id, v_prompt_version
+  from public.ingest_uploads
+  where id = p_upload_id
+  for update;
+
+  if not found then
+    raise exception 'UPLOAD_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- 다시 저장하는 경우: 이 업로드에서 저장됐던 기록을 휴지통으로 보내고 새 기록으로 교체
+  -- (이미 휴지통에 있는 기록은 그대로 두어 보관 기간대로 정리되게 함)
+  update public.log_entries
+  set deleted_at = now(),
+      deleted_by = p_observer_id
+  where upload_id = p_upload_id
+    and deleted_at is null;
+
+  for v_entry in select value from jsonb_array_elements(p_entries)
+  loop
+    v_student_id := null;
+    v_student_name := nullif(btrim(v_entry ->> 'student_name'), '');
+
+    if (v_entry ->> 'student_id') ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+      v_student_id := (v_entry ->> 'student_id')::uuid;
+    elsif v_student_name is not null then
+      v_student_id := (v_created ->> v_student_name)::uuid;
+
+      if v_student_id is null and not coalesce((v_entry ->> 'create_student')::boolean, false) then
+        select id into v_student_id
+        from public.students
+        where name = v_student_name
+          and deleted_at is null
+        limit 1;
+      end if;
+
+      if v_student_id is null then
+        insert into public.students (name)
+        values (v_student_name)
+        returning id into v_student_id;
+        v_created := v_created || jsonb_build_object(v_student_name, v_student_id);
+      end if;
+    end if;
+
+    -- 학생을 알 수 없는 기록은 저장하지 않음
+    continue when v_student_id is null;
+
+    v_first_student_id := coalesce(v_first_student_id, v_student_id);
+
+    return query
+    insert into public.log_entries (
+      log_date,
+      student_id,
+      emotion_tag,
+      activity_tags,
+      log_content,
+      related_metrics,
+      source_file_path,
+      upload_id,
+      observer_id,
+      prompt_id,
+      prompt_version
+    )
+    values (
+      coalesce((v_entry ->> 'log_date')::date, current_date),
+      v_student_id,
+      v_entry ->> 'emotion_tag',
+      case
+        when jsonb_typeof(v_entry -> 'activity_tags') = 'array'
+          and jsonb_array_length(v_entry -> 'activity_tags') > 0
+        then array(select jsonb_array_elements_text(v_entry -> 'activity_tags'))
+      end,
+      v_entry ->> 'log_content',
+      case
+        when jsonb_typeof(v_entry -> 'related_metrics') = 'array'
+        then array(select jsonb_array_elements(v_entry -> 'related_metrics'))
+      end,
+      v_entry ->> 'source_file_path',
+      p_upload_id,
+      p_observer_id,
+      v_prompt_id,
+      v_prompt_version
+    )
+    returning *;
+  end loop;
+
+  if v_first_student_id is null then
+    raise exception 'NO_STUDENT_ENTRIES' using errcode = 'P0001';
+  end if;
+
+  update public.ingest_uploads
+  set student_id = v_first_student_id,
+      status = 'success',
+      progress = 100,
+      error = null,
+      updated_at = now()
+  where id = p_upload_id;
+end;
+$$;
+
+-- merge_students: 014 와 같고 삭제된 학생은 찾지 않음, source 는 휴지통으로
+-- (인자가 늘어서 014 함수는 지우고 다시 만듦, 같은 이름이 둘이면 rpc 호출이 모호해짐)
+drop function if exists public.merge_students(uuid, uuid);
+
+create or replace function public.merge_students(
+  p_source_id uuid,
+  p_target_id uuid,
+  p_merged_by uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_source public.students%rowtype;
+  v_target public.students%rowtype;
+  v_logs integer;
+  v_uploads integer;
+  v_reports integer;
+begin
+  if p_source_id = p_target_id then
+    raise exception 'SAME_STUDENT' using errcode = 'P0001';
+  end if;
+
+  select * into v_source from public.students
+  where id = p_source_id and deleted_at is null
+  for update;
+  select * into v_target from public.students
+  where id = p_target_id and deleted_at is null
+  for update;
+
+  if v_source.id is null or v_target.id is null then
+    raise exception 'STUDENT_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  update public.log_entries
+  set student_id = p_target_id,
+      activity_tags = nullif(
+        array_remove(activity_tags, '학생:' || v_source.name),
+        '{}'::text[]
+      )
+  where student_id = p_source_id;
+  get diagnostics v_logs = row_count;
+
+  update public.ingest_uploads
+  set student_id = p_target_id
+  where student_id = p_source_id;
+  get diagnostics v_uploads = row_count;
+
+  update public.report_runs
+  set params = params || jsonb_build_object(
+        'student_id', p_target_id::text,
+        'student_name', v_target.name
+      )
+  where params ->> 'student_id' = p_source_id::text;
+  get diagnostics v_reports = row_count;
+
+  update public.students
+  set nickname = coalesce(nickname, v_source.nickname),
+      notes = coalesce(notes, v_source.notes)
+  where id = p_target_id;
+
+  update public.students
+  set deleted_at = now(),
+      deleted_by = p_merged_by
+  where id = p_source_id;
+
+  return jsonb_build_object(
+    'log_entries', v_logs,
+    'ingest_uploads', v_uploads,
+    'report_runs', v_reports
+  );
+end;
+$$;
@@ -0,0 +1,51 @@
+-- back/migrations/021_trash_upload.sql
+-- 업로드 휴지통 이동 (DELETE /uploads/:id) 을 한 트랜잭션으로
+-- - 업로드와 (p_cascade 면) 그 업로드에서 저장된 기록을 같은 deleted_at 으로 휴지통에 넣음
+--   (복원할 때 같은 deleted_at 인 기록을 함께 되살림)
+-- - 없거나 이미 휴지통에 있는 업로드면 UPLOAD_NOT_FOUND (P0002), 아무것도 바뀌지 않음
+-- 반환값: { upload: <휴지통으로 옮긴 업로드 행>, log_entries: [<같이 옮긴 기록 행>] }
+
+create or replace function public.trash_upload(
+  p_upload_id uuid,
+  p_deleted_by uuid,
+  p_deleted_at timestamptz,
+  p_cascade boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_upload public.ingest_uploads%rowtype;
+  v_logs jsonb := '[]'::jsonb;
+begin
+  update public.ingest_uploads
+  set deleted_at = p_deleted_at,
+      deleted_by = p_deleted_by
+  where id = p_upload_id
+    and deleted_at is null
+  returning * into v_upload;
+
+  if v_upload.id is null then
+    raise exception 'UPLOAD_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  if p_cascade then
+    with trashed as (
+      update public.log_entries
+      set deleted_at = p_deleted_at,
+          deleted_by = p_deleted_by
+      where upload_id = p_upload_id
+        and deleted_at is null
+      returning *
+    )
+    select coalesce(jsonb_agg(to_jsonb(trashed)), '[]'::jsonb)
+    into v_logs
+    from trashed;
+  end if;
+
+  return jsonb_build_object(
+    'upload', to_jsonb(v_upload),
+    'log_entries', v_logs
+  );
+end;
+$$;
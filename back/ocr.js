@@ -0,0 +1,185 @@
+// back/ocr.js
+// 서버에서 직접 돌리는 OCR (tesseract.js, 한국어 + 영어)
+// - 손글씨 관찰지 사진(JPEG/PNG/HEIC), 텍스트 레이어가 없는 스캔 PDF 용
+// - 페이지/줄 단위 신뢰도(confidence, 0~100)를 같이 돌려줘서
+//   DetailAnalysisModal 에서 신뢰도 낮은 줄을 표시할 수 있게 함
+// - 언어 데이터는 @tesseract.js-data/<lang> 패키지에 들어 있는 걸 써서 인터넷 없이 동작
+//   (다른 데이터를 쓰려면 TESSERACT_LANG_PATH 로 traineddata 폴더/URL 지정)
+require('dotenv').config()
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createWorker } = require('tesseract.js')
+const heicConvert = require('heic-convert')
+const { PDFParse } = require('pdf-parse')
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false'
+// 순서 주의: 'kor+eng' 로 주면 tesseract.js 가 eng 데이터를 못 읽어서 영문 인식이 깨짐
+const OCR_LANGS = (process.env.OCR_LANGS || 'eng+kor').split('+')
+// 스캔 PDF 는 페이지를 이미지로 렌더링해서 OCR → 너무 긴 문서는 앞쪽만
+const OCR_MAX_PDF_PAGES = Number(process.env.OCR_MAX_PDF_PAGES) || 20
+
+const HEIC_MIMES = ['image/heic', 'image/heif']
+
+let workerPromise = null
+// tesseract worker 하나를 돌려 쓰므로 인식 요청은 한 번에 하나씩
+let queueTail = Promise.resolve()
+
+// 설치된 @tesseract.js-data/<lang> 패키지의 traineddata 를 tesseract 캐시 폴더로 복사
+// (tesseract.js 는 캐시 폴더에 <lang>.traineddata 가 있으면 다운로드하지 않고 그걸 씀)
+function prepareBundledLangs(cachePath) {
+  fs.mkdirSync(cachePath, { recursive: true })
+  OCR_LANGS.forEach(code => {
+    const target = path.join(cachePath, `${code}.traineddata`)
+    if (fs.existsSync(target)) return
+
+    const pkg = require(`@tesseract.js-data/${code}`)
+    fs.copyFileSync(path.join(pkg.langPath, `${code}.traineddata.gz`), target)
+  })
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    const options = {
+      cachePath:
+        process.env.TESSERACT_CACHE_PATH ||
+        path.join(os.tmpdir(), 'tesseract-data'),
+      // worker 내부 에러가 프로세스를 죽이지 않도록 로그만 남김
+      errorHandler: e => console.error('OCR worker 에러:', e),
+    }
+    if (process.env.TESSERACT_LANG_PATH) {
+      options.langPath = process.env.TESSERACT_LANG_PATH
+    }
+
+    workerPromise = Promise.resolve()
+      .then(() => {
+        if (!options.langPath) prepareBundledLangs(options.cachePath)
+        return createWorker(OCR_LANGS.join('+'), 1, options)
+      })
+      .catch(e => {
+        // 다음 요청 때 다시 만들 수 있도록 초기화
+        workerPromise = null
+        throw e
+      })
+  }
+  return workerPromise
+}
+
+function runExclusive(task) {
+  const run = queueTail.then(task, task)
+  queueTail = run.catch(() => {})
+  return run
+}
+
+function roundConfidence(value) {
+  return typeof value === 'number' ? Math.round(value * 10) / 10 : null
+}
+
+/**
+ * 이미지 1장 인식
+ * → { text, confidence, lines: [{ text, confidence }] }
+ */
+async function recognizeImage(image) {
+  const worker = await getWorker()
+  const { data } = await worker.recognize(
+    image,
+    {},
+    { text: true, blocks: true },
+  )
+
+  const lines = []
+  ;(data.blocks || []).forEach(block => {
+    ;(block.paragraphs || []).forEach(paragraph => {
+      ;(paragraph.lines || []).forEach(line => {
+        const text = (line.text || '').trim()
+        if (text) {
+          lines.push({ text, confidence: roundConfidence(line.confidence) })
+        }
+      })
+    })
+  })
+
+  return {
+    text: lines.length
+      ? lines.map(l => l.text).join('\n')
+      : (data.text || '').trim(),
+    confidence: roundConfidence(data.confidence),
+    lines,
+  }
+}
+
+/**
+ * 여러 장(페이지)을 차례대로 인식
+ * - 성공: { text, confidence, pages: [{ page, text, confidence, lines }] }
+ *   confidence 는 페이지 평균
+ */
+async function ocrImages(images) {
+  if (!OCR_ENABLED) {
+    throw new Error('OCR 이 꺼져 있습니다. (OCR_ENABLED=false)')
+  }
+
+  return runExclusive(async () => {
+    const pages = []
+    for (let i = 0; i < images.length; i += 1) {
+      const result = await recognizeImage(images[i])
+      pages.push({ page: i + 1, ...result })
+    }
+
+    const scored = pages.filter(p => typeof p.confidence === 'number')
+    const confidence = scored.length
+      ? roundConfidence(
+          scored.reduce((sum, p) => sum + p.confidence, 0) / scored.length,
+        )
+      : null
+
+    return {
+      text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+      confidence,
+      pages,
+    }
+  })
+}
+
+/**
+ * 사진 파일 OCR (HEIC 는 JPEG 로 변환 후 인식)
+ */
+async function ocrImageFile(file) {
+  let buffer = file.buffer
+  const isHeic =
+    HEIC_MIMES.includes((file.mimetype || '').toLowerCase()) ||
+    /\.hei[cf]$/i.test(file.originalname || '')
+
+  if (isHeic) {
+    buffer = Buffer.from(
+      await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }),
+    )
+  }
+  return ocrImages([buffer])
+}
+
+/**
+ * 스캔 PDF OCR (페이지를 PNG 로 렌더링 후 인식)
+ */
+async function ocrPdfFile(file) {
+  const parser = new PDFParse({ data: new Uint8Array(file.buffer) })
+  let screenshots = null
+  try {
+    screenshots = await parser.getScreenshot({
+      scale: 2,
+      last: OCR_MAX_PDF_PAGES,
+      imageBuffer: true,
+      imageDataUrl: false,
+    })
+  } finally {
+    await parser.destroy()
+  }
+
+  return ocrImages(screenshots.pages.map(p => Buffer.from(p.data)))
+}
+
+module.exports = {
+  OCR_ENABLED,
+  ocrImages,
+  ocrImageFile,
+  ocrPdfFile,
+}
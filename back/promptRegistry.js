@@ -0,0 +1,144 @@
+// back/promptRegistry.js
+// AI 프롬프트 저장소 (prompt_versions, 017_prompt_registry.sql)
+// - 이름별로 사용 중인 버전을 DB 에서 읽고, 없으면 prompts.js 의 기본 프롬프트(버전 0)를 사용
+// - 관리자가 /api/prompts 로 새 버전을 저장/사용 전환하면 배포 없이 바로 반영
+// - 결과에는 { id, name, version } 을 남겨서 어떤 프롬프트로 만든 것인지 추적
+//   (기본 프롬프트는 id 가 null, version 이 0)
+const { supabase } = require('./supabaseClient')
+const {
+  PDF_TXT_EXTRACTION_PROMPT,
+  TEXT_EXTRACTION_PROMPT,
+  DASHBOARD_CHAT_PROMPT,
+  REPORT_CATEGORY_CODES,
+  GET_REPORT_PROMPT,
+} = require('./prompts')
+
+// DB 조회 결과를 잠깐 재사용 (긴 문서는 조각마다 프롬프트를 읽으므로)
+const CACHE_TTL_MS = 30 * 1000
+
+const REPORT_CATEGORY_LABELS = {
+  full: '전체 리포트',
+  emotion: '감정 변화',
+  activity_ratio: '활동 비율 변화',
+  ability_growth: '능력 성장 곡선',
+}
+
+// 이름 → { description, body } (body 는 코드 기본 프롬프트)
+// {purpose} 처럼 중괄호로 감싼 자리에 서버가 값을 넣음 (renderPrompt)
+const BUILTIN_PROMPTS = {
+  extraction: {
+    description: '원본 텍스트 → 활동 기록 records JSON (뒤에 [입력 JSON] 이 붙음)',
+    body: PDF_TXT_EXTRACTION_PROMPT,
+  },
+  text_extraction: {
+    description: '이미지/스캔 PDF → 텍스트 (로컬 추출기로 못 읽은 파일)',
+    body: TEXT_EXTRACTION_PROMPT,
+  },
+  chat: {
+    description:
+      '대시보드 AI 채팅 ({student_name} {student_id} {start_date} {end_date} {stats_json} {history} {message})',
+    body: DASHBOARD_CHAT_PROMPT,
+  },
+  ...Object.fromEntries(
+    REPORT_CATEGORY_CODES.map(code => [
+      `report.${code}`,
+      {
+        description: `AI 리포트 - ${REPORT_CATEGORY_LABELS[code]} ({purpose} {tone} {input_json})`,
+        body: GET_REPORT_PROMPT(code, '{purpose}', '{tone}'),
+      },
+    ]),
+  ),
+}
+
+const PROMPT_NAMES = Object.keys(BUILTIN_PROMPTS)
+
+const cache = new Map() // name → { prompt, expiresAt }
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+function builtinPrompt(name) {
+  return { id: null, name, version: 0, body: BUILTIN_PROMPTS[name].body }
+}
+
+/**
+ * 지금 사용할 프롬프트 → { id, name, version, body }
+ * - DB 조회가 실패하면 기본 프롬프트로 진행 (AI 기능이 멈추지 않도록)
+ */
+async function getPrompt(name) {
+  if (!BUILTIN_PROMPTS[name]) throw new Error(`알 수 없는 프롬프트입니다: ${name}`)
+
+  const cached = cache.get(name)
+  if (cached && cached.expiresAt > Date.now()) return cached.prompt
+
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('id, name, version, body')
+    .eq('name', name)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) {
+    console.error(`prompt_versions 조회 에러 (${name}):`, error)
+    return builtinPrompt(name)
+  }
+
+  const prompt = data || builtinPrompt(name)
+  cache.set(name, { prompt, expiresAt: Date.now() + CACHE_TTL_MS })
+  return prompt
+}
+
+// 새 버전 저장/사용 전환 뒤 바로 반영되도록
+function clearPromptCache(name) {
+  if (name) cache.delete(name)
+  else cache.clear()
+}
+
+// 결과에 남길 프롬프트 정보
+function promptRef(prompt) {
+  return { id: prompt.id, name: prompt.name, version: prompt.version }
+}
+
+/**
+ * 클라이언트가 돌려보낸 프롬프트 정보 { id, version } → 실제로 있는 name 의 버전이면 { id, name, version }, 아니면 null
+ * - AI 호출 결과를 나중에 저장할 때, 그때 사용 중인 버전이 아니라 실제로 쓴 버전을 남기기 위함
+ * - 기본 프롬프트는 { id: null, version: 0 }
+ */
+async function verifyPromptRef(name, ref) {
+  if (!BUILTIN_PROMPTS[name] || !ref || typeof ref !== 'object') return null
+
+  const version = Number(ref.version)
+  if (version === 0 && !ref.id) return promptRef(builtinPrompt(name))
+  if (!UUID_PATTERN.test(String(ref.id || '')) || !Number.isInteger(version) || version < 1) {
+    return null
+  }
+
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('id, name, version')
+    .eq('id', ref.id)
+    .eq('name', name)
+    .eq('version', version)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? promptRef(data) : null
+}
+
+// "{key}" 자리를 variables 값으로 한 번에 치환 (variables 에 없는 {..} 는 그대로 둠)
+function renderPrompt(body, variables = {}) {
+  return String(body).replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(variables, key)
+      ? String(variables[key] ?? '')
+      : match,
+  )
+}
+
+module.exports = {
+  BUILTIN_PROMPTS,
+  PROMPT_NAMES,
+  getPrompt,
+  clearPromptCache,
+  promptRef,
+  verifyPromptRef,
+  renderPrompt,
+}
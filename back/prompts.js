@@ -45,14 +45,85 @@ const PDF_TXT_EXTRACTION_PROMPT = `
 `;
 
 /**
- * 2. 리포트 프롬프트 생성기
+ * 2. 이미지/스캔 PDF → 텍스트 프롬프트 (로컬 추출기로 못 읽은 파일만 AI 로 보낼 때)
+ */
+const TEXT_EXTRACTION_PROMPT = `
+당신은 업로드된 파일에서 사람이 읽을 수 있는 텍스트만 최대한 그대로 추출하는 도우미입니다.
+
+- PDF, 이미지, 기타 문서에서 사람이 읽을 수 있는 문장만 뽑아 주세요.
+- 표나 레이아웃 정보는 단순한 줄바꿈 텍스트로 표현해 주세요.
+- 추가 설명, 요약, 분석 문장은 넣지 마세요.
+- JSON, Markdown 코드블록, 따옴표 없이 순수한 텍스트만 그대로 출력하세요.
+`;
+
+/**
+ * 3. 대시보드 AI 채팅 프롬프트
+ *    - {student_name} {student_id} {start_date} {end_date} {stats_json} {history} {message} 자리에 서버가 값을 넣음
+ */
+const DASHBOARD_CHAT_PROMPT = `
+당신은 텃밭/농장 활동 기록을 분석해서 학생의 감정, 활동, 성장 패턴을 교사가 이해하기 쉽게 설명해 주는 한국어 AI 도우미입니다.
+
+- 데이터에 근거해서 차분하고 구체적으로 설명하세요.
+- 학부모 상담이나 기록 작성에 바로 쓸 수 있도록 요약과 해석을 제공합니다.
+- 너무 장황하지 않게 3~6문단 이내로 정리하고, 필요하면 글머리 기호를 사용해 주세요.
+
+
+[학생 및 기간 정보]
+- 학생 이름: {student_name}
+- 학생 ID: {student_id}
+- 기간: {start_date} ~ {end_date}
+
+[요약 데이터(JSON)]
+{stats_json}
+
+[이전 대화]
+{history}
+
+[교사의 질문]
+"""{message}"""
+
+위 정보를 바탕으로, 교사가 이해하기 쉬운 한국어로 답변해 주세요.
+데이터가 부족한 부분이 있다면 "이 부분은 데이터가 부족합니다"라고 솔직하게 말해 주세요.
+`;
+
+/**
+ * 리포트 카테고리 → 코드 (full / emotion / activity_ratio / ability_growth)
+ *    - 코드 또는 한글 라벨(전체 리포트/감정 변화/활동 비율 변화/능력 성장 곡선 등) 모두 지원
+ */
+const REPORT_CATEGORY_CODES = ['full', 'emotion', 'activity_ratio', 'ability_growth'];
+
+const reportCategoryCode = (category) => {
+  const safeCategory = (category || '').trim();
+  const normalized = safeCategory.toLowerCase();
+
+  if (normalized === 'emotion' || safeCategory === '감정 변화') {
+    return 'emotion';
+  }
+  if (
+    normalized === 'activity_ratio' ||
+    safeCategory === '활동 비율 변화' ||
+    safeCategory === '활동 유동 변화'
+  ) {
+    return 'activity_ratio';
+  }
+  if (
+    normalized === 'ability_growth' ||
+    safeCategory === '활동 능력 변화' ||
+    safeCategory === '능력 성장 곡선'
+  ) {
+    return 'ability_growth';
+  }
+  return 'full';
+};
+
+/**
+ * 4. 리포트 프롬프트 생성기
  *    - category: 코드(full/emotion/activity_ratio/ability_growth) 또는 한글 라벨(전체 리포트/감정 변화/활동 비율 변화/능력 성장 곡선 등)
  *    - purpose: '학부모 상담용', '학교 제출용' 등
  *    - tone: 자연어 톤 설명
  */
 const GET_REPORT_PROMPT = (category, purpose, tone) => {
-  const safeCategory = (category || '').trim();
-  const normalized = safeCategory.toLowerCase();
+  const code = reportCategoryCode(category);
 
   // 공통 기본 지침
   const baseInstruction = `
@@ -68,10 +139,7 @@ const GET_REPORT_PROMPT = (category, purpose, tone) => {
   let structureGuide = "";
 
   // 카테고리 매칭 (코드 + 한글 라벨 둘 다 지원)
-  if (
-    normalized === 'emotion' ||
-    safeCategory === '감정 변화'
-  ) {
+  if (code === 'emotion') {
     specificInstruction = `
 **[분석 초점: 감정 변화]**
 - 기간 동안 학생의 정서적 흐름(안정감, 불안 등)이 어떻게 변화했는지 분석하세요.
@@ -86,11 +154,7 @@ const GET_REPORT_PROMPT = (category, purpose, tone) => {
 # 4. 정서적 안정을 위한 제언
 # 5. 마무리
     `;
-  } else if (
-    normalized === 'activity_ratio' ||
-    safeCategory === '활동 비율 변화' ||
-    safeCategory === '활동 유동 변화'
-  ) {
+  } else if (code === 'activity_ratio') {
     specificInstruction = `
 **[분석 초점: 활동 비율/참여 패턴 변화]**
 - 학생의 활동 참여 패턴이 어떻게 변화했는지(특정 활동 집중, 다양성 증가 등) 분석하세요.
@@ -105,11 +169,7 @@ const GET_REPORT_PROMPT = (category, purpose, tone) => {
 # 4. 활동 다양성 증진을 위한 제언
 # 5. 마무리
     `;
-  } else if (
-    normalized === 'ability_growth' ||
-    safeCategory === '활동 능력 변화' ||
-    safeCategory === '능력 성장 곡선'
-  ) {
+  } else if (code === 'ability_growth') {
     specificInstruction = `
 **[분석 초점: 활동 능력 변화]**
 - 활동 수행 수준(매우 우수~도전적)의 변화 추이를 분석하세요.
@@ -160,5 +220,9 @@ ${structureGuide}
 
 module.exports = {
   PDF_TXT_EXTRACTION_PROMPT,
+  TEXT_EXTRACTION_PROMPT,
+  DASHBOARD_CHAT_PROMPT,
+  REPORT_CATEGORY_CODES,
+  reportCategoryCode,
   GET_REPORT_PROMPT,
 };
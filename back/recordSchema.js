@@ -0,0 +1,329 @@
+// back/recordSchema.js
+// Gemini 추출 결과(records) 검사 / 보정 (PDF_TXT_EXTRACTION_PROMPT 의 출력 스키마 기준)
+// - 조금 어긋난 값은 스키마에 맞게 고치고 무엇을 왜 고쳤는지 fixes 로 남김
+//   ("2024.3.5" → "2024-03-05", "4점" → 4, "매우우수" → "매우 우수", "미술" → "미술활동" 등)
+// - 고칠 수 없는 필수 값이 없는 레코드는 버리고 errors 로 사유를 남김
+const ACTIVITY_TYPES = [
+  '자유놀이',
+  '미술활동',
+  '등교/하교',
+  '급식/간식',
+  '체육활동',
+  '개별지도',
+  '그룹수업',
+  '전이/휴식',
+  '기타',
+]
+const ABILITY_LEVELS = ['매우 우수', '우수', '보통', '도전적']
+const MIN_INTENSITY = 1
+const MAX_INTENSITY = 5
+const TITLE_FALLBACK_LENGTH = 30
+
+// 공백/구분자를 뺀 이름 → 스키마 값 (정확히 같은 값은 normalizeKey 로 바로 찾음)
+const ACTIVITY_TYPE_ALIASES = {
+  자유: '자유놀이',
+  놀이: '자유놀이',
+  미술: '미술활동',
+  등교: '등교/하교',
+  하교: '등교/하교',
+  등하교: '등교/하교',
+  급식: '급식/간식',
+  간식: '급식/간식',
+  점심: '급식/간식',
+  식사: '급식/간식',
+  체육: '체육활동',
+  운동: '체육활동',
+  개별: '개별지도',
+  개별수업: '개별지도',
+  그룹: '그룹수업',
+  집단수업: '그룹수업',
+  전이: '전이/휴식',
+  휴식: '전이/휴식',
+  쉬는시간: '전이/휴식',
+}
+const ABILITY_LEVEL_ALIASES = {
+  최우수: '매우 우수',
+  아주우수: '매우 우수',
+  우수함: '우수',
+  양호: '보통',
+  중간: '보통',
+  도전: '도전적',
+  미흡: '도전적',
+  어려움: '도전적',
+}
+
+function normalizeKey(value) {
+  return String(value).replace(/[\s/·,_-]+/g, '')
+}
+
+// 허용 값 목록 + 별칭에서 찾기 (없으면 null)
+function matchAllowed(value, allowed, aliases) {
+  if (typeof value !== 'string') return null
+  const key = normalizeKey(value)
+  if (!key) return null
+  return allowed.find(item => normalizeKey(item) === key) || aliases[key] || null
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'string') return value.trim() || null
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  return null
+}
+
+// "a, b" 처럼 문자열로 온 목록도 배열로
+function toTextList(value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+      ? value.split(/[,，、]/)
+      : []
+  return list.map(toText).filter(Boolean)
+}
+
+function isValidDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day))
+  return (
+    d.getUTCFullYear() === year &&
+    d.getUTCMonth() === month - 1 &&
+    d.getUTCDate() === day
+  )
+}
+
+// "2024.3.5", "2024/03/05", "2024년 3월 5일", "2024-03-05T09:00:00Z" → "2024-03-05"
+function coerceDate(value) {
+  const text = toText(value)
+  if (!text) return null
+  const m = text.match(/^(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?/)
+  if (!m) return null
+  const [year, month, day] = m.slice(1).map(Number)
+  if (!isValidDate(year, month, day)) return null
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// 4, "4", "4점", "4/5", 4.4 → 4 (범위를 벗어나면 1~5 로 맞춤)
+function coerceIntensity(value) {
+  const number =
+    typeof value === 'number' ? value : parseFloat(String(value ?? '').trim())
+  if (!Number.isFinite(number)) return null
+  return Math.min(MAX_INTENSITY, Math.max(MIN_INTENSITY, Math.round(number)))
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+/**
+ * 레코드 1개 검사
+ * → { record, fixes: [{ field, from, to, reason }], errors: [{ field, reason }] }
+ *   errors 가 있으면 버릴 레코드 (record 는 null)
+ */
+function validateRecord(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      record: null,
+      fixes: [],
+      errors: [{ field: null, reason: '레코드가 객체가 아닙니다.' }],
+    }
+  }
+
+  const fixes = []
+  const fix = (field, from, to, reason) => {
+    if (!sameValue(from, to)) fixes.push({ field, from: from ?? null, to, reason })
+    return to
+  }
+
+  const record = { ...input }
+
+  record.student_name = fix(
+    'student_name',
+    input.student_name,
+    toText(input.student_name),
+    '문자열 또는 null 이어야 합니다.',
+  )
+
+  const date = coerceDate(input.date)
+  if (date && date !== input.date) {
+    fix('date', input.date, date, 'YYYY-MM-DD 형식으로 바꿨습니다.')
+  } else if (!date && input.date != null) {
+    fix('date', input.date, null, '날짜로 읽을 수 없어 비웠습니다.')
+  }
+  record.date = date
+
+  record.raw_activity_text = fix(
+    'raw_activity_text',
+    input.raw_activity_text,
+    toText(input.raw_activity_text) || '',
+    '문자열이어야 합니다.',
+  )
+  record.teacher_comment = fix(
+    'teacher_comment',
+    input.teacher_comment,
+    toText(input.teacher_comment) || '',
+    '문자열이어야 합니다.',
+  )
+  record.time_range = fix(
+    'time_range',
+    input.time_range,
+    toText(input.time_range),
+    '문자열 또는 null 이어야 합니다.',
+  )
+
+  const title = toText(input.activity_title)
+  if (title) {
+    record.activity_title = fix('activity_title', input.activity_title, title, '문자열로 정리했습니다.')
+  } else if (record.raw_activity_text) {
+    record.activity_title = fix(
+      'activity_title',
+      input.activity_title,
+      record.raw_activity_text.slice(0, TITLE_FALLBACK_LENGTH),
+      '제목이 없어 원본 문장 앞부분으로 채웠습니다.',
+    )
+  } else {
+    return {
+      record: null,
+      fixes,
+      errors: [
+        {
+          field: 'activity_title',
+          reason: '활동 제목과 원본 문장이 모두 없습니다.',
+        },
+      ],
+    }
+  }
+
+  const activityType = matchAllowed(input.activity_type, ACTIVITY_TYPES, ACTIVITY_TYPE_ALIASES)
+  record.activity_type = fix(
+    'activity_type',
+    input.activity_type,
+    activityType || '기타',
+    activityType
+      ? '허용된 활동 유형 표기로 바꿨습니다.'
+      : `허용된 활동 유형(${ACTIVITY_TYPES.join(', ')})이 아니라 '기타'로 바꿨습니다.`,
+  )
+
+  const ability = input.ability_analysis
+  if (ability && typeof ability === 'object' && !Array.isArray(ability)) {
+    const level = matchAllowed(ability.level, ABILITY_LEVELS, ABILITY_LEVEL_ALIASES)
+    record.ability_analysis = {
+      ...ability,
+      main_abilities: fix(
+        'ability_analysis.main_abilities',
+        ability.main_abilities,
+        toTextList(ability.main_abilities),
+        '문자열 배열이어야 합니다.',
+      ),
+      level: fix(
+        'ability_analysis.level',
+        ability.level,
+        level,
+        level
+          ? '허용된 수준 표기로 바꿨습니다.'
+          : `허용된 수준(${ABILITY_LEVELS.join(', ')})이 아니라 비웠습니다.`,
+      ),
+      comment: fix(
+        'ability_analysis.comment',
+        ability.comment,
+        toText(ability.comment) || '',
+        '문자열이어야 합니다.',
+      ),
+    }
+  } else {
+    record.ability_analysis = fix(
+      'ability_analysis',
+      ability,
+      null,
+      '객체가 아니라 비웠습니다.',
+    )
+  }
+
+  const emotions = Array.isArray(input.emotions)
+    ? input.emotions
+    : input.emotions && typeof input.emotions === 'object'
+      ? [input.emotions]
+      : []
+  if (!Array.isArray(input.emotions) && input.emotions != null) {
+    fix('emotions', input.emotions, emotions, '배열이어야 합니다.')
+  }
+  record.emotions = []
+  emotions.forEach((emotion, i) => {
+    const field = `emotions[${i}]`
+    const label = emotion && typeof emotion === 'object' ? toText(emotion.label) : null
+    if (!label) {
+      fix(field, emotion, null, '감정 이름(label)이 없어 뺐습니다.')
+      return
+    }
+    const intensity = coerceIntensity(emotion.intensity)
+    record.emotions.push({
+      ...emotion,
+      label: fix(`${field}.label`, emotion.label, label, '문자열로 정리했습니다.'),
+      intensity: fix(
+        `${field}.intensity`,
+        emotion.intensity,
+        intensity,
+        intensity === null
+          ? '숫자가 아니라 비웠습니다.'
+          : `${MIN_INTENSITY}~${MAX_INTENSITY} 정수로 바꿨습니다.`,
+      ),
+      reason: fix(`${field}.reason`, emotion.reason, toText(emotion.reason) || '', '문자열이어야 합니다.'),
+    })
+  })
+
+  record.behavior_tags = fix(
+    'behavior_tags',
+    input.behavior_tags,
+    toTextList(input.behavior_tags),
+    '문자열 배열이어야 합니다.',
+  )
+
+  return { record, fixes, errors: [] }
+}
+
+/**
+ * Gemini 응답(parse 된 JSON) 전체 검사
+ * - { records: [...] } 가 아니면 throw 하지 않고 ok: false 로 돌려줌 (다시 물어볼지는 호출한 쪽이 결정)
+ * → {
+ *     ok,                                    // records 배열을 찾았는지
+ *     error,                                 // ok 가 false 일 때 사유
+ *     records,                               // 스키마에 맞춘 레코드 (버린 것 제외)
+ *     repaired: [{ index, fixes }],          // index: 원래 records 배열 기준
+ *     dropped: [{ index, errors }],
+ *   }
+ */
+function validateExtraction(parsed) {
+  // 모델이 records 배열만 돌려준 경우도 받아 줌
+  const list = Array.isArray(parsed)
+    ? parsed
+    : parsed && typeof parsed === 'object' && Array.isArray(parsed.records)
+      ? parsed.records
+      : null
+
+  if (!list) {
+    return {
+      ok: false,
+      error: parsed
+        ? '응답 JSON 에 records 배열이 없습니다.'
+        : '응답이 유효한 JSON 이 아닙니다.',
+      records: [],
+      repaired: [],
+      dropped: [],
+    }
+  }
+
+  const records = []
+  const repaired = []
+  const dropped = []
+  list.forEach((item, index) => {
+    const { record, fixes, errors } = validateRecord(item)
+    if (errors.length) {
+      dropped.push({ index, errors })
+      return
+    }
+    records.push(record)
+    if (fixes.length) repaired.push({ index, fixes })
+  })
+
+  return { ok: true, error: null, records, repaired, dropped }
+}
+
+module.exports = { validateExtraction }
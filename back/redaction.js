@@ -0,0 +1,197 @@
+// back/redaction.js
+// AI 로 보내기 전 개인정보 가리기 (가명 처리)
+// - 알려진 학생 이름/별칭, 생년월일, 전화번호, 이메일, 주민등록번호를 [학생1], [전화1] 같은 자리표시자로 바꿈
+// - 한 redactor 안에서는 같은 값이 항상 같은 자리표시자 (조각으로 나눠 보내도 같은 학생은 같은 번호)
+// - AI 응답 속 자리표시자는 restore 로 원래 값으로 되돌림
+// - DB 에 없는 이름(처음 나온 학생 등)은 알 수 없으므로 가려지지 않음
+
+// 주민등록번호 (생년월일 6자리 - 7자리)
+const RRN_PATTERN = String.raw`(?<!\d)\d{6}\s?-\s?[1-8]\d{6}(?!\d)`
+const EMAIL_PATTERN = String.raw`[\w.+-]+@[\w-]+(?:\.[\w-]+)+`
+// 휴대폰(구분자 생략 가능) / 일반 전화(구분자 필수: 02-123-4567, 031)123-4567)
+const PHONE_PATTERN = String.raw`(?<!\d)(?:01[016789][-.\s]?\d{3,4}[-.\s]?\d{4}|0\d{1,2}[-)]\s?\d{3,4}-\d{4})(?!\d)`
+// "2015-03-05", "2015.3.5", "2015년 3월 5일" (생년월일과 같은 날짜만 가림, 활동 날짜는 그대로)
+const DATE_PATTERN = String.raw`(?<!\d)\d{4}\s*(?:[-./]|년)\s*\d{1,2}\s*(?:[-./]|월)\s*\d{1,2}(?:\s*일)?(?!\d)`
+const DATE_PARTS = /(\d{4})\s*(?:[-./]|년)\s*(\d{1,2})\s*(?:[-./]|월)\s*(\d{1,2})/
+
+const KIND_LABELS = {
+  student: '학생',
+  birth_date: '생년월일',
+  phone: '전화',
+  email: '이메일',
+  rrn: '주민번호',
+}
+
+// 이름 변형 (전체 이름 / 성을 뺀 이름 / 별칭) → 자리표시자 꼬리표
+const NAME_VARIANT_SUFFIX = { full: '', given: ':이름', nickname: ':별칭' }
+
+const RESTORE_PATTERN = /\[(학생\d+(?::이름|:별칭)?|생년월일\d+|전화\d+|이메일\d+|주민번호\d+)\]/g
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// 날짜 문자열 → "YYYY-MM-DD" (해석할 수 없으면 null)
+function normalizeDate(value) {
+  const m = String(value || '').match(DATE_PARTS)
+  if (!m) return null
+  return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`
+}
+
+// 문자열/배열/객체 안의 모든 문자열에 fn 적용
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value)
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]),
+    )
+  }
+  return value
+}
+
+/**
+ * 가명 처리기
+ * - students: [{ name, nickname, birth_date }] (가릴 학생 목록)
+ * → { enabled, addNames, addBirthDates, redact, redactValue, restore, restoreValue, summary }
+ */
+function createRedactor({ students = [] } = {}) {
+  const nameTerms = new Map() // 이름 문자열 → { key, variant } (key: 같은 학생의 변형끼리 공유)
+  const birthDates = new Set() // "YYYY-MM-DD"
+  const studentNumbers = new Map() // 학생 key → 번호 (처음 나온 순서)
+  const counters = { birth_date: 0, phone: 0, email: 0, rrn: 0 }
+  const forward = new Map() // "kind:원래 값" → 자리표시자
+  const reverse = new Map() // 자리표시자 → 원래 값
+  let pattern = null
+
+  function addTerm(term, key, variant) {
+    const value = String(term || '').trim()
+    // 한 글자는 다른 낱말과 너무 많이 겹침
+    if (value.length < 2 || nameTerms.has(value)) return
+    nameTerms.set(value, { key, variant })
+    pattern = null
+  }
+
+  function addStudent({ name, nickname } = {}, key) {
+    const fullName = String(name || '').trim()
+    addTerm(fullName, key, 'full')
+    // "김민수" → "민수" (일지에는 성을 빼고 쓰는 경우가 많음)
+    if (/^[가-힣]{3}$/.test(fullName)) addTerm(fullName.slice(1), key, 'given')
+    addTerm(nickname, key, 'nickname')
+  }
+
+  function addNames(names) {
+    ;(names || []).forEach(name => {
+      const value = String(name || '').trim()
+      if (value && !nameTerms.has(value)) addStudent({ name: value }, `name:${value}`)
+    })
+  }
+
+  function addBirthDates(dates) {
+    ;(dates || []).forEach(date => {
+      const normalized = normalizeDate(date)
+      if (normalized) birthDates.add(normalized)
+    })
+  }
+
+  students.forEach((student, i) => {
+    addStudent(student, `student:${i}`)
+    addBirthDates([student.birth_date])
+  })
+
+  function placeholderFor(kind, original, label) {
+    const forwardKey = `${kind}:${original}`
+    if (forward.has(forwardKey)) return forward.get(forwardKey)
+
+    const placeholder = `[${label}]`
+    forward.set(forwardKey, placeholder)
+    reverse.set(placeholder, original)
+    return placeholder
+  }
+
+  function namePlaceholder(term) {
+    const { key, variant } = nameTerms.get(term)
+    if (!studentNumbers.has(key)) studentNumbers.set(key, studentNumbers.size + 1)
+    return placeholderFor(
+      'student',
+      term,
+      `${KIND_LABELS.student}${studentNumbers.get(key)}${NAME_VARIANT_SUFFIX[variant]}`,
+    )
+  }
+
+  function counterPlaceholder(kind, original) {
+    const forwardKey = `${kind}:${original}`
+    if (forward.has(forwardKey)) return forward.get(forwardKey)
+    counters[kind] += 1
+    return placeholderFor(kind, original, `${KIND_LABELS[kind]}${counters[kind]}`)
+  }
+
+  // 모든 패턴을 한 번에 찾음 (바꾼 자리표시자를 다시 건드리지 않도록)
+  function compile() {
+    const names = [...nameTerms.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+    const groups = [RRN_PATTERN, EMAIL_PATTERN, PHONE_PATTERN, DATE_PATTERN]
+    if (names.length) groups.push(names.join('|'))
+    return new RegExp(groups.map(group => `(${group})`).join('|'), 'g')
+  }
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return text
+    if (!pattern) pattern = compile()
+
+    return text.replace(pattern, (match, rrn, email, phone, date, name) => {
+      if (rrn) return counterPlaceholder('rrn', match)
+      if (email) return counterPlaceholder('email', match)
+      if (phone) return counterPlaceholder('phone', match)
+      if (date) {
+        return birthDates.has(normalizeDate(match))
+          ? counterPlaceholder('birth_date', match)
+          : match
+      }
+      if (name) return namePlaceholder(match)
+      return match
+    })
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string' || !text) return text
+    return text.replace(RESTORE_PATTERN, match =>
+      reverse.has(match) ? reverse.get(match) : match,
+    )
+  }
+
+  // 가린 값 개수 (원래 값은 남기지 않음)
+  function summary() {
+    const counts = { student: 0, birth_date: 0, phone: 0, email: 0, rrn: 0 }
+    ;[...forward.keys()].forEach(forwardKey => {
+      counts[forwardKey.slice(0, forwardKey.indexOf(':'))] += 1
+    })
+    return { replaced: forward.size, counts }
+  }
+
+  return {
+    enabled: true,
+    addNames,
+    addBirthDates,
+    redact,
+    redactValue: value => mapStrings(value, redact),
+    restore,
+    restoreValue: value => mapStrings(value, restore),
+    summary,
+  }
+}
+
+// 가리기를 하지 않을 때 쓰는 같은 모양의 처리기
+const NO_REDACTION = {
+  enabled: false,
+  addNames() {},
+  addBirthDates() {},
+  redact: text => text,
+  redactValue: value => value,
+  restore: text => text,
+  restoreValue: value => value,
+  summary: () => null,
+}
+
+module.exports = { createRedactor, NO_REDACTION }
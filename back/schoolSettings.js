@@ -0,0 +1,91 @@
+// back/schoolSettings.js
+// 학교 설정 (school_settings, 018_school_settings.sql) — 한 줄짜리 테이블
+// - AI 호출마다 읽으므로 잠깐 캐시하고, 바꾸면 바로 비움
+// - 읽기에 실패하면 throw: 개인정보 가리기처럼 "켜져 있어야 하는" 설정을 모른 채 진행하지 않도록
+const { supabase } = require('./supabaseClient')
+
+const CACHE_TTL_MS = 30 * 1000
+
+// 관리자가 바꿀 수 있는 설정 → 값 타입
+const SETTING_FIELDS = {
+  require_ai_redaction: 'boolean',
+}
+
+const DEFAULT_SETTINGS = {
+  require_ai_redaction: false,
+}
+
+let cached = null // { settings, expiresAt }
+
+function toSettings(row) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...Object.fromEntries(
+      Object.keys(SETTING_FIELDS)
+        .filter(field => row && row[field] !== undefined && row[field] !== null)
+        .map(field => [field, row[field]]),
+    ),
+    updated_by: row?.updated_by || null,
+    updated_at: row?.updated_at || null,
+  }
+}
+
+async function getSchoolSettings() {
+  if (cached && cached.expiresAt > Date.now()) return cached.settings
+
+  const { data, error } = await supabase
+    .from('school_settings')
+    .select('*')
+    .eq('id', true)
+    .maybeSingle()
+
+  if (error) {
+    console.error('school_settings 조회 에러:', error)
+    throw new Error(`학교 설정을 읽지 못했습니다: ${error.message || error}`)
+  }
+
+  const settings = toSettings(data)
+  cached = { settings, expiresAt: Date.now() + CACHE_TTL_MS }
+  return settings
+}
+
+function invalidSettings(message) {
+  const error = new Error(message)
+  error.code = 'INVALID_SETTINGS'
+  return error
+}
+
+/**
+ * 설정 변경
+ * - fields: { require_ai_redaction, ... } 중 바꿀 것만
+ *   (SETTING_FIELDS 에 없는 키나 타입이 다르면 code 가 INVALID_SETTINGS 인 에러를 throw)
+ * → 바뀐 전체 설정
+ */
+async function updateSchoolSettings(fields, userId) {
+  const updates = {}
+  Object.entries(fields || {}).forEach(([field, value]) => {
+    if (!SETTING_FIELDS[field]) throw invalidSettings(`알 수 없는 설정입니다: ${field}`)
+    if (typeof value !== SETTING_FIELDS[field]) {
+      throw invalidSettings(`${field} 는 ${SETTING_FIELDS[field]} 값이어야 합니다.`)
+    }
+    updates[field] = value
+  })
+
+  const { data, error } = await supabase
+    .from('school_settings')
+    .upsert({
+      id: true,
+      ...updates,
+      updated_by: userId || null,
+      updated_at: new Date().toISOString(),
+    })
+    .select('*')
+    .single()
+
+  if (error) throw error
+
+  cached = null
+  return toSettings(data)
+}
+
+module.exports = { SETTING_FIELDS, getSchoolSettings, updateSchoolSettings }
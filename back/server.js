@@ -1,27 +1,99 @@
 ﻿require('dotenv').config()
 const express = require('express')
+const { EventEmitter } = require('events')
+const crypto = require('crypto')
 const { supabase } = require('./supabaseClient')
 const multer = require('multer')
-const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { buildStorageKey, saveFile, readFile, removeFile } = require('./storage')
+const { createJobQueue } = require('./jobQueue')
+const { extractTextLocally } = require('./textExtractors')
+const { detectFileType } = require('./fileType')
+const { openZip, unpackZip } = require('./zipBatch')
+const { matchStudentName } = require('./studentMatcher')
+const { recordAudit } = require('./audit')
+const { validateExtraction } = require('./recordSchema')
+const { splitIntoChunks, mergeChunkRecords } = require('./extractionChunks')
 const {
-  PDF_TXT_EXTRACTION_PROMPT,
-  GET_REPORT_PROMPT,
-} = require('./prompts')
+  llmProviderName,
+  llmModels,
+  llmModelChoices,
+  llmIsExternal,
+  generateText,
+  canReadFile,
+} = require('./llm')
+const { createRedactor, NO_REDACTION } = require('./redaction')
+const { getSchoolSettings, updateSchoolSettings } = require('./schoolSettings')
+const { reportCategoryCode } = require('./prompts')
+const {
+  BUILTIN_PROMPTS,
+  PROMPT_NAMES,
+  getPrompt,
+  clearPromptCache,
+  promptRef,
+  verifyPromptRef,
+  renderPrompt,
+} = require('./promptRegistry')
+const {
+  ROLES,
+  hasPermission,
+  issueEventsToken,
+  issueSession,
+  normalizeRole,
+  permissionsForRole,
+  requireAuth,
+  requirePermission,
+  verifyToken,
+  verifyPassword,
+} = require('./auth')
 
 const app = express()
 const port = process.env.PORT || 3000
 
-// -------------------- Gemini 클라이언트 설정 --------------------
+// -------------------- AI 제공자 설정 (llm.js) --------------------
+
+// 텍스트/records 추출에 쓸 기본 모델과, 재처리 때 사용자가 고를 수 있는 모델 목록
+// (GEMINI_EXTRACTION_MODELS, OPENAI_MODELS, OLLAMA_MODELS 처럼 제공자별로 지정)
+const DEFAULT_EXTRACTION_MODEL = llmModels.extraction || null
+const EXTRACTION_MODELS = llmModelChoices
+
+// AI 로 보내는 텍스트의 개인정보 가리기 (redaction.js)
+// - 학교 설정(require_ai_redaction)이 켜져 있으면 학생 이름/별칭/생년월일(휴지통 학생 포함)과
+//   전화번호/이메일/주민등록번호를 자리표시자로 바꿔서 보내고, 응답은 restore 로 되돌림
+// - 꺼져 있으면 NO_REDACTION (그대로 보냄)
+// - 설정이나 학생 목록을 읽지 못하면 throw (가리지 못한 원문을 보내지 않음)
+// - 학생 목록은 REDACTION_STUDENT_PAGE 명씩 끝까지 읽고, 읽은 수가 전체 수와 다르면 throw
+//   (PostgREST 한 번 조회 최대 행 수에 걸려 일부 이름이 빠진 채 보내지 않도록)
+const REDACTION_STUDENT_PAGE = 1000
+
+async function createAiRedactor() {
+  const settings = await getSchoolSettings()
+  if (!settings.require_ai_redaction) return NO_REDACTION
+
+  const fail = error => {
+    console.error('개인정보 가리기용 students 조회 에러:', error)
+    return new Error('개인정보 가리기에 필요한 학생 목록을 읽지 못해 AI 를 호출하지 않았습니다.')
+  }
+
+  const students = []
+  let total = null
+  while (total === null || students.length < total) {
+    const { data, error, count } = await supabase
+      .from('students')
+      .select('name, nickname, birth_date', { count: 'exact' })
+      .order('id', { ascending: true })
+      .range(students.length, students.length + REDACTION_STUDENT_PAGE - 1)
+
+    if (error) throw fail(error)
+    total = count ?? 0
+    if (!data || data.length === 0) break
+    students.push(...data)
+  }
 
-const geminiApiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
-let gemini = null
+  if (students.length !== total) {
+    throw fail(`학생 ${total}명 중 ${students.length}명만 읽음`)
+  }
 
-if (geminiApiKey) {
-  gemini = new GoogleGenerativeAI(geminiApiKey)
-} else {
-  console.warn(
-    '⚠️ GEMINI_API_KEY 또는 GOOGLE_API_KEY 환경변수가 설정되어 있지 않습니다. Gemini 기반 기능이 비활성화됩니다.',
-  )
+  return createRedactor({ students })
 }
 
 // ```json 코드블록 등을 제거하면서 JSON 파싱하는 유틸
@@ -34,87 +106,404 @@ function parseJsonFromText(text) {
     cleaned = cleaned.replace(/```$/i, '').trim()
     return JSON.parse(cleaned)
   } catch (e) {
-    console.error('Gemini JSON 파싱 에러:', e)
+    console.error('AI 응답 JSON 파싱 에러:', e)
     return null
   }
 }
 
-// 업로드된 파일에서 순수 텍스트만 추출하는 유틸
-async function extractPlainTextFromFile(file) {
-  if (!file) return null
+/**
+ * 업로드된 파일에서 순수 텍스트만 추출하는 유틸
+ * - file: { buffer, mimetype, originalname }
+ * - 성공: { text, extractor, model, ocr }
+ *   extractor 는 raw_text 를 만든 추출기
+ *   ('text' | 'pdf-text' | 'pdf-ocr' | 'ocr' | 'docx' | 'hwpx' | 'hwp' | AI 제공자 이름)
+ *   ocr 은 로컬 OCR 일 때만 { confidence, pages: [{ page, text, confidence, lines }] }
+ * - 실패: { text: null, error } (error 는 ingest_uploads.error 에 그대로 남길 사유)
+ * - options.model 로 AI 모델을 바꿔서 재시도 가능
+ *
+ * 1) textExtractors.js 의 로컬 추출기로 먼저 시도 (학생 정보를 외부로 보내지 않음)
+ * 2) 로컬 OCR 로도 못 읽은 이미지/스캔 PDF 만 AI 제공자(llm.js)로 보냄
+ *    (파일은 가릴 수 없으므로 학교 설정에서 개인정보 가리기가 필수면 외부 AI 로는 보내지 않음)
+ */
+async function extractPlainTextFromFile(file, options = {}) {
+  if (!file) return { text: null, error: '추출할 파일이 없습니다.' }
 
   // 원래 MIME 타입
   const originalMime = file.mimetype || 'application/octet-stream'
 
-  // 1) text/* 파일은 우선 UTF-8 로 직접 디코딩
-  if (originalMime.startsWith('text/')) {
-    try {
-      return file.buffer.toString('utf8')
-    } catch (e) {
-      console.error('텍스트 파일 디코딩 에러:', e)
+  // 1) 로컬 추출기
+  const local = await extractTextLocally(file)
+  if (local.text) {
+    return {
+      text: local.text,
+      extractor: local.extractor,
+      model: null,
+      ocr: local.ocr || null,
     }
   }
 
-  // 2) Gemini 가 설정되지 않은 경우 여기서 종료
-  if (!gemini) {
-    return null
+  // 2) AI 로 보낼 수 있는 건 이미지/스캔 PDF 뿐
+  const isImage = originalMime.startsWith('image/')
+  const isScannedPdf = ['pdf-text', 'pdf-ocr'].includes(local.extractor)
+  if (!isImage && !isScannedPdf) {
+    return {
+      text: null,
+      error: local.extractor
+        ? `텍스트 추출 실패 (${local.error})`
+        : `지원하지 않는 파일 형식입니다. (${originalMime})`,
+    }
   }
 
-  // 3) Gemini에 전달할 MIME 타입 정규화
-  let mimeType = originalMime
+  const kindLabel = isImage ? '이미지' : '스캔 PDF'
+  const localReason = local.error || 'OCR 미지원 형식'
 
-  // Hancom PDF 같은 특이 타입 → 일반 PDF 로 보정
-  if (
-    mimeType === 'application/haansoftpdf' ||
-    mimeType === 'application/x-haansoftpdf'
-  ) {
-    mimeType = 'application/pdf'
-  } else if (!/^application\/(pdf|json|octet-stream)$/.test(mimeType)) {
-    // 그 외 이상한 application/* 타입들은 범용 바이너리로 보냄
-    mimeType = 'application/octet-stream'
+  if (!llmProviderName) {
+    return {
+      text: null,
+      error: `${kindLabel} 에서 텍스트를 읽지 못했고 (${localReason}), AI 제공자도 설정되어 있지 않습니다.`,
+    }
   }
 
-  try {
-    const base64 = file.buffer.toString('base64')
-    const modelName =
-      process.env.GEMINI_TEXT_MODEL ||
-      process.env.GEMINI_EXTRACTION_MODEL ||
-      'gemini-2.5-flash'
+  // 3) AI 에 전달할 MIME 타입 (업로드 때 파일 내용으로 판별한 값)
+  const mimeType = isImage ? originalMime : 'application/pdf'
 
-    const model = gemini.getGenerativeModel({ model: modelName })
+  if (!canReadFile(mimeType)) {
+    return {
+      text: null,
+      error: `${kindLabel} 에서 텍스트를 읽지 못했고 (${localReason}), 현재 AI 제공자(${llmProviderName})는 이 형식을 직접 읽을 수 없습니다.`,
+    }
+  }
 
-    const promptText = `
-당신은 업로드된 파일에서 사람이 읽을 수 있는 텍스트만 최대한 그대로 추출하는 도우미입니다.
+  if (llmIsExternal) {
+    let settings = null
+    try {
+      settings = await getSchoolSettings()
+    } catch (e) {
+      return { text: null, error: e.message || String(e) }
+    }
+    if (settings.require_ai_redaction) {
+      return {
+        text: null,
+        error: `${kindLabel} 에서 텍스트를 읽지 못했고 (${localReason}), 개인정보 가리기가 필수인 학교 설정이라 파일을 외부 AI(${llmProviderName})로 보내지 않았습니다.`,
+      }
+    }
+  }
 
-- PDF, 이미지, 기타 문서에서 사람이 읽을 수 있는 문장만 뽑아 주세요.
-- 표나 레이아웃 정보는 단순한 줄바꿈 텍스트로 표현해 주세요.
-- 추가 설명, 요약, 분석 문장은 넣지 마세요.
-- JSON, Markdown 코드블록, 따옴표 없이 순수한 텍스트만 그대로 출력하세요.
-`
+  const prompt = await getPrompt('text_extraction')
 
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          data: base64,
-          mimeType, // ← 여기서 정규화된 mimeType 사용
-        },
-      },
-      { text: promptText },
-    ])
+  let modelName = options.model || llmModels.text
+  try {
+    const result = await generateText({
+      task: 'text',
+      model: options.model,
+      prompt: prompt.body,
+      files: [{ data: file.buffer, mimeType }],
+    })
+    modelName = result.model
 
-    let text = result.response.text() || ''
-    text = text.trim()
     // 혹시 ``` 로 감싸져 온 경우 제거
-    text = text.replace(/^```[a-zA-Z]*\s*/i, '').replace(/```$/i, '').trim()
-    return text || null
+    const text = result.text
+      .trim()
+      .replace(/^```[a-zA-Z]*\s*/i, '')
+      .replace(/```$/i, '')
+      .trim()
+    if (!text) {
+      return {
+        text: null,
+        error: `파일에서 읽을 수 있는 텍스트를 찾지 못했습니다. (${modelName})`,
+      }
+    }
+    return { text, extractor: llmProviderName, model: modelName, ocr: null }
   } catch (e) {
-    console.error('Gemini 텍스트 추출 에러:', e)
-    return null
+    console.error('AI 텍스트 추출 에러:', e)
+    return {
+      text: null,
+      error: `AI 텍스트 추출 실패 (${llmProviderName}:${modelName}): ${e.message || e}`,
+    }
+  }
+}
+
+// 응답이 JSON 이 아니거나 records 배열이 없을 때 다시 물어보는 횟수
+const EXTRACTION_MAX_RETRIES = Number(process.env.GEMINI_EXTRACTION_RETRIES ?? 1)
+// 다시 물어볼 때 프롬프트에 붙이는 직전 응답 길이
+const EXTRACTION_RETRY_RAW_CHARS = 2000
+
+// 긴 원본 텍스트는 조각으로 나눠서 추출 (extractionChunks.js)
+// - EXTRACTION_CHUNK_CHARS 글자씩, 앞뒤 조각이 EXTRACTION_CHUNK_OVERLAP 글자만큼 겹침
+// - 조각은 EXTRACTION_CHUNK_CONCURRENCY 개씩 동시에 AI 로 보냄
+const EXTRACTION_CHUNK_CHARS = Number(process.env.EXTRACTION_CHUNK_CHARS) || 12000
+const EXTRACTION_CHUNK_OVERLAP =
+  Number(process.env.EXTRACTION_CHUNK_OVERLAP ?? 1000)
+const EXTRACTION_CHUNK_CONCURRENCY =
+  Number(process.env.EXTRACTION_CHUNK_CONCURRENCY) || 3
+
+// items 를 limit 개씩 동시에 worker 로 처리 (결과는 items 순서대로)
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  async function run() {
+    while (nextIndex < items.length) {
+      const i = nextIndex
+      nextIndex += 1
+      results[i] = await worker(items[i], i)
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, run),
+  )
+  return results
+}
+
+// records 추출 프롬프트 = 저장소의 extraction 프롬프트 + 입력 JSON
+function buildExtractionPrompt(body, input) {
+  return body + '\n\n[입력 JSON]\n' + JSON.stringify(input)
+}
+
+// 텍스트 한 조각 → records (JSON 이 아니면 EXTRACTION_MAX_RETRIES 번까지 다시 요청)
+// - redactor: 입력은 가려서 보내고, 응답은 원래 값으로 되돌린 뒤 검사
+// → { raw, parsed, result: validateExtraction 결과, attempts }
+async function extractRecordsFromChunk(modelName, promptBody, input, redactor) {
+  const sentInput = redactor.redactValue(input)
+  const basePrompt = buildExtractionPrompt(promptBody, sentInput)
+
+  let prompt = basePrompt
+  let attempts = 0
+  let raw = null
+  let parsed = null
+  let result = null
+
+  for (;;) {
+    attempts += 1
+    const response = await generateText({
+      task: 'extraction',
+      model: modelName,
+      prompt,
+      json: true,
+      input: sentInput,
+    })
+    raw = redactor.restore(response.text)
+    parsed = redactor.restoreValue(parseJsonFromText(response.text))
+    result = validateExtraction(parsed)
+    if (result.ok || attempts > EXTRACTION_MAX_RETRIES) break
+
+    console.warn(
+      `records 추출 응답 오류, 다시 요청합니다 (${attempts}/${EXTRACTION_MAX_RETRIES}): ${result.error}`,
+    )
+    prompt =
+      basePrompt +
+      '\n\n[이전 응답 오류]\n' +
+      `직전 응답을 사용할 수 없습니다: ${result.error}\n` +
+      '위 출력 JSON 스키마의 { "records": [...] } 형태로, 설명이나 코드 블록 없이 유효한 JSON 만 다시 출력하세요.\n\n' +
+      '[직전 응답]\n' +
+      String(response.text || '').slice(0, EXTRACTION_RETRY_RAW_CHARS)
+  }
+
+  return { raw, parsed, result, attempts }
+}
+
+// 조각 추출 결과의 실패 사유 (성공이면 null)
+function chunkErrorOf(outcome) {
+  if (outcome.exception) return outcome.exception.message || String(outcome.exception)
+  return outcome.result.error
+}
+
+// 원본 텍스트 → 프롬프트 저장소의 extraction 프롬프트로 records JSON
+// (/ai/extract-records 와 업로드 처리 작업 큐에서 같이 사용, AI 제공자가 있을 때만 호출)
+// - 응답은 recordSchema.js 로 검사/보정: parsed.records 에는 스키마에 맞춘 레코드만 남음
+// - 긴 텍스트는 날짜/문단 경계로 나눠 조각별로 추출한 뒤, 겹친 부분의 중복 레코드를 합침
+// - options.onChunk({ index, total, done, status, record_count, error }): 조각 하나가 끝날 때마다 호출
+// - options.prompt: 저장소 대신 쓸 프롬프트 { id, name, version, body } (프롬프트 테스트 콘솔용)
+// - prompt: 사용한 프롬프트 { id, name, version } (log_entries.prompt_id/prompt_version 으로 이어짐)
+// - redaction: 학교 설정으로 개인정보를 가려서 보냈으면 { replaced, counts }, 아니면 null
+// - validation: { attempts, error, warning, failed_chunks, valid_count, repaired, dropped, duplicates }
+//   일부 조각만 실패하면 error 는 null 이고 warning 에 빠진 구간(조각 번호, 글자 위치)을 적음
+//   (repaired/dropped/duplicates 의 chunk, index 는 조각 번호와 그 조각 records 안의 순서)
+// - chunks: [{ index, start, end, status: 'done' | 'failed', attempts, record_count, error }]
+// - 모든 조각이 예외로 실패하면 첫 예외를 그대로 throw
+async function extractRecordsFromText(rawText, fileName, options = {}) {
+  const modelName = options.model || DEFAULT_EXTRACTION_MODEL
+  const prompt = options.prompt || (await getPrompt('extraction'))
+  // 조각 전체에 같은 처리기를 써서 같은 학생은 같은 자리표시자로
+  const redactor = await createAiRedactor()
+
+  const chunks = splitIntoChunks(rawText, {
+    maxChars: EXTRACTION_CHUNK_CHARS,
+    overlapChars: EXTRACTION_CHUNK_OVERLAP,
+  })
+  let done = 0
+
+  const outcomes = await mapWithConcurrency(
+    chunks,
+    EXTRACTION_CHUNK_CONCURRENCY,
+    async chunk => {
+      const input = {
+        raw_text: chunk.text,
+        file_name: fileName || null,
+      }
+      // 나눠 보낸 경우 모델에게 전체 중 일부라는 것을 알려 줌
+      if (chunks.length > 1) {
+        input.chunk = `${chunk.index + 1}/${chunks.length}`
+      }
+
+      let outcome = null
+      try {
+        outcome = await extractRecordsFromChunk(modelName, prompt.body, input, redactor)
+      } catch (e) {
+        console.error(`records 추출 에러 (조각 ${chunk.index + 1}/${chunks.length}):`, e)
+        outcome = { exception: e }
+      }
+
+      done += 1
+      if (options.onChunk) {
+        await options.onChunk({
+          index: chunk.index,
+          total: chunks.length,
+          done,
+          status: outcome.result?.ok ? 'done' : 'failed',
+          record_count: outcome.result?.records.length || 0,
+          error: chunkErrorOf(outcome),
+        })
+      }
+      return outcome
+    },
+  )
+
+  if (outcomes.every(outcome => outcome.exception)) {
+    throw outcomes[0].exception
+  }
+
+  const succeeded = outcomes.filter(outcome => outcome.result?.ok)
+  const failedChunks = chunks
+    .map((chunk, i) => ({ chunk, outcome: outcomes[i] }))
+    .filter(({ outcome }) => !outcome.result?.ok)
+    .map(({ chunk, outcome }) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      error: chunkErrorOf(outcome),
+    }))
+  const warning =
+    succeeded.length > 0 && failedChunks.length > 0
+      ? `${chunks.length}개 조각 중 ${failedChunks
+          .map(c => `${c.index + 1}번(${c.start}~${c.end}자)`)
+          .join(', ')} 추출 실패: 이 구간의 기록은 빠져 있습니다.`
+      : null
+  const { records, duplicates } = mergeChunkRecords(
+    outcomes.map(outcome => (outcome.result?.ok ? outcome.result.records : [])),
+  )
+
+  // 한 조각이면 예전처럼 모델이 돌려준 나머지 필드도 그대로 둠
+  const single = chunks.length === 1 ? outcomes[0] : null
+  const parsed =
+    succeeded.length === 0
+      ? null
+      : single && single.parsed && !Array.isArray(single.parsed)
+        ? { ...single.parsed, records }
+        : { records }
+
+  return {
+    model: modelName,
+    prompt: promptRef(prompt),
+    redaction: redactor.summary(),
+    raw: outcomes
+      .map(outcome => outcome.raw)
+      .filter(Boolean)
+      .join('\n\n'),
+    parsed,
+    validation: {
+      attempts: outcomes.reduce((sum, outcome) => sum + (outcome.attempts || 0), 0),
+      error: succeeded.length === 0 ? chunkErrorOf(outcomes[0]) : null,
+      warning,
+      failed_chunks: failedChunks,
+      valid_count: records.length,
+      repaired: outcomes.flatMap((outcome, chunk) =>
+        (outcome.result?.repaired || []).map(item => ({ chunk, ...item })),
+      ),
+      dropped: outcomes.flatMap((outcome, chunk) =>
+        (outcome.result?.dropped || []).map(item => ({ chunk, ...item })),
+      ),
+      duplicates,
+    },
+    chunks: chunks.map((chunk, i) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      status: outcomes[i].result?.ok ? 'done' : 'failed',
+      attempts: outcomes[i].attempts || 0,
+      record_count: outcomes[i].result?.records.length || 0,
+      error: chunkErrorOf(outcomes[i]),
+    })),
   }
 }
 
 // 파일 업로드용 multer (메모리 저장)
-const upload = multer({ storage: multer.memoryStorage() })
+// - 파일 전체를 메모리에 올리므로 크기/개수 제한 필수 (UPLOAD_MAX_FILE_MB, UPLOAD_MAX_FILES)
+// - ZIP 일괄 업로드(POST /uploads/zip)만 zipUpload 로 UPLOAD_MAX_ZIP_MB 까지 받고,
+//   푸는 동안 문서마다 UPLOAD_MAX_FILE_MB, 전체 UPLOAD_ZIP_MAX_TOTAL_MB 를 다시 확인
+const UPLOAD_MAX_FILE_MB = Number(process.env.UPLOAD_MAX_FILE_MB) || 20
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 10
+const UPLOAD_MAX_ZIP_MB = Number(process.env.UPLOAD_MAX_ZIP_MB) || 100
+const UPLOAD_ZIP_MAX_FILES = Number(process.env.UPLOAD_ZIP_MAX_FILES) || 200
+const UPLOAD_ZIP_MAX_TOTAL_MB =
+  Number(process.env.UPLOAD_ZIP_MAX_TOTAL_MB) || 500
+
+const MB = 1024 * 1024
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_FILE_MB * MB,
+    files: UPLOAD_MAX_FILES,
+  },
+})
+
+const zipUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_ZIP_MB * MB,
+    files: 1,
+  },
+})
+
+// multer 제한 초과 에러 → { message, code } 응답 (크기 초과는 handleUpload 에서 경로별 제한으로)
+const MULTER_ERRORS = {
+  LIMIT_FILE_COUNT: {
+    status: 400,
+    code: 'TOO_MANY_FILES',
+    message: `한 번에 ${UPLOAD_MAX_FILES}개까지 올릴 수 있습니다.`,
+  },
+  LIMIT_UNEXPECTED_FILE: {
+    status: 400,
+    code: 'UNEXPECTED_FILE',
+    message: '파일 필드 이름이 올바르지 않습니다.',
+  },
+}
+
+function handleUpload(middleware, maxFileMb = UPLOAD_MAX_FILE_MB) {
+  return (req, res, next) => {
+    middleware(req, res, err => {
+      if (!err) return next()
+
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            message: `파일은 ${maxFileMb}MB 까지 올릴 수 있습니다.`,
+            code: 'FILE_TOO_LARGE',
+          })
+        }
+        const { status, code, message } = MULTER_ERRORS[err.code] || {
+          status: 400,
+          code: 'UPLOAD_ERROR',
+          message: err.message,
+        }
+        return res.status(status).json({ message, code })
+      }
+      return next(err)
+    })
+  }
+}
 
 // JSON 파싱
 app.use(express.json())
@@ -136,80 +525,1425 @@ app.use((req, res, next) => {
   next()
 })
 
-// -------------------- 헬스 체크 --------------------
+// -------------------- 헬스 체크 --------------------
+
+app.get('/', (req, res) => {
+  res.send('Node + Supabase 서버가 실행 중입니다.')
+})
+
+// -------------------- 로그인 (/auth/login) --------------------
+
+// user_profiles 1건 조회 (없거나 에러면 null)
+async function loadUserProfile(userId) {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, email, display_name, phone, role')
+    .eq('id', userId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('user_profiles 조회 에러:', error)
+    return null
+  }
+  return data || null
+}
+
+// Supabase auth 유저 + user_profiles → 프론트/토큰에서 쓰는 유저 객체
+// - role 은 user_profiles.role 기준, permissions 는 UI 표시용으로 함께 내려줌
+function toSessionUser(authUser, profile) {
+  const role = normalizeRole(profile?.role)
+  return {
+    id: authUser.id,
+    email: authUser.email,
+    display_name:
+      profile?.display_name ||
+      authUser.user_metadata?.full_name ||
+      (authUser.email ? authUser.email.split('@')[0] : '교사'),
+    role,
+    permissions: permissionsForRole(role),
+  }
+}
+
+/**
+ * 프론트: POST {API_BASE}/auth/login 또는 {API_BASE}/api/auth/login
+ * - Supabase Auth 로 이메일/비밀번호를 검증한 뒤
+ *   서명된 access 토큰(token) + refresh 토큰을 발급
+ */
+app.post(['/auth/login', '/api/auth/login'], async (req, res) => {
+  try {
+    const { email, password } = req.body || {}
+
+    if (!email) {
+      return res
+        .status(400)
+        .json({ message: '이메일을 입력해 주세요.', code: 'NO_EMAIL' })
+    }
+    if (!password) {
+      return res
+        .status(400)
+        .json({ message: '비밀번호를 입력해 주세요.', code: 'NO_PASSWORD' })
+    }
+
+    const authUser = await verifyPassword(String(email).trim(), password)
+
+    if (!authUser) {
+      return res.status(401).json({
+        message: '이메일 또는 비밀번호가 올바르지 않습니다.',
+        code: 'INVALID_CREDENTIALS',
+      })
+    }
+
+    const user = toSessionUser(authUser, await loadUserProfile(authUser.id))
+
+    return res.json({
+      ...issueSession(user),
+      user,
+    })
+  } catch (e) {
+    console.error('POST /auth/login 에러:', e)
+    return res.status(500).json({ message: 'Login Error', error: e.toString() })
+  }
+})
+
+/**
+ * POST /auth/refresh, /api/auth/refresh
+ * - body: { refresh_token }
+ * - refresh 토큰이 유효하면 새 access/refresh 토큰을 다시 발급
+ */
+app.post(['/auth/refresh', '/api/auth/refresh'], async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {}
+    const { payload, code } = verifyToken(refresh_token, 'refresh')
+
+    if (!payload) {
+      return res.status(401).json({
+        message: '로그인이 만료되었습니다. 다시 로그인해 주세요.',
+        code,
+      })
+    }
+
+    // 그 사이 삭제된 계정이면 재발급하지 않음
+    const { data, error } = await supabase.auth.admin.getUserById(payload.sub)
+    if (error || !data?.user) {
+      return res.status(401).json({
+        message: '계정을 찾을 수 없습니다. 다시 로그인해 주세요.',
+        code: 'USER_NOT_FOUND',
+      })
+    }
+
+    // role 이 바뀌었을 수 있으므로 재발급 때마다 프로필을 다시 읽음
+    const user = toSessionUser(data.user, await loadUserProfile(data.user.id))
+
+    return res.json({
+      ...issueSession(user),
+      user,
+    })
+  } catch (e) {
+    console.error('POST /auth/refresh 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Refresh Error', error: e.toString() })
+  }
+})
+
+// -------------------- 회원가입 (/auth/signup) --------------------
+
+// 직접 가입하면 항상 observer (교사/관리자 권한은 관리자가 PATCH /api/users/:id/role 로 부여)
+const SIGNUP_ROLE = 'observer'
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_REGEX = /^[0-9+\-\s()]{7,20}$/
+const MIN_PASSWORD_LENGTH = 8
+
+/**
+ * POST /auth/signup, /api/auth/signup
+ * - Login.jsx 의 SignupModal 에서 호출
+ * - body: { email, password, display_name, phone? } (role 을 보내도 무시하고 observer 로 가입)
+ * - Supabase Auth 유저 + user_profiles 행을 함께 생성
+ */
+app.post(['/auth/signup', '/api/auth/signup'], async (req, res) => {
+  try {
+    const body = req.body || {}
+    const email = String(body.email || '').trim().toLowerCase()
+    const password = body.password ? String(body.password) : ''
+    const displayName = String(body.display_name || '').trim()
+    const phone = body.phone ? String(body.phone).trim() : null
+    const role = SIGNUP_ROLE
+
+    // 1) 입력값 검증
+    if (!email || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        message: '올바른 이메일 주소를 입력해 주세요.',
+        code: 'INVALID_EMAIL',
+      })
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`,
+        code: 'WEAK_PASSWORD',
+      })
+    }
+    if (!displayName) {
+      return res
+        .status(400)
+        .json({ message: '이름을 입력해 주세요.', code: 'NO_DISPLAY_NAME' })
+    }
+    if (phone && !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({
+        message: '전화번호 형식이 올바르지 않습니다.',
+        code: 'INVALID_PHONE',
+      })
+    }
+    const duplicate = {
+      message: '이미 가입된 이메일입니다.',
+      code: 'EMAIL_EXISTS',
+    }
+
+    // 2) user_profiles 에 같은 이메일이 있으면 바로 중복 처리
+    const { data: existing, error: existingErr } = await supabase
+      .from('user_profiles')
+      .select('id')
+      .eq('email', email)
+      .limit(1)
+
+    if (existingErr) {
+      console.error('user_profiles 중복 조회 에러:', existingErr)
+    } else if (existing && existing.length > 0) {
+      return res.status(409).json(duplicate)
+    }
+
+    // 3) Supabase Auth 유저 생성 (관리자 API 라 이메일 인증은 생략)
+    const { data: created, error: createErr } =
+      await supabase.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+        user_metadata: { full_name: displayName },
+      })
+
+    if (createErr || !created?.user) {
+      if (
+        createErr?.code === 'email_exists' ||
+        createErr?.code === 'user_already_exists' ||
+        /already (been )?registered/i.test(createErr?.message || '')
+      ) {
+        return res.status(409).json(duplicate)
+      }
+      if (createErr?.code === 'weak_password') {
+        return res.status(400).json({
+          message: '비밀번호가 너무 약합니다. 다른 비밀번호를 사용해 주세요.',
+          code: 'WEAK_PASSWORD',
+        })
+      }
+      console.error('auth.admin.createUser 에러:', createErr)
+      return res
+        .status(500)
+        .json({ message: 'Auth Admin Error', error: createErr })
+    }
+
+    const authUser = created.user
+
+    // 4) user_profiles 행 생성 (실패하면 방금 만든 auth 유저도 되돌림)
+    const now = new Date().toISOString()
+    const { data: profile, error: profileErr } = await supabase
+      .from('user_profiles')
+      .insert([
+        {
+          id: authUser.id,
+          email,
+          display_name: displayName,
+          phone,
+          role,
+          created_at: now,
+          updated_at: now,
+        },
+      ])
+      .select('id, email, display_name, phone, role')
+      .single()
+
+    if (profileErr) {
+      console.error('user_profiles insert 에러:', profileErr)
+      const { error: rollbackErr } = await supabase.auth.admin.deleteUser(
+        authUser.id,
+      )
+      if (rollbackErr) {
+        console.error('회원가입 롤백(auth 유저 삭제) 에러:', rollbackErr)
+      }
+      return res
+        .status(500)
+        .json({ message: '프로필 저장 중 오류가 발생했습니다.', error: profileErr })
+    }
+
+    return res.status(201).json({ user: profile })
+  } catch (e) {
+    console.error('POST /auth/signup 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Signup Error', error: e.toString() })
+  }
+})
+
+// -------------------- 인증 미들웨어 --------------------
+// 여기부터 아래에 등록되는 모든 라우트는 Bearer 토큰이 필요함
+// (헬스 체크, /auth/login, /auth/refresh, /auth/signup 은 위에 있어서 제외됨)
+app.use(requireAuth)
+
+// -------------------- 내 프로필 (/api/me) --------------------
+// (TopNav/Layout 의 ProfileModal 에서 사용)
+
+/**
+ * GET /api/me
+ * - 로그인한 사용자의 auth 정보 + user_profiles 를 합쳐서 반환
+ */
+app.get('/api/me', async (req, res) => {
+  try {
+    const { data, error } = await supabase.auth.admin.getUserById(req.user.id)
+    if (error || !data?.user) {
+      console.error('GET /api/me auth 유저 조회 에러:', error)
+      return res
+        .status(404)
+        .json({ message: '사용자를 찾을 수 없습니다.', code: 'USER_NOT_FOUND' })
+    }
+
+    const profile = await loadUserProfile(req.user.id)
+
+    return res.json({
+      ...toSessionUser(data.user, profile),
+      phone: profile?.phone || null,
+    })
+  } catch (e) {
+    console.error('GET /api/me 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * PATCH /api/me
+ * - body: { display_name?, phone?, email?, current_password? }
+ * - email(로그인 아이디)을 바꿀 때는 current_password 가 필요
+ * - 이름/이메일이 토큰에도 들어 있으므로 새 토큰을 함께 발급
+ */
+app.patch('/api/me', async (req, res) => {
+  try {
+    const body = req.body || {}
+
+    const { data: authData, error: authErr } =
+      await supabase.auth.admin.getUserById(req.user.id)
+    if (authErr || !authData?.user) {
+      console.error('PATCH /api/me auth 유저 조회 에러:', authErr)
+      return res
+        .status(404)
+        .json({ message: '사용자를 찾을 수 없습니다.', code: 'USER_NOT_FOUND' })
+    }
+    const authUser = authData.user
+
+    const updateData = {}
+
+    if (body.display_name !== undefined) {
+      const displayName = String(body.display_name || '').trim()
+      if (!displayName) {
+        return res
+          .status(400)
+          .json({ message: '이름을 입력해 주세요.', code: 'NO_DISPLAY_NAME' })
+      }
+      updateData.display_name = displayName
+    }
+
+    if (body.phone !== undefined) {
+      const phone = body.phone ? String(body.phone).trim() : null
+      if (phone && !PHONE_REGEX.test(phone)) {
+        return res.status(400).json({
+          message: '전화번호 형식이 올바르지 않습니다.',
+          code: 'INVALID_PHONE',
+        })
+      }
+      updateData.phone = phone
+    }
+
+    let nextEmail = null
+    if (body.email !== undefined) {
+      const email = String(body.email || '').trim().toLowerCase()
+      if (!email || !EMAIL_REGEX.test(email)) {
+        return res.status(400).json({
+          message: '올바른 이메일 주소를 입력해 주세요.',
+          code: 'INVALID_EMAIL',
+        })
+      }
+      if (email !== (authUser.email || '').toLowerCase()) {
+        nextEmail = email
+      }
+    }
+
+    if (Object.keys(updateData).length === 0 && !nextEmail) {
+      return res.status(400).json({ message: '업데이트할 필드가 없습니다.' })
+    }
+
+    // 1) 로그인 아이디(이메일) 변경: 현재 비밀번호 확인 후 auth 유저 갱신
+    if (nextEmail) {
+      if (!body.current_password) {
+        return res.status(400).json({
+          message: '아이디를 변경하려면 현재 비밀번호를 입력해 주세요.',
+          code: 'NO_CURRENT_PASSWORD',
+        })
+      }
+
+      const verified = await verifyPassword(
+        authUser.email,
+        body.current_password,
+      )
+      if (!verified) {
+        return res.status(400).json({
+          message: '현재 비밀번호가 올바르지 않습니다.',
+          code: 'INVALID_CURRENT_PASSWORD',
+        })
+      }
+
+      const { error: emailErr } = await supabase.auth.admin.updateUserById(
+        authUser.id,
+        { email: nextEmail, email_confirm: true },
+      )
+      if (emailErr) {
+        if (
+          emailErr.code === 'email_exists' ||
+          /already (been )?registered/i.test(emailErr.message || '')
+        ) {
+          return res.status(409).json({
+            message: '이미 사용 중인 이메일입니다.',
+            code: 'EMAIL_EXISTS',
+          })
+        }
+        console.error('auth 이메일 변경 에러:', emailErr)
+        return res
+          .status(500)
+          .json({ message: 'Auth Admin Error', error: emailErr })
+      }
+
+      updateData.email = nextEmail
+    }
+
+    // 2) user_profiles 갱신 (예전 계정처럼 행이 없으면 새로 만듦)
+    const { data: profile, error: profileErr } = await supabase
+      .from('user_profiles')
+      .upsert(
+        [
+          {
+            id: authUser.id,
+            email: nextEmail || authUser.email,
+            ...updateData,
+            updated_at: new Date().toISOString(),
+          },
+        ],
+        { onConflict: 'id' },
+      )
+      .select('id, email, display_name, phone, role')
+      .single()
+
+    if (profileErr) {
+      console.error('user_profiles 수정 에러:', profileErr)
+      return res.status(500).json({ message: 'DB Error', error: profileErr })
+    }
+
+    const user = toSessionUser(
+      { ...authUser, email: nextEmail || authUser.email },
+      profile,
+    )
+
+    return res.json({
+      ...issueSession(user),
+      user: { ...user, phone: profile.phone || null },
+    })
+  } catch (e) {
+    console.error('PATCH /api/me 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * POST /api/me/password
+ * - body: { current_password, new_password }
+ * - 현재 비밀번호를 확인한 뒤에만 새 비밀번호로 변경
+ */
+app.post('/api/me/password', async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body || {}
+
+    if (!current_password) {
+      return res.status(400).json({
+        message: '현재 비밀번호를 입력해 주세요.',
+        code: 'NO_CURRENT_PASSWORD',
+      })
+    }
+    if (!new_password || String(new_password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `새 비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`,
+        code: 'WEAK_PASSWORD',
+      })
+    }
+
+    const { data, error } = await supabase.auth.admin.getUserById(req.user.id)
+    if (error || !data?.user) {
+      console.error('POST /api/me/password auth 유저 조회 에러:', error)
+      return res
+        .status(404)
+        .json({ message: '사용자를 찾을 수 없습니다.', code: 'USER_NOT_FOUND' })
+    }
+
+    const verified = await verifyPassword(data.user.email, current_password)
+    if (!verified) {
+      return res.status(400).json({
+        message: '현재 비밀번호가 올바르지 않습니다.',
+        code: 'INVALID_CURRENT_PASSWORD',
+      })
+    }
+
+    const { error: updateErr } = await supabase.auth.admin.updateUserById(
+      data.user.id,
+      { password: String(new_password) },
+    )
+
+    if (updateErr) {
+      if (updateErr.code === 'weak_password') {
+        return res.status(400).json({
+          message: '비밀번호가 너무 약합니다. 다른 비밀번호를 사용해 주세요.',
+          code: 'WEAK_PASSWORD',
+        })
+      }
+      if (updateErr.code === 'same_password') {
+        return res.status(400).json({
+          message: '현재 비밀번호와 다른 비밀번호를 입력해 주세요.',
+          code: 'SAME_PASSWORD',
+        })
+      }
+      console.error('비밀번호 변경 에러:', updateErr)
+      return res
+        .status(500)
+        .json({ message: 'Auth Admin Error', error: updateErr })
+    }
+
+    return res.status(204).send()
+  } catch (e) {
+    console.error('POST /api/me/password 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+// -------------------- 사용자 관리 (/api/users) --------------------
+
+/**
+ * GET /api/users
+ * - 가입한 사용자 목록 (역할 변경 화면용)
+ */
+app.get('/api/users', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, email, display_name, phone, role, created_at')
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('user_profiles 목록 조회 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
+    }
+
+    return res.json({
+      items: (data || []).map(row => ({ ...row, role: normalizeRole(row.role) })),
+    })
+  } catch (e) {
+    console.error('GET /api/users 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * PATCH /api/users/:id/role
+ * - body: { role: 'observer' | 'teacher' | 'admin' }
+ * - 바뀐 역할은 그 사용자가 토큰을 다시 발급받을 때(/auth/refresh, 재로그인) 반영됨
+ * - 자기 자신의 역할은 바꿀 수 없음 (관리자가 한 명도 없게 되는 것을 막기 위해)
+ */
+app.patch(
+  '/api/users/:id/role',
+  requirePermission('users.manage'),
+  async (req, res) => {
+    const { id } = req.params
+    const role = req.body?.role
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `role 은 ${ROLES.join(', ')} 중 하나여야 합니다.`,
+        code: 'INVALID_ROLE',
+      })
+    }
+    if (id === req.user.id) {
+      return res.status(400).json({
+        message: '자기 자신의 역할은 바꿀 수 없습니다.',
+        code: 'CANNOT_CHANGE_OWN_ROLE',
+      })
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .update({ role, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select('id, email, display_name, phone, role, created_at')
+        .maybeSingle()
+
+      if (error) {
+        console.error('user_profiles 역할 변경 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+      if (!data) {
+        return res
+          .status(404)
+          .json({ message: '사용자를 찾을 수 없습니다.', code: 'USER_NOT_FOUND' })
+      }
+
+      return res.json(data)
+    } catch (e) {
+      console.error('PATCH /api/users/:id/role 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+// -------------------- 업로드 처리 작업 큐 --------------------
+/**
+ * ingest_uploads.status 흐름
+ *   queued → extracting → analyzing → needs_review → success
+ *                 └────────────┴──→ failed
+ * - needs_review: 텍스트/AI 분석이 끝나서 교사 검토(DetailAnalysisModal)를 기다리는 상태
+ * - success: POST /uploads/:id/log 로 기록 저장까지 끝난 상태
+ *
+ * progress 는 UploadPage 의 STEP_DEFS(extract / ai / save) 3단계를 0~100 으로 나눠 씀
+ *   extract: 0~33, ai: 33~66, save: 66~100
+ */
+const INGEST_PROGRESS = {
+  queued: 0,
+  extracting: 5,
+  extracted: 33,
+  analyzing: 40,
+  needs_review: 66,
+  success: 100,
+}
+
+// 이 상태들은 아직 작업 큐에서 처리할 일이 남은 상태
+const INGEST_ACTIVE_STATUSES = ['queued', 'extracting', 'analyzing']
+
+// 업로드 처리 후 AI 자동 분석까지 할지 (INGEST_AUTO_ANALYZE=false 면 텍스트 추출만)
+const INGEST_AUTO_ANALYZE = process.env.INGEST_AUTO_ANALYZE !== 'false'
+
+// ingest_uploads 변경 알림 (GET /uploads/events 구독자에게 전달)
+const uploadEvents = new EventEmitter()
+uploadEvents.setMaxListeners(0)
+
+// 이벤트로 내보낼 필드 (raw_text, ai_records 같은 큰 값은 제외)
+const UPLOAD_EVENT_FIELDS = [
+  'id',
+  'file_name',
+  'status',
+  'progress',
+  'error',
+  'attempts',
+  'extraction_model',
+  'text_extractor',
+  'batch_id',
+  'student_id',
+  'uploaded_by',
+  'created_at',
+]
+
+/**
+ * type: 'created' | 'updated' | 'deleted'
+ */
+function publishUploadEvent(type, upload) {
+  const payload = {}
+  UPLOAD_EVENT_FIELDS.forEach(key => {
+    if (upload[key] !== undefined) payload[key] = upload[key]
+  })
+  uploadEvents.emit('change', { type, upload: payload })
+}
+
+async function updateUploadStatus(id, fields) {
+  const { data, error } = await supabase
+    .from('ingest_uploads')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('uploaded_by')
+    .maybeSingle()
+
+  if (error) {
+    console.error(`ingest_uploads 상태 업데이트 에러 (${id}):`, error)
+    return
+  }
+
+  // uploaded_by: ?uploaded_by=me 구독자에게 보낼지 가리는 데 사용
+  publishUploadEvent('updated', { id, uploaded_by: data?.uploaded_by, ...fields })
+}
+
+/**
+ * 업로드 1건 처리: 저장소의 원본 → raw_text 추출 → (가능하면) AI records 추출
+ */
+async function processUpload(uploadId) {
+  const { data: upload, error } = await supabase
+    .from('ingest_uploads')
+    .select('id, file_name, storage_key, mime_type, status, attempts, extraction_model')
+    .eq('id', uploadId)
+    .single()
+
+  if (error || !upload) {
+    console.error(`처리할 업로드를 찾을 수 없습니다 (${uploadId}):`, error)
+    return
+  }
+
+  const fail = message =>
+    updateUploadStatus(uploadId, { status: 'failed', error: message })
+
+  try {
+    // 1) 텍스트 추출 (시도 횟수 기록)
+    await updateUploadStatus(uploadId, {
+      status: 'extracting',
+      progress: INGEST_PROGRESS.extracting,
+      error: null,
+      attempts: (upload.attempts || 0) + 1,
+      last_attempt_at: new Date().toISOString(),
+    })
+
+    const stored = await readFile(upload.storage_key)
+    if (!stored) {
+      return fail('저장소에서 원본 파일을 찾을 수 없습니다.')
+    }
+
+    const chunks = []
+    for await (const chunk of stored.stream) chunks.push(chunk)
+
+    const modelOptions = { model: upload.extraction_model || undefined }
+
+    const buffer = Buffer.concat(chunks)
+
+    const {
+      text: rawText,
+      extractor,
+      model: textModel,
+      ocr,
+      error: extractError,
+    } = await extractPlainTextFromFile(
+      {
+        buffer,
+        // 예전 업로드는 브라우저가 보낸 MIME 이 저장되어 있으므로 내용으로 다시 판별
+        mimetype:
+          detectFileType(buffer, upload.file_name)?.mime ||
+          upload.mime_type ||
+          stored.contentType,
+        originalname: upload.file_name,
+      },
+      modelOptions,
+    )
+
+    if (!rawText) {
+      return fail(extractError || '파일에서 텍스트를 추출하지 못했습니다.')
+    }
+
+    await updateUploadStatus(uploadId, {
+      raw_text: rawText,
+      text_extractor: textModel ? `${extractor}:${textModel}` : extractor,
+      // 로컬 OCR 결과면 페이지/줄별 신뢰도 (DetailAnalysisModal 에서 낮은 줄 표시)
+      ocr_confidence: ocr ? ocr.confidence : null,
+      ocr_pages: ocr ? ocr.pages : null,
+      progress: INGEST_PROGRESS.extracted,
+    })
+
+    // 2) AI 분석 (AI 제공자가 없거나 꺼져 있으면 건너뛰고 바로 검토 대기)
+    if (!llmProviderName || !INGEST_AUTO_ANALYZE) {
+      return updateUploadStatus(uploadId, {
+        status: 'needs_review',
+        progress: INGEST_PROGRESS.needs_review,
+      })
+    }
+
+    await updateUploadStatus(uploadId, {
+      status: 'analyzing',
+      progress: INGEST_PROGRESS.analyzing,
+    })
+
+    try {
+      const { model, prompt, parsed, validation } = await extractRecordsFromText(
+        rawText,
+        upload.file_name,
+        {
+          ...modelOptions,
+          // 긴 문서는 조각이 끝날 때마다 analyzing ~ needs_review 사이로 진행률 갱신
+          onChunk: ({ total, done }) => {
+            if (total < 2) return null
+            const span = INGEST_PROGRESS.needs_review - INGEST_PROGRESS.analyzing
+            return updateUploadStatus(uploadId, {
+              progress:
+                INGEST_PROGRESS.analyzing + Math.floor((span * done) / (total + 1)),
+            })
+          },
+        },
+      )
+      await updateUploadStatus(uploadId, {
+        status: 'needs_review',
+        progress: INGEST_PROGRESS.needs_review,
+        ai_records: parsed ? parsed.records : null,
+        ai_model: model,
+        // 이 결과를 저장하면 log_entries 에도 같은 프롬프트가 남음 (save_upload_log)
+        ai_prompt_id: parsed ? prompt.id : null,
+        ai_prompt_version: parsed ? prompt.version : null,
+        // 일부 조각만 실패했으면 빠진 구간을 남겨서 교사가 확인하게 함
+        error: parsed
+          ? validation.warning
+          : `AI 분석 결과를 해석하지 못했습니다. (${validation.error})`,
+      })
+    } catch (e) {
+      // AI 실패는 치명적이지 않음: 텍스트는 있으므로 교사가 직접 검토/재분석 가능
+      console.error(`업로드 AI 분석 에러 (${uploadId}):`, e)
+      await updateUploadStatus(uploadId, {
+        status: 'needs_review',
+        progress: INGEST_PROGRESS.needs_review,
+        error: `AI 자동 분석 실패: ${e.message || e}`,
+      })
+    }
+  } catch (e) {
+    console.error(`업로드 처리 에러 (${uploadId}):`, e)
+    await fail(e.message || String(e))
+  }
+}
+
+const ingestQueue = createJobQueue({
+  name: 'ingest',
+  concurrency: Number(process.env.INGEST_CONCURRENCY) || 1,
+  handler: processUpload,
+})
+
+// 서버가 재시작되기 전에 처리 중이던 업로드를 다시 큐에 넣음
+async function resumePendingUploads() {
+  const { data, error } = await supabase
+    .from('ingest_uploads')
+    .select('id')
+    .in('status', INGEST_ACTIVE_STATUSES)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    console.error('미처리 업로드 조회 에러:', error)
+    return
+  }
+
+  ;(data || []).forEach(u => ingestQueue.enqueue(u.id))
+  if (data && data.length > 0) {
+    console.log(`미처리 업로드 ${data.length}건을 다시 처리합니다.`)
+  }
+}
+
+// -------------------- 휴지통 (soft delete) --------------------
+// 삭제 API 는 행을 지우지 않고 deleted_at / deleted_by 만 채움 (015_soft_delete.sql)
+// - 관리자(trash.manage)는 GET /api/trash 에서 보고 복원할 수 있음
+// - TRASH_RETENTION_DAYS(기본 30일)가 지난 행은 purgeExpiredTrash 가 완전히 삭제
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 휴지통 종류별 테이블 / 목록에 보여줄 제목
+const TRASH_TYPES = {
+  students: {
+    table: 'students',
+    columns: 'id, name',
+    title: row => row.name,
+  },
+  log_entries: {
+    table: 'log_entries',
+    columns: 'id, log_date, log_content, student_id',
+    title: row =>
+      `${row.log_date || ''} ${(row.log_content || '').slice(0, 40)}`.trim(),
+  },
+  uploads: {
+    table: 'ingest_uploads',
+    columns: 'id, file_name',
+    title: row => row.file_name,
+  },
+  reports: {
+    table: 'report_runs',
+    columns: 'id, params',
+    title: row => row.params?.title || row.params?.student_name || '리포트',
+  },
+}
+
+/**
+ * 조건에 맞는 (아직 휴지통에 없는) 행을 휴지통으로 이동 + 변경 이력(delete) 기록
+ * - filter: query => query.eq(...)
+ * - user: 삭제한 로그인 사용자 (req.user)
+ * - 함께 지운 행은 deletedAt 을 맞춰 두면 복원할 때 같이 되살림
+ * → { data: 옮긴 행들, error }
+ */
+async function moveToTrash(table, filter, { user, deletedAt = new Date().toISOString() }) {
+  const { data, error } = await filter(
+    supabase
+      .from(table)
+      .update({ deleted_at: deletedAt, deleted_by: user?.id || null }),
+  )
+    .is('deleted_at', null)
+    .select()
+
+  if (!error && data.length > 0) {
+    await recordAudit(
+      user,
+      data.map(row => ({
+        action: 'delete',
+        table,
+        before: { ...row, deleted_at: null, deleted_by: null },
+        after: row,
+      })),
+    )
+  }
+  return { data, error }
+}
+
+/**
+ * 보관 기간이 지난 휴지통 행을 완전히 삭제
+ * - 기록 → 리포트(report_outputs 포함) → 업로드(원본 파일 포함) → 학생 순서 (FK)
+ * - 학생은 남아 있는 업로드의 student_id 를 비운 뒤 한 명씩 삭제 (실패한 학생은 로그에 남기고 다음 정리 때 다시 시도)
+ */
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+
+  const { error: logsErr } = await supabase
+    .from('log_entries')
+    .delete()
+    .lt('deleted_at', cutoff)
+  if (logsErr) console.error('휴지통 기록 정리 에러:', logsErr)
+
+  const { data: reports, error: reportsErr } = await supabase
+    .from('report_runs')
+    .select('id')
+    .lt('deleted_at', cutoff)
+  if (reportsErr) {
+    console.error('휴지통 리포트 조회 에러:', reportsErr)
+  } else if (reports.length > 0) {
+    const runIds = reports.map(r => r.id)
+    const { error: outErr } = await supabase
+      .from('report_outputs')
+      .delete()
+      .in('run_id', runIds)
+    if (outErr) console.error('report_outputs 정리 에러:', outErr)
+
+    const { error } = await supabase.from('report_runs').delete().in('id', runIds)
+    if (error) console.error('휴지통 리포트 정리 에러:', error)
+  }
+
+  const { data: uploads, error: uploadsErr } = await supabase
+    .from('ingest_uploads')
+    .delete()
+    .lt('deleted_at', cutoff)
+    .select('id, storage_key')
+  if (uploadsErr) {
+    console.error('휴지통 업로드 정리 에러:', uploadsErr)
+  } else {
+    for (const upload of uploads) {
+      if (!upload.storage_key) continue
+      try {
+        await removeFile(upload.storage_key)
+      } catch (e) {
+        console.error('원본 파일 삭제 에러:', e)
+      }
+    }
+  }
+
+  // 학생은 한 명씩: 아직 참조하는 행이 남은 학생 하나 때문에 나머지까지 못 지우지 않도록
+  const { data: students, error: studentsErr } = await supabase
+    .from('students')
+    .select('id, name')
+    .lt('deleted_at', cutoff)
+  if (studentsErr) {
+    console.error('휴지통 학생 조회 에러:', studentsErr)
+    return
+  }
+  if (students.length === 0) return
+
+  // 남겨 두는 업로드는 학생 연결만 끊음 (휴지통에 있는 동안은 복원할 수 있게 그대로 둠)
+  const { error: unlinkErr } = await supabase
+    .from('ingest_uploads')
+    .update({ student_id: null })
+    .in('student_id', students.map(stu => stu.id))
+  if (unlinkErr) console.error('휴지통 학생의 업로드 연결 해제 에러:', unlinkErr)
+
+  const failed = []
+  for (const student of students) {
+    const { error } = await supabase.from('students').delete().eq('id', student.id)
+    if (error) failed.push(`${student.name} (${student.id}): ${error.message || error.code}`)
+  }
+  if (failed.length > 0) {
+    console.error(`휴지통 학생 정리 실패 ${failed.length}명:\n${failed.join('\n')}`)
+  }
+}
+
+/**
+ * GET /api/trash?type=students|log_entries|uploads|reports
+ * - 휴지통 목록 (type 이 없으면 전부, 최근 삭제 순)
+ * - purge_at: 이 시각이 지나면 완전히 삭제됨
+ */
+app.get('/api/trash', requirePermission('trash.manage'), async (req, res) => {
+  const { type } = req.query
+  if (type && !TRASH_TYPES[type]) {
+    return res
+      .status(400)
+      .json({ message: '알 수 없는 휴지통 종류입니다.', code: 'INVALID_TRASH_TYPE' })
+  }
+
+  try {
+    const types = type ? [type] : Object.keys(TRASH_TYPES)
+    const items = []
+
+    for (const key of types) {
+      const config = TRASH_TYPES[key]
+      const { data, error } = await supabase
+        .from(config.table)
+        .select(`${config.columns}, deleted_at, deleted_by`)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+        .limit(200)
+
+      if (error) {
+        console.error(`휴지통 조회 에러 (${key}):`, error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+
+      ;(data || []).forEach(row => {
+        items.push({
+          type: key,
+          id: row.id,
+          title: config.title(row),
+          deleted_at: row.deleted_at,
+          deleted_by: row.deleted_by,
+          purge_at: new Date(
+            new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS,
+          ).toISOString(),
+        })
+      })
+    }
+
+    items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+    return res.json({ retention_days: TRASH_RETENTION_DAYS, items })
+  } catch (e) {
+    console.error('GET /api/trash 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * POST /api/trash/:type/:id/restore
+ * - 휴지통에서 복원 (학생/업로드와 함께 지워진 기록도 같이 복원)
+ */
+app.post(
+  '/api/trash/:type/:id/restore',
+  requirePermission('trash.manage'),
+  async (req, res) => {
+    const { type, id } = req.params
+    const config = TRASH_TYPES[type]
+    if (!config) {
+      return res
+        .status(400)
+        .json({ message: '알 수 없는 휴지통 종류입니다.', code: 'INVALID_TRASH_TYPE' })
+    }
+
+    try {
+      const { data: row, error: findErr } = await supabase
+        .from(config.table)
+        .select(`${config.columns}, deleted_at`)
+        .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .maybeSingle()
+
+      if (findErr) {
+        console.error('휴지통 항목 조회 에러:', findErr)
+        return res.status(500).json({ message: 'DB Error', error: findErr })
+      }
+      if (!row) {
+        return res
+          .status(404)
+          .json({ message: '휴지통에 없는 항목입니다.', code: 'NOT_IN_TRASH' })
+      }
+
+      // 학생이 휴지통에 있으면 그 학생의 기록만 따로 복원하지 않음
+      if (type === 'log_entries' && row.student_id) {
+        const { data: student } = await supabase
+          .from('students')
+          .select('id')
+          .eq('id', row.student_id)
+          .not('deleted_at', 'is', null)
+          .maybeSingle()
+        if (student) {
+          return res.status(409).json({
+            message: '이 기록의 학생이 휴지통에 있습니다. 학생을 먼저 복원해 주세요.',
+            code: 'STUDENT_IN_TRASH',
+          })
+        }
+      }
+
+      const { data: restored, error: restoreErr } = await supabase
+        .from(config.table)
+        .update({ deleted_at: null, deleted_by: null })
+        .eq('id', id)
+        .select()
+        .single()
+
+      if (restoreErr) {
+        // 휴지통에 있는 동안 같은 파일이 다시 업로드된 경우 (content_hash 중복)
+        if (restoreErr.code === '23505') {
+          return res.status(409).json({
+            message: '같은 내용의 파일이 이미 업로드되어 있어 복원할 수 없습니다.',
+            code: 'DUPLICATE_CONTENT',
+          })
+        }
+        console.error('휴지통 복원 에러:', restoreErr)
+        return res.status(500).json({ message: 'DB Error', error: restoreErr })
+      }
+
+      const restoreChanges = [
+        {
+          action: 'restore',
+          table: config.table,
+          before: { ...restored, deleted_at: row.deleted_at },
+          after: restored,
+        },
+      ]
+
+      // 함께 휴지통으로 간 기록 (같은 deleted_at)
+      let restoredLogs = 0
+      const linkColumn =
+        type === 'students' ? 'student_id' : type === 'uploads' ? 'upload_id' : null
+      if (linkColumn) {
+        const { data: logs, error: logsErr } = await supabase
+          .from('log_entries')
+          .update({ deleted_at: null, deleted_by: null })
+          .eq(linkColumn, id)
+          .eq('deleted_at', row.deleted_at)
+          .select()
+        if (logsErr) console.error('함께 삭제된 기록 복원 에러:', logsErr)
+        restoredLogs = logs?.length || 0
+        ;(logs || []).forEach(log => {
+          restoreChanges.push({
+            action: 'restore',
+            table: 'log_entries',
+            before: { ...log, deleted_at: row.deleted_at },
+            after: log,
+          })
+        })
+      }
+
+      await recordAudit(req.user, restoreChanges)
+
+      if (type === 'uploads') {
+        const { data: upload } = await supabase
+          .from('ingest_uploads')
+          .select(UPLOAD_LIST_COLUMNS)
+          .eq('id', id)
+          .maybeSingle()
+        if (upload) publishUploadEvent('created', upload)
+      }
+
+      return res.json({ type, id, restored_log_entries: restoredLogs })
+    } catch (e) {
+      console.error('POST /api/trash/:type/:id/restore 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+// -------------------- 업로드 API (/uploads, /api/uploads) --------------------
+
+// ?uploaded_by=me, ?observer_id=me 처럼 'me' 를 로그인 사용자 id 로 바꿔줌
+function resolveUserFilter(value, req) {
+  if (!value) return null
+  return value === 'me' ? req.user.id : String(value)
+}
+
+// 업로드 목록/이벤트/중복 응답에 쓰는 ingest_uploads 컬럼 (raw_text 같은 큰 값 제외)
+const UPLOAD_LIST_COLUMNS =
+  'id, file_name, status, progress, error, attempts, extraction_model, text_extractor, content_hash, batch_id, created_at, student_id, uploaded_by'
+
+/**
+ * 업로드 파일 1개 → 원본 저장 + ingest_uploads 행 생성 + 작업 큐 등록
+ * - 형식은 파일 내용으로 판별(detectFileType), 지원하지 않으면 415
+ * - 같은 내용(content_hash)의 업로드가 이미 있으면 새로 만들지 않고 기존 행을 돌려줌
+ *
+ * - user: 업로드한 로그인 사용자 (req.user)
+ * - batchId 를 주면 ZIP 일괄 업로드(upload_batches)에 묶음
+ *
+ * 반환값
+ * - 새 업로드: { upload, duplicate: false }
+ * - 중복: { upload: <기존 행>, duplicate: true }
+ * - 실패: { error: { status, code, message } }
+ */
+async function createUploadFromBuffer({
+  buffer,
+  originalName,
+  user,
+  batchId = null,
+  fileType = detectFileType(buffer, originalName),
+}) {
+  if (!fileType || fileType.mime === 'application/zip') {
+    return {
+      error: {
+        status: 415,
+        code: 'UNSUPPORTED_FILE_TYPE',
+        message: `지원하지 않는 파일 형식입니다. (${originalName})`,
+      },
+    }
+  }
+  if (buffer.length > UPLOAD_MAX_FILE_MB * MB) {
+    return {
+      error: {
+        status: 413,
+        code: 'FILE_TOO_LARGE',
+        message: `파일은 ${UPLOAD_MAX_FILE_MB}MB 까지 올릴 수 있습니다. (${originalName})`,
+      },
+    }
+  }
+
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex')
+
+  const findExisting = async () => {
+    const { data, error } = await supabase
+      .from('ingest_uploads')
+      .select(UPLOAD_LIST_COLUMNS)
+      .eq('content_hash', contentHash)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle()
+    if (error) throw error
+    return data
+  }
+
+  // 1) 같은 파일이 이미 올라와 있으면 그 행에 연결
+  const existing = await findExisting()
+  if (existing) {
+    return { upload: existing, duplicate: true }
+  }
+
+  const now = new Date().toISOString()
+  const storageKey = buildStorageKey(originalName)
+
+  // 2) 원본 파일을 저장소(Supabase Storage 또는 로컬)에 저장
+  try {
+    await saveFile(storageKey, buffer, fileType.mime)
+  } catch (e) {
+    console.error('원본 파일 저장 에러:', e)
+    return {
+      error: {
+        status: 500,
+        code: 'STORAGE_ERROR',
+        message: '원본 파일 저장 중 오류가 발생했습니다.',
+      },
+    }
+  }
+
+  // 3) ingest_uploads 에 메타데이터 저장
+  const { data, error } = await supabase
+    .from('ingest_uploads')
+    .insert([
+      {
+        file_name: originalName,
+        storage_key: storageKey,
+        mime_type: fileType.mime,
+        file_size: buffer.length,
+        content_hash: contentHash,
+        batch_id: batchId,
+        student_id: null,
+        uploaded_by: user.id, // 업로드한 로그인 사용자
+        status: 'queued',
+        progress: 0,
+        error: null,
+        created_at: now,
+        updated_at: now,
+      },
+    ])
+    .select(UPLOAD_LIST_COLUMNS)
+    .single()
+
+  if (error) {
+    // 메타데이터가 없으면 찾을 수 없는 파일이 되므로 같이 정리
+    removeFile(storageKey).catch(e => console.error('원본 파일 정리 에러:', e))
+
+    // 동시에 같은 파일이 올라와 unique index 에 걸린 경우 → 먼저 들어간 행으로 연결
+    if (error.code === '23505') {
+      const winner = await findExisting()
+      if (winner) return { upload: winner, duplicate: true }
+    }
+
+    console.error('ingest_uploads insert 에러:', error)
+    return {
+      error: { status: 500, code: 'DB_ERROR', message: 'DB Error' },
+    }
+  }
+
+  await recordAudit(user, {
+    action: 'create',
+    table: 'ingest_uploads',
+    after: data,
+  })
 
-app.get('/', (req, res) => {
-  res.send('Node + Supabase 서버가 실행 중입니다.')
-})
+  // 4) 텍스트 추출/AI 분석은 작업 큐에서 비동기로 처리
+  //    (진행 상황은 ingest_uploads.status/progress/error 로 확인)
+  publishUploadEvent('created', data)
+  ingestQueue.enqueue(data.id)
+
+  return { upload: data, duplicate: false }
+}
 
-// -------------------- 로그인 (/auth/login) --------------------
 /**
- * 프론트: POST {API_BASE}/auth/login 또는 {API_BASE}/api/auth/login
+ * ZIP 1개 → upload_batches 행 + 안의 문서마다 createUploadFromBuffer
+ * - 문서는 하나씩 풀어서 바로 저장 (압축을 푼 파일을 한꺼번에 메모리에 두지 않음)
+ * - 파일 하나가 실패해도 나머지는 계속 올리고, 결과(개수, skipped)는 upload_batches 에 남김
+ *
+ * 반환값
+ * - 성공: { batch: { id, file_name, created_at, status, total, created, duplicates, skipped, error }, uploads }
+ *   skipped: [{ name, reason }] (지원하지 않는 형식, 크기 초과, 저장 실패 등)
+ *   status: done, 중간에 멈췄으면 failed (error 에 사유, 그 전까지 올린 파일은 그대로)
+ * - 실패: { error: { status, code, message } } (zip 을 열 수 없으면 415, 비었거나 개수 초과면 400)
  */
-app.post(['/auth/login', '/api/auth/login'], async (req, res) => {
+async function createBatchFromZip({ buffer, originalName, user }) {
+  let zip = null
   try {
-    const { email } = req.body || {}
-
-    if (!email) {
-      return res
-        .status(400)
-        .json({ message: '이메일을 입력해 주세요.', code: 'NO_EMAIL' })
+    zip = await openZip(buffer, { maxFiles: UPLOAD_ZIP_MAX_FILES })
+  } catch (e) {
+    if (e.code) {
+      const status = e.code === 'INVALID_ZIP' ? 415 : 400
+      return { error: { status, code: e.code, message: e.message } }
     }
+    throw e
+  }
 
-    // Supabase Admin API 로 전체 유저를 받아서 email 로 필터
-    const { data, error } = await supabase.auth.admin.listUsers()
-    if (error) {
-      console.error('auth.admin.listUsers 에러:', error)
-      return res.status(500).json({ message: 'Auth Admin Error', error })
-    }
+  const { data: batch, error: batchErr } = await supabase
+    .from('upload_batches')
+    .insert([
+      {
+        file_name: originalName,
+        uploaded_by: user.id,
+        total_files: zip.entries.length,
+        status: 'processing',
+      },
+    ])
+    .select('id, file_name, total_files, created_at')
+    .single()
 
-    const user =
-      data?.users?.find(
-        u => (u.email || '').toLowerCase() === email.toLowerCase(),
-      ) || null
+  if (batchErr) {
+    console.error('upload_batches insert 에러:', batchErr)
+    return { error: { status: 500, code: 'DB_ERROR', message: 'DB Error' } }
+  }
 
-    if (!user) {
-      return res.status(401).json({
-        message:
-          '해당 이메일의 계정을 찾을 수 없습니다. Supabase Auth에서 유저를 먼저 생성해 주세요.',
-        code: 'USER_NOT_FOUND',
-      })
-    }
+  const uploads = []
+  const skipped = []
+  let created = 0
+  let duplicates = 0
+  let batchError = null
 
-    const devUser = {
-      id: user.id,
-      email: user.email,
-      display_name:
-        user.user_metadata?.full_name ||
-        (user.email ? user.email.split('@')[0] : '교사'),
-      role: 'observer',
-    }
+  // 작업 큐가 순서대로 처리하므로 여기서는 저장/등록만 차례대로
+  try {
+    const unpacked = await unpackZip(
+      zip,
+      {
+        maxFileBytes: UPLOAD_MAX_FILE_MB * MB,
+        maxTotalBytes: UPLOAD_ZIP_MAX_TOTAL_MB * MB,
+      },
+      async file => {
+        let result = null
+        try {
+          result = await createUploadFromBuffer({
+            buffer: file.buffer,
+            originalName: file.name,
+            user,
+            batchId: batch.id,
+          })
+        } catch (e) {
+          console.error(`ZIP 항목 업로드 에러 (${batch.id} / ${file.name}):`, e)
+          skipped.push({ name: file.name, reason: 'UPLOAD_ERROR' })
+          return
+        }
 
-    return res.json({
-      token: 'local-dev-token',
-      user: devUser,
-    })
+        if (result.error) {
+          skipped.push({ name: file.name, reason: result.error.code })
+          return
+        }
+
+        if (result.duplicate) duplicates += 1
+        else created += 1
+        uploads.push({ ...result.upload, duplicate: result.duplicate })
+      },
+    )
+    skipped.push(...unpacked.skipped)
   } catch (e) {
-    console.error('POST /auth/login 에러:', e)
-    return res.status(500).json({ message: 'Login Error', error: e.toString() })
+    console.error(`ZIP 일괄 업로드 에러 (${batch.id}):`, e)
+    batchError = e.message || String(e)
   }
-})
 
-// -------------------- 업로드 API (/uploads, /api/uploads) --------------------
+  const status = batchError ? 'failed' : 'done'
+  const { error: updateErr } = await supabase
+    .from('upload_batches')
+    .update({
+      status,
+      created_count: created,
+      duplicate_count: duplicates,
+      skipped,
+      error: batchError,
+      finished_at: new Date().toISOString(),
+    })
+    .eq('id', batch.id)
+
+  if (updateErr) {
+    console.error('upload_batches 결과 저장 에러:', updateErr)
+  }
+
+  return {
+    batch: {
+      id: batch.id,
+      file_name: batch.file_name,
+      created_at: batch.created_at,
+      status,
+      total: zip.entries.length,
+      created,
+      duplicates,
+      skipped,
+      error: batchError,
+    },
+    uploads,
+  }
+}
+
 /**
  * POST /uploads, /api/uploads
  * - 프론트에서 FormData 로 file 하나만 보냄
- * - Supabase ingest_uploads 에 메타데이터만 기록하고,
- *   텍스트를 추출해서 ingest_uploads.raw_text 에 저장
+ * - 원본 파일 저장 + ingest_uploads 에 메타데이터(status: queued)만 기록하고 바로 응답
+ * - 텍스트 추출(raw_text)과 AI 분석(ai_records)은 ingestQueue 가 이어서 처리
+ * - 이미 올린 파일과 내용이 같으면 201 대신 200 + { duplicate: true, duplicate_of, ...기존 업로드 }
+ * - ZIP 은 POST /uploads/zip 으로 (여기서는 415 USE_ZIP_UPLOAD)
  */
 app.post(
   ['/uploads', '/api/uploads'],
-  upload.single('file'),
+  requirePermission('uploads.create'),
+  handleUpload(upload.single('file')),
   async (req, res) => {
     try {
       const file = req.file
       if (!file) {
-        return res.status(400).json({ message: '파일이 필요합니다.' })
+        return res
+          .status(400)
+          .json({ message: '파일이 필요합니다.', code: 'NO_FILE' })
       }
 
       // multer가 latin1 인코딩으로 이름을 줄 수 있어서 UTF-8로 복원
@@ -217,67 +1951,87 @@ app.post(
         'utf8',
       )
 
-      const now = new Date().toISOString()
-      const storageKey = `uploads/${Date.now()}-${originalName}`
+      const fileType = detectFileType(file.buffer, originalName)
 
-      // 1) ingest_uploads 에 메타데이터 저장
-      const { data, error } = await supabase
-        .from('ingest_uploads')
-        .insert([
-          {
-            file_name: originalName,
-            storage_key: storageKey,
-            student_id: null,
-            uploaded_by: null, // 로그인 유저와 연결하려면 Authorization 헤더에서 id를 꺼내서 넣으면 됨
-            status: 'queued',
-            progress: 0,
-            error: null,
-            created_at: now,
-            updated_at: now,
-          },
-        ])
-        .select()
-        .single()
+      if (fileType?.mime === 'application/zip') {
+        return res.status(415).json({
+          message: `ZIP 일괄 업로드는 /uploads/zip 으로 올려 주세요. (${originalName})`,
+          code: 'USE_ZIP_UPLOAD',
+        })
+      }
 
-      if (error) {
-        console.error('ingest_uploads insert 에러:', error)
-        return res.status(500).json({ message: 'DB Error', error })
+      const result = await createUploadFromBuffer({
+        buffer: file.buffer,
+        originalName,
+        user: req.user,
+        fileType,
+      })
+
+      if (result.error) {
+        const { status, code, message } = result.error
+        return res.status(status).json({ message, code })
       }
 
-      // 2) 업로드된 파일에서 원본 텍스트 추출
-      let rawText = null
-      try {
-        rawText = await extractPlainTextFromFile(file)
-      } catch (e) {
-        console.error('extractPlainTextFromFile 에러:', e)
+      if (result.duplicate) {
+        return res.status(200).json({
+          ...result.upload,
+          duplicate: true,
+          duplicate_of: result.upload.id,
+        })
       }
 
-      // 3) 추출된 텍스트가 있으면 ingest_uploads.raw_text 에 저장
-      if (rawText) {
-        try {
-          const { error: upErr } = await supabase
-            .from('ingest_uploads')
-            .update({
-              raw_text: rawText,
-              updated_at: new Date().toISOString(),
-            })
-            .eq('id', data.id)
+      // 최종 응답 (status: 'queued')
+      return res.status(201).json(result.upload)
+    } catch (e) {
+      console.error('POST /uploads 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Upload Error', error: e.toString() })
+    }
+  },
+)
 
-          if (upErr) {
-            console.error('ingest_uploads raw_text 업데이트 에러:', upErr)
-          } else {
-            // 프론트에서 바로 사용할 수 있도록 응답 객체에도 포함
-            data.raw_text = rawText
-          }
-        } catch (e) {
-          console.error('ingest_uploads raw_text 업데이트 예외:', e)
-        }
+/**
+ * POST /uploads/zip, /api/uploads/zip
+ * - ZIP 일괄 업로드: 안의 문서마다 업로드를 만들고 201 + { batch, uploads } (createBatchFromZip)
+ * - 이 경로만 UPLOAD_MAX_ZIP_MB 까지 받음 (다른 업로드는 UPLOAD_MAX_FILE_MB)
+ */
+app.post(
+  ['/uploads/zip', '/api/uploads/zip'],
+  requirePermission('uploads.create'),
+  handleUpload(zipUpload.single('file'), UPLOAD_MAX_ZIP_MB),
+  async (req, res) => {
+    try {
+      const file = req.file
+      if (!file) {
+        return res
+          .status(400)
+          .json({ message: '파일이 필요합니다.', code: 'NO_FILE' })
       }
 
-      // 4) 최종 응답
-      return res.status(201).json(data)
+      const originalName = Buffer.from(file.originalname, 'latin1').toString(
+        'utf8',
+      )
+
+      if (detectFileType(file.buffer, originalName)?.mime !== 'application/zip') {
+        return res.status(415).json({
+          message: `ZIP 파일이 아닙니다. (${originalName})`,
+          code: 'NOT_A_ZIP',
+        })
+      }
+
+      const batchResult = await createBatchFromZip({
+        buffer: file.buffer,
+        originalName,
+        user: req.user,
+      })
+      if (batchResult.error) {
+        const { status, code, message } = batchResult.error
+        return res.status(status).json({ message, code })
+      }
+      return res.status(201).json(batchResult)
     } catch (e) {
-      console.error('POST /uploads 에러:', e)
+      console.error('POST /uploads/zip 에러:', e)
       return res
         .status(500)
         .json({ message: 'Upload Error', error: e.toString() })
@@ -289,14 +2043,24 @@ app.post(
  * GET /uploads, /api/uploads
  * - ingest_uploads + students 를 조합해서
  *   UploadPage.jsx 의 hydrateUpload 가 이해할 수 있는 형태로 반환
+ * - ?uploaded_by=<user id | me> 로 "내 업로드"만 조회 가능
  */
 app.get(['/uploads', '/api/uploads'], async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const uploadedBy = resolveUserFilter(req.query.uploaded_by, req)
+
+    let query = supabase
       .from('ingest_uploads')
-      .select('id, file_name, status, progress, error, created_at, student_id')
+      .select(`${UPLOAD_LIST_COLUMNS}, upload_batches(file_name)`)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
 
+    if (uploadedBy) {
+      query = query.eq('uploaded_by', uploadedBy)
+    }
+
+    const { data, error } = await query
+
     if (error) {
       console.error('ingest_uploads 목록 조회 에러:', error)
       return res.status(500).json({ message: 'DB Error', error })
@@ -324,10 +2088,16 @@ app.get(['/uploads', '/api/uploads'], async (req, res) => {
       status: u.status,
       progress: u.progress,
       error: u.error,
+      attempts: u.attempts || 0,
+      extraction_model: u.extraction_model,
+      text_extractor: u.text_extractor,
+      batch_id: u.batch_id,
+      batch_name: u.upload_batches?.file_name || null,
       created_at: u.created_at,
       uploaded_at: u.created_at,
       student_id: u.student_id,
       student_name: studentsById[u.student_id] || '학생 미확인',
+      uploaded_by: u.uploaded_by,
     }))
 
     res.json(uploads)
@@ -339,6 +2109,126 @@ app.get(['/uploads', '/api/uploads'], async (req, res) => {
   }
 })
 
+/**
+ * GET /uploads/batches/:id, /api/uploads/batches/:id
+ * - ZIP 일괄 업로드 1건의 진행 요약
+ *   { id, file_name, total_files, status, skipped, error, created_at, counts: { <status>: n }, progress, uploads }
+ *   progress 는 묶인 업로드들의 progress 평균
+ */
+app.get(
+  ['/uploads/batches/:id', '/api/uploads/batches/:id'],
+  async (req, res) => {
+    const { id } = req.params
+
+    try {
+      const { data: batch, error } = await supabase
+        .from('upload_batches')
+        .select('id, file_name, total_files, status, skipped, error, uploaded_by, created_at')
+        .eq('id', id)
+        .maybeSingle()
+
+      if (error) {
+        console.error('upload_batches 조회 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+      if (!batch) {
+        return res.status(404).json({
+          message: '일괄 업로드를 찾을 수 없습니다.',
+          code: 'NOT_FOUND',
+        })
+      }
+
+      const { data: uploads, error: upErr } = await supabase
+        .from('ingest_uploads')
+        .select(UPLOAD_LIST_COLUMNS)
+        .eq('batch_id', id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true })
+
+      if (upErr) {
+        console.error('ingest_uploads 조회 에러:', upErr)
+        return res.status(500).json({ message: 'DB Error', error: upErr })
+      }
+
+      const counts = {}
+      uploads.forEach(u => {
+        counts[u.status] = (counts[u.status] || 0) + 1
+      })
+      const progress = uploads.length
+        ? Math.round(
+            uploads.reduce((sum, u) => sum + (u.progress || 0), 0) /
+              uploads.length,
+          )
+        : 0
+
+      return res.json({ ...batch, counts, progress, uploads })
+    } catch (e) {
+      console.error('GET /uploads/batches/:id 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+// SSE 연결 유지용 주석 전송 간격 (프록시가 유휴 연결을 끊지 않도록)
+const SSE_HEARTBEAT_MS = 25 * 1000
+
+/**
+ * POST /uploads/events/token, /api/uploads/events/token
+ * - GET /uploads/events 연결에 쓸 짧은 events 토큰 { token, expires_in } (연결할 때마다 새로 받음)
+ */
+app.post(['/uploads/events/token', '/api/uploads/events/token'], (req, res) => {
+  res.json(issueEventsToken(req.user))
+})
+
+/**
+ * GET /uploads/events, /api/uploads/events
+ * - Server-Sent Events 로 ingest_uploads 의 생성/상태/진행률/삭제 변화를 실시간 전송
+ *   event: upload
+ *   data: { type: 'created' | 'updated' | 'deleted', upload: { id, status, progress, ... } }
+ * - EventSource 는 헤더를 못 붙이므로 ?events_token=<token> 으로 인증
+ *   (POST /uploads/events/token 으로 받은 짧은 토큰, access 토큰은 쿼리로 받지 않음 - auth.js)
+ * - ?uploaded_by=me 면 다른 사람이 올린 업로드의 created/updated 이벤트는 보내지 않음
+ *   (deleted 는 id 만 있으므로 그대로 보냄, 목록에 없는 id 는 화면에서 무시)
+ * - /uploads/:id 보다 먼저 등록해야 함
+ */
+app.get(['/uploads/events', '/api/uploads/events'], (req, res) => {
+  const uploadedBy = resolveUserFilter(req.query.uploaded_by, req)
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  // 연결이 끊기면 3초 뒤 재연결
+  res.write('retry: 3000\n\n')
+
+  const onChange = event => {
+    if (
+      uploadedBy &&
+      event.type !== 'deleted' &&
+      event.upload.uploaded_by !== uploadedBy
+    ) {
+      return
+    }
+    res.write(`event: upload\ndata: ${JSON.stringify(event)}\n\n`)
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n')
+  }, SSE_HEARTBEAT_MS)
+
+  uploadEvents.on('change', onChange)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    uploadEvents.off('change', onChange)
+  })
+})
+
 /**
  * GET /uploads/:id, /api/uploads/:id
  * - ingest_uploads 1건 + log_entries 를 함께 내려주면서
@@ -353,6 +2243,7 @@ app.get(['/uploads/:id', '/api/uploads/:id'], async (req, res) => {
       .from('ingest_uploads')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single()
 
     if (uploadErr || !upload) {
@@ -362,11 +2253,12 @@ app.get(['/uploads/:id', '/api/uploads/:id'], async (req, res) => {
         .json({ message: '업로드를 찾을 수 없습니다.' })
     }
 
-    // 2) 이 업로드와 연결된 log_entries 조회
+    // 2) 이 업로드에서 저장된 log_entries 조회 (파일 이름이 같은 다른 업로드와 섞이지 않도록 upload_id 기준)
     const { data: logs, error: logsErr } = await supabase
       .from('log_entries')
       .select('*')
-      .eq('source_file_path', upload.file_name)
+      .eq('upload_id', upload.id)
+      .is('deleted_at', null)
       .order('log_date', { ascending: true })
 
     if (logsErr) {
@@ -402,35 +2294,241 @@ app.get(['/uploads/:id', '/api/uploads/:id'], async (req, res) => {
 })
 
 /**
- * DELETE /uploads/:id, /api/uploads/:id
- * - ingest_uploads 행 삭제
+ * GET /uploads/:id/file, /api/uploads/:id/file
+ * - 저장소에 보관된 업로드 원본 파일을 그대로 내려줌 (DetailAnalysisModal 의 "다운로드")
  */
-app.delete(['/uploads/:id', '/api/uploads/:id'], async (req, res) => {
+app.get(['/uploads/:id/file', '/api/uploads/:id/file'], async (req, res) => {
   const { id } = req.params
 
   try {
-    const { error } = await supabase
+    const { data: upload, error: uploadErr } = await supabase
       .from('ingest_uploads')
-      .delete()
+      .select('id, file_name, storage_key, mime_type')
       .eq('id', id)
+      .is('deleted_at', null)
+      .single()
 
-    if (error) {
-      console.error('ingest_uploads 삭제 에러:', error)
-      return res.status(500).json({ message: 'DB Error', error })
+    if (uploadErr || !upload) {
+      console.error('uploads/:id/file 조회 에러:', uploadErr)
+      return res
+        .status(404)
+        .json({ message: '업로드를 찾을 수 없습니다.' })
+    }
+
+    const stored = await readFile(upload.storage_key)
+    if (!stored) {
+      return res.status(404).json({
+        message: '원본 파일이 저장되어 있지 않습니다.',
+        code: 'FILE_NOT_FOUND',
+      })
+    }
+
+    const fileName = upload.file_name || 'download'
+    res.setHeader(
+      'Content-Type',
+      upload.mime_type || stored.contentType || 'application/octet-stream',
+    )
+    if (stored.size != null) {
+      res.setHeader('Content-Length', String(stored.size))
+    }
+    // 한글 파일명 대응 (RFC 5987)
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    )
+
+    stored.stream.on('error', e => {
+      console.error('원본 파일 스트리밍 에러:', e)
+      res.destroy(e)
+    })
+    return stored.stream.pipe(res)
+  } catch (e) {
+    console.error('GET /uploads/:id/file 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * POST /uploads/:id/reprocess, /api/uploads/:id/reprocess
+ * - 저장된 원본 파일로 텍스트 추출/AI 분석을 다시 실행 (실패한 업로드 재시도)
+ * - body: { model?: string } → 다른 AI 모델로 다시 추출 (EXTRACTION_MODELS 중 하나, '' 이면 기본 모델)
+ * - 기록 저장까지 끝난(success) 업로드나 이미 처리 중인 업로드는 409
+ */
+app.post(
+  ['/uploads/:id/reprocess', '/api/uploads/:id/reprocess'],
+  requirePermission('uploads.create'),
+  async (req, res) => {
+    const { id } = req.params
+    const { model } = req.body || {}
+
+    if (model && !EXTRACTION_MODELS.includes(model)) {
+      return res.status(400).json({
+        message: '지원하지 않는 추출 모델입니다.',
+        code: 'INVALID_MODEL',
+        models: EXTRACTION_MODELS,
+      })
+    }
+
+    try {
+      const { data: upload, error } = await supabase
+        .from('ingest_uploads')
+        .select('id, status, storage_key, extraction_model')
+        .eq('id', id)
+        .is('deleted_at', null)
+        .maybeSingle()
+
+      if (error) {
+        console.error('ingest_uploads 조회 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+      if (!upload) {
+        return res
+          .status(404)
+          .json({ message: '업로드를 찾을 수 없습니다.', code: 'NOT_FOUND' })
+      }
+      if (!upload.storage_key) {
+        return res.status(409).json({
+          message: '원본 파일이 저장되어 있지 않아 다시 처리할 수 없습니다.',
+          code: 'NO_ORIGINAL_FILE',
+        })
+      }
+      if (upload.status === 'success') {
+        return res.status(409).json({
+          message: '이미 기록 저장까지 끝난 업로드입니다.',
+          code: 'ALREADY_SAVED',
+        })
+      }
+      if (ingestQueue.isActive(id)) {
+        return res.status(409).json({
+          message: '이미 처리 중인 업로드입니다.',
+          code: 'ALREADY_PROCESSING',
+        })
+      }
+
+      const fields = {
+        status: 'queued',
+        progress: INGEST_PROGRESS.queued,
+        error: null,
+        // model 을 보내지 않으면 지난번 모델 유지, '' / null 이면 기본 모델로
+        extraction_model:
+          model === undefined ? upload.extraction_model : model || null,
+      }
+
+      const { data: updated, error: upErr } = await supabase
+        .from('ingest_uploads')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select(UPLOAD_LIST_COLUMNS)
+        .single()
+
+      if (upErr) {
+        console.error('ingest_uploads 재처리 업데이트 에러:', upErr)
+        return res.status(500).json({ message: 'DB Error', error: upErr })
+      }
+
+      await recordAudit(req.user, {
+        action: 'update',
+        table: 'ingest_uploads',
+        before: upload,
+        after: updated,
+      })
+
+      publishUploadEvent('updated', updated)
+      ingestQueue.enqueue(id)
+
+      return res.status(202).json(updated)
+    } catch (e) {
+      console.error('POST /uploads/:id/reprocess 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Reprocess Error', error: e.toString() })
+    }
+  },
+)
+
+/**
+ * DELETE /uploads/:id, /api/uploads/:id
+ * - 업로드를 휴지통으로 이동 (원본 파일은 보관 기간이 지나 완전히 삭제될 때 같이 삭제)
+ * - ?log_entries=detach (기본): 이 업로드에서 저장된 기록은 남김
+ *   (완전히 삭제될 때 upload_id 만 비워짐, FK on delete set null)
+ * - ?log_entries=cascade: 이 업로드에서 저장된 기록도 같이 휴지통으로 (logs.delete 권한 필요)
+ * - trash_upload DB 함수로 한 트랜잭션에서 처리, 없거나 이미 휴지통에 있는 업로드면 404
+ */
+const UPLOAD_DELETE_LOG_MODES = ['detach', 'cascade']
+
+app.delete(
+  ['/uploads/:id', '/api/uploads/:id'],
+  requirePermission('uploads.delete'),
+  async (req, res) => {
+    const { id } = req.params
+    const logMode = req.query.log_entries || 'detach'
+
+    if (!UPLOAD_DELETE_LOG_MODES.includes(logMode)) {
+      return res.status(400).json({
+        message: 'log_entries 는 detach 또는 cascade 여야 합니다.',
+        code: 'INVALID_LOG_ENTRIES_MODE',
+      })
+    }
+    if (logMode === 'cascade' && !hasPermission(req.user, 'logs.delete')) {
+      return res.status(403).json({
+        message: '이 작업을 수행할 권한이 없습니다.',
+        code: 'FORBIDDEN',
+        permission: 'logs.delete',
+      })
+    }
+
+    try {
+      // 업로드와 기록을 한 트랜잭션으로 (021_trash_upload.sql)
+      const { data: trashed, error } = await supabase.rpc('trash_upload', {
+        p_upload_id: id,
+        p_deleted_by: req.user.id,
+        p_deleted_at: new Date().toISOString(),
+        p_cascade: logMode === 'cascade',
+      })
+
+      if (error) {
+        if (error.code === 'P0002') {
+          return res
+            .status(404)
+            .json({ message: '업로드를 찾을 수 없습니다.', code: 'NOT_FOUND' })
+        }
+        console.error('trash_upload 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+
+      await recordAudit(
+        req.user,
+        [
+          { table: 'ingest_uploads', row: trashed.upload },
+          ...(trashed.log_entries || []).map(row => ({ table: 'log_entries', row })),
+        ].map(({ table, row }) => ({
+          action: 'delete',
+          table,
+          before: { ...row, deleted_at: null, deleted_by: null },
+          after: row,
+        })),
+      )
+
+      publishUploadEvent('deleted', { id })
+
+      return res.status(204).send()
+    } catch (e) {
+      console.error('DELETE /uploads/:id 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
     }
-
-    return res.status(204).send()
-  } catch (e) {
-    console.error('DELETE /uploads/:id 에러:', e)
-    return res
-      .status(500)
-      .json({ message: 'Server Error', error: e.toString() })
-  }
-})
+  },
+)
 
 // -------------------- 업로드 로그 저장 (/uploads/:id/log) --------------------
 /**
  * POST /uploads/:id/log, /api/uploads/:id/log
+ * - save_upload_log DB 함수로 한 번에 저장 (중간에 실패하면 학생 생성까지 전부 취소)
+ * - 같은 업로드를 다시 저장하면 그 업로드의 기존 기록은 휴지통으로 보내고 새 기록으로 교체
+ * - 학생 이름은 studentMatcher 로 기존 학생과 비교, 확인이 필요하면 409 UNRESOLVED_STUDENTS
  *
  * body 예시:
  * {
@@ -448,227 +2546,302 @@ app.delete(['/uploads/:id', '/api/uploads/:id'], async (req, res) => {
  *       related_metrics: { score: 85, minutes: 30 }
  *     },
  *     ...
- *   ]
+ *   ],
+ *   student_resolutions: {      // 409 를 받은 뒤 교사가 고른 결과 (선택)
+ *     "민수": { student_id: "..." },
+ *     "홍길동": { create: true }
+ *   },
+ *   prompt: { id, version }     // 상세에서 /ai/extract-records 로 다시 분석했으면 그 응답의 prompt (선택)
  * }
  */
-app.post(['/uploads/:id/log', '/api/uploads/:id/log'], async (req, res) => {
-  const { id } = req.params
-  const { upload_id, file_name, raw_text, log_entries } = req.body || {}
-
-  if (!Array.isArray(log_entries) || log_entries.length === 0) {
-    return res
-      .status(400)
-      .json({ message: 'log_entries 배열이 필요합니다.' })
-  }
-
-  try {
-    // 1) UUID 형식 체크용 정규식
-    const uuidRegex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
-
-    // 2) Supabase에 아직 없는 "AI 추출 학생" 후보 이름 수집
-    const nameSet = new Set()
-
-    for (const e of log_entries) {
-      if (!e) continue
-      const rawId = e.student_id ? String(e.student_id) : ''
-      const name = (e.student_name || '').trim()
+app.post(
+  ['/uploads/:id/log', '/api/uploads/:id/log'],
+  requirePermission('uploads.create'),
+  async (req, res) => {
+    const { id } = req.params
+    const {
+      upload_id,
+      file_name,
+      raw_text,
+      log_entries,
+      student_resolutions,
+      prompt,
+    } = req.body || {}
 
-      // student_id 가 없거나 UUID 형식이 아니고, 이름이 있으면 새 학생 후보
-      if ((!rawId || !uuidRegex.test(rawId)) && name) {
-        nameSet.add(name)
-      }
+    if (!Array.isArray(log_entries) || log_entries.length === 0) {
+      return res
+        .status(400)
+        .json({ message: 'log_entries 배열이 필요합니다.' })
     }
 
-    const namesNeedingId = Array.from(nameSet)
-    const nameToStudentId = {}
-
-    // 3) 이미 존재하는 학생들 먼저 조회
-    if (namesNeedingId.length > 0) {
-      const { data: existingStudents, error: existingErr } = await supabase
-        .from('students')
-        .select('id, name')
-        .in('name', namesNeedingId)
-
-      if (existingErr) {
-        console.error('AI 추출 학생 기존 조회 에러:', existingErr)
-      } else if (existingStudents) {
-        for (const stu of existingStudents) {
-          if (stu && stu.name && stu.id) {
-            nameToStudentId[stu.name] = stu.id
+    try {
+      // 1) UUID 형식 체크용 정규식
+      const uuidRegex =
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+      // 2) log_entries → save_upload_log 함수에 넘길 형태로 정규화
+      //    학생 조회/자동 생성과 저장은 DB 함수 안에서 한 트랜잭션으로 처리
+      const entries = log_entries
+        .map(e => {
+          if (!e) return null
+
+          const studentId = e.student_id ? String(e.student_id) : ''
+          const name = (e.student_name || '').trim()
+          const hasStudentUuid = uuidRegex.test(studentId)
+
+          // UUID 도 이름도 없으면 이 기록은 저장 불가 → 스킵
+          if (!hasStudentUuid && !name) return null
+
+          // activity_tags 는 배열로 정규화
+          const activityTags = Array.isArray(e.activity_tags)
+            ? [...e.activity_tags]
+            : e.activity_tags
+            ? [e.activity_tags]
+            : []
+
+          // UUID가 아닌 ID(ai-..., local-...) 또는 비어 있는 경우:
+          //  - 아래 3) 에서 student_name 으로 기존 학생을 찾거나, 교사가 고른 대로 연결/새로 만듦
+          //  - 태그에 "학생:이름" 형태로도 한 줄 남김
+          if (!hasStudentUuid) {
+            const tagLabel = `학생:${name}`
+            if (!activityTags.includes(tagLabel)) activityTags.push(tagLabel)
           }
-        }
-      }
-
-      // 4) 아직 없는 이름들만 새로 students 에 insert
-      const namesToCreate = namesNeedingId.filter(
-        name => !nameToStudentId[name],
-      )
-
-      if (namesToCreate.length > 0) {
-        const payload = namesToCreate.map(name => ({
-          // students 테이블에서 name만 NOT NULL, 나머지는 null/default 허용
-          name,
-          // 필요하면 주석 풀어서 메모 남길 수 있음
-          // notes: 'AI 업로드에서 자동 생성된 학생입니다.',
-        }))
 
-        const { data: insertedStudents, error: createErr } = await supabase
-          .from('students')
-          .insert(payload)
-          .select('id, name')
-
-        if (createErr) {
-          console.error('AI 추출 학생 자동 생성 에러:', createErr)
-        } else if (insertedStudents) {
-          for (const stu of insertedStudents) {
-            if (stu && stu.name && stu.id) {
-              nameToStudentId[stu.name] = stu.id
-            }
+          // 🔸 related_metrics 는 DB 타입(jsonb[])에 맞게 항상 "배열"로 맞춰준다.
+          const metrics =
+            e.related_metrics == null
+              ? null
+              : Array.isArray(e.related_metrics)
+              ? e.related_metrics
+              : [e.related_metrics]
+
+          return {
+            student_id: hasStudentUuid ? studentId : null,
+            student_name: name || null,
+            log_date: e.log_date || new Date().toISOString().slice(0, 10),
+            emotion_tag: e.emotion_tag || null,
+            activity_tags: activityTags,
+            log_content: e.log_content || null,
+            related_metrics: metrics,
+            source_file_path: file_name || null,
           }
-        }
+        })
+        .filter(Boolean)
+
+      if (entries.length === 0) {
+        return res
+          .status(400)
+          .json({ message: '학생 정보가 있는 기록이 없습니다.' })
       }
-    }
 
-    // 5) log_entries → 실제 DB에 넣을 rows 변환
-    const rows = log_entries
-      .map(e => {
-        if (!e) return null
+      // 3) 학생 id 가 없는 이름 → 기존 학생 매칭
+      //    student_resolutions[이름] = { student_id } (기존 학생으로 연결/합치기) | { create: true } (새 학생)
+      //    교사가 고르지 않았고 확실한 후보도 없는 이름이 있으면 아무것도 저장하지 않고 409 로 후보 목록을 돌려줌
+      const studentMatches = {}
+      const namesNeedingId = [
+        ...new Set(entries.filter(e => !e.student_id).map(e => e.student_name)),
+      ]
 
-        let studentId = e.student_id ? String(e.student_id) : ''
-        const name = (e.student_name || '').trim()
+      if (namesNeedingId.length > 0) {
+        const { data: students, error: studentsErr } = await supabase
+          .from('students')
+          .select('id, name, nickname')
+          .is('deleted_at', null)
 
-        // activity_tags 는 배열로 정규화
-        let activityTags = Array.isArray(e.activity_tags)
-          ? [...e.activity_tags]
-          : e.activity_tags
-          ? [e.activity_tags]
-          : []
+        if (studentsErr) {
+          console.error('학생 매칭용 students 조회 에러:', studentsErr)
+          return res.status(500).json({ message: 'DB Error', error: studentsErr })
+        }
 
-        // UUID가 아닌 ID(ai-..., local-...) 또는 비어 있는 경우:
-        //  - student_name 기준으로 students 테이블에서 id 찾기/자동 생성한 id 사용
-        //  - 태그에 "학생:이름" 형태로도 한 줄 남김
-        if (!studentId || !uuidRegex.test(studentId)) {
-          if (name && nameToStudentId[name]) {
-            studentId = nameToStudentId[name]
-            const tagLabel = `학생:${name}`
-            if (!activityTags.includes(tagLabel)) {
-              activityTags.push(tagLabel)
+        const studentIds = new Set((students || []).map(stu => String(stu.id)))
+        const pending = []
+
+        for (const name of namesNeedingId) {
+          const resolution = student_resolutions?.[name]
+          if (resolution?.student_id) {
+            if (!studentIds.has(String(resolution.student_id))) {
+              return res.status(400).json({
+                message: `${name}: 선택한 학생을 찾을 수 없습니다.`,
+                code: 'INVALID_STUDENT_RESOLUTION',
+              })
             }
+            studentMatches[name] = { action: 'match', student_id: resolution.student_id }
+          } else if (resolution?.create) {
+            studentMatches[name] = { action: 'create', student_id: null }
           } else {
-            // 이름조차 없으면 이 기록은 저장 불가 → 스킵
-            return null
+            const match = matchStudentName(name, students)
+            if (match.status === 'matched') {
+              studentMatches[name] = { action: 'match', student_id: match.student_id }
+            } else {
+              pending.push(match)
+            }
           }
         }
 
-        // 🔸 related_metrics 를 DB 타입(jsonb[])에 맞게 항상 "배열"로 맞춰준다.
-        let metrics = e.related_metrics
-        if (metrics == null) {
-          metrics = null
-        } else if (Array.isArray(metrics)) {
-          // 이미 배열이면 그대로 사용
-          metrics = metrics
-        } else {
-          // 객체 하나면 [ { ... } ] 로 감싸서 jsonb[] 타입에 맞춤
-          metrics = [metrics]
+        if (pending.length > 0) {
+          return res.status(409).json({
+            message: '확인이 필요한 학생 이름이 있습니다.',
+            code: 'UNRESOLVED_STUDENTS',
+            student_matches: pending,
+          })
         }
 
-        return {
-          log_date: e.log_date || new Date().toISOString().slice(0, 10),
-          student_id: studentId, // ✅ log_entries.student_id (uuid NOT NULL) 만족
-          emotion_tag: e.emotion_tag || null,
-          activity_tags: activityTags.length > 0 ? activityTags : null, // text[]
-          log_content: e.log_content || null,
-          related_metrics: metrics, // ✅ 이제 항상 jsonb[] 형식
-          source_file_path: file_name || null,
+        entries.forEach(e => {
+          const match = studentMatches[e.student_name]
+          if (!match || e.student_id) return
+          if (match.action === 'match') e.student_id = match.student_id
+          else e.create_student = true
+        })
+      }
+
+      // 상세에서 다시 분석한 결과면 그 분석에 쓴 프롬프트로 바꿔 둠
+      // (save_upload_log 가 ingest_uploads.ai_prompt_id/ai_prompt_version 을 기록에 복사)
+      if (prompt) {
+        const verifiedPrompt = await verifyPromptRef('extraction', prompt)
+        if (!verifiedPrompt) {
+          return res.status(400).json({
+            message: '분석에 쓴 프롬프트 버전을 찾을 수 없습니다.',
+            code: 'INVALID_PROMPT',
+          })
         }
-      })
-      .filter(Boolean)
 
-    if (rows.length === 0) {
-      return res
-        .status(400)
-        .json({ message: '학생 정보가 있는 기록이 없습니다.' })
-    }
+        const { error: promptErr } = await supabase
+          .from('ingest_uploads')
+          .update({
+            ai_prompt_id: verifiedPrompt.id,
+            ai_prompt_version: verifiedPrompt.version,
+          })
+          .eq('id', id)
+          .is('deleted_at', null)
 
-    // 6) log_entries insert
-    const { data: inserted, error: insertErr } = await supabase
-      .from('log_entries')
-      .insert(rows)
-      .select()
+        if (promptErr) {
+          console.error('ingest_uploads 프롬프트 기록 에러:', promptErr)
+          return res.status(500).json({ message: 'DB Error', error: promptErr })
+        }
+      }
 
-    if (insertErr) {
-      console.error('log_entries insert 에러:', insertErr)
-      return res.status(500).json({
-        message: 'log_entries 저장 중 오류',
-        error: insertErr,
+      // 변경 이력용: 교체될 기존 기록 / 저장 전 업로드 상태
+      const [{ data: previousLogs }, { data: previousUpload }] = await Promise.all([
+        supabase
+          .from('log_entries')
+          .select('*')
+          .eq('upload_id', id)
+          .is('deleted_at', null),
+        supabase
+          .from('ingest_uploads')
+          .select('id, uploaded_by, student_id, status, progress, error')
+          .eq('id', id)
+          .maybeSingle(),
+      ])
+
+      // 4) 저장 (같은 업로드를 다시 저장하면 이전 기록을 교체 → 두 번 눌러도 중복 없음)
+      const { data: inserted, error: saveErr } = await supabase.rpc(
+        'save_upload_log',
+        {
+          p_upload_id: id,
+          p_observer_id: req.user.id, // 기록을 저장한 로그인 사용자
+          p_entries: entries,
+        },
+      )
+
+      if (saveErr) {
+        if (saveErr.code === 'P0002') {
+          return res
+            .status(404)
+            .json({ message: '업로드를 찾을 수 없습니다.', code: 'NOT_FOUND' })
+        }
+        console.error('save_upload_log 에러:', saveErr)
+        return res.status(500).json({
+          message: 'log_entries 저장 중 오류',
+          error: saveErr,
+        })
+      }
+
+      const firstStudentId = inserted?.[0]?.student_id || null
+
+      // DB 함수는 entries 순서대로 insert → create_student 기록의 student_id 가 새로 만든 학생
+      const createdStudents = new Map()
+      entries.forEach((e, i) => {
+        const studentId = inserted?.[i]?.student_id
+        if (e.create_student && studentId) {
+          createdStudents.set(studentId, { id: studentId, name: e.student_name })
+        }
       })
-    }
 
-    // 7) ingest_uploads 의 student_id / status 업데이트
-    const firstStudentId = rows[0].student_id
+      await recordAudit(req.user, [
+        ...[...createdStudents.values()].map(student => ({
+          action: 'create',
+          table: 'students',
+          after: student,
+        })),
+        ...(previousLogs || []).map(log => ({
+          action: 'delete',
+          table: 'log_entries',
+          before: log,
+        })),
+        ...(inserted || []).map(log => ({
+          action: 'create',
+          table: 'log_entries',
+          after: log,
+        })),
+        previousUpload && {
+          action: 'update',
+          table: 'ingest_uploads',
+          before: previousUpload,
+          after: {
+            ...previousUpload,
+            student_id: firstStudentId,
+            status: 'success',
+            progress: 100,
+            error: null,
+          },
+        },
+      ])
 
-    const { error: upErr } = await supabase
-      .from('ingest_uploads')
-      .update({
+      publishUploadEvent('updated', {
+        id,
+        uploaded_by: previousUpload?.uploaded_by,
         student_id: firstStudentId,
         status: 'success',
         progress: 100,
+        error: null,
       })
-      .eq('id', id)
 
-    if (upErr) {
-      console.error('ingest_uploads 업데이트 에러:', upErr)
+      return res.status(201).json({
+        upload_id: id,
+        file_name,
+        raw_text,
+        log_entries: inserted,
+        student_matches: studentMatches,
+      })
+    } catch (e) {
+      console.error('POST /uploads/:id/log 에러:', e)
+      return res.status(500).json({
+        message: 'Upload log save error',
+        error: e.toString(),
+      })
     }
-
-    return res.status(201).json({
-      upload_id: id,
-      file_name,
-      raw_text,
-      log_entries: inserted,
-    })
-  } catch (e) {
-    console.error('POST /uploads/:id/log 에러:', e)
-    return res.status(500).json({
-      message: 'Upload log save error',
-      error: e.toString(),
-    })
-  }
-})
+  },
+)
 
 // -------------------- log_entries 조회 (UploadPage 상세용) --------------------
 /**
  * GET /log_entries?upload_id=...
- * - upload_id 로 ingest_uploads 를 찾고, 해당 student_id 의 로그를 최근 순으로 반환
+ * - upload_id 가 있으면 그 업로드에서 저장된 로그만, 없으면 전체 로그를 최근 순으로 반환
  */
 app.get('/log_entries', async (req, res) => {
   const { upload_id } = req.query
 
   try {
-    let studentId = null
-
-    if (upload_id) {
-      const { data: upload, error: uErr } = await supabase
-        .from('ingest_uploads')
-        .select('student_id')
-        .eq('id', upload_id)
-        .single()
-
-      if (uErr) {
-        console.error('ingest_uploads 조회 에러:', uErr)
-      } else {
-        studentId = upload?.student_id || null
-      }
-    }
-
     let query = supabase
       .from('log_entries')
       .select('*')
+      .is('deleted_at', null)
       .order('log_date', { ascending: false })
       .limit(20)
 
-    if (studentId) {
-      query = query.eq('student_id', studentId)
+    if (upload_id) {
+      query = query.eq('upload_id', upload_id)
     }
 
     const { data, error } = await query
@@ -692,60 +2865,96 @@ app.get('/log_entries', async (req, res) => {
 /**
  * POST /rest/v1/log_entries
  * - body 전체를 log_entries 에 insert(1건)
+ * - observer_id 는 body 와 상관없이 로그인 사용자
  */
-app.post('/rest/v1/log_entries', async (req, res) => {
-  try {
-    const body = req.body || {}
+app.post(
+  '/rest/v1/log_entries',
+  requirePermission('logs.annotate'),
+  async (req, res) => {
+    try {
+      // 작성자(observer_id)는 항상 로그인 사용자 (body 로 다른 사람을 지정할 수 없음)
+      const body = { ...(req.body || {}), observer_id: req.user.id }
 
-    const { data, error } = await supabase
-      .from('log_entries')
-      .insert([body])
-      .select()
-      .single()
+      const { data, error } = await supabase
+        .from('log_entries')
+        .insert([body])
+        .select()
+        .single()
 
-    if (error) {
-      console.error('log_entries insert 에러:', error)
-      return res.status(500).json({ message: 'DB Error', error })
-    }
+      if (error) {
+        console.error('log_entries insert 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
 
-    res.status(201).json(data)
-  } catch (e) {
-    console.error('POST /rest/v1/log_entries 에러:', e)
-    res
-      .status(500)
-      .json({ message: 'DB Error', error: e.toString() })
-  }
-})
+      await recordAudit(req.user, {
+        action: 'create',
+        table: 'log_entries',
+        after: data,
+      })
+
+      res.status(201).json(data)
+    } catch (e) {
+      console.error('POST /rest/v1/log_entries 에러:', e)
+      res
+        .status(500)
+        .json({ message: 'DB Error', error: e.toString() })
+    }
+  },
+)
 
 /**
  * POST /rest/v1/log_entry_tags
  * - body: [{ log_entry_id, tag_id }, ...]
  */
-app.post('/rest/v1/log_entry_tags', async (req, res) => {
-  try {
-    const rows = Array.isArray(req.body) ? req.body : []
-    if (rows.length === 0) {
-      return res.status(400).json({ message: '배열 형태의 body가 필요합니다.' })
-    }
+app.post(
+  '/rest/v1/log_entry_tags',
+  requirePermission('logs.annotate'),
+  async (req, res) => {
+    try {
+      const rows = Array.isArray(req.body) ? req.body : []
+      if (rows.length === 0) {
+        return res.status(400).json({ message: '배열 형태의 body가 필요합니다.' })
+      }
 
-    const { data, error } = await supabase
-      .from('log_entry_tags')
-      .insert(rows)
-      .select()
+      const { data, error } = await supabase
+        .from('log_entry_tags')
+        .insert(rows)
+        .select()
 
-    if (error) {
-      console.error('log_entry_tags insert 에러:', error)
-      return res.status(500).json({ message: 'DB Error', error })
-    }
+      if (error) {
+        console.error('log_entry_tags insert 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
 
-    res.status(201).json(data)
-  } catch (e) {
-    console.error('POST /rest/v1/log_entry_tags 에러:', e)
-    res
-      .status(500)
-      .json({ message: 'Server Error', error: e.toString() })
-  }
-})
+      // 학생별 이력 조회가 되도록 태그가 붙은 기록의 student_id 를 같이 남김
+      const { data: taggedLogs } = await supabase
+        .from('log_entries')
+        .select('id, student_id')
+        .in('id', [...new Set((data || []).map(row => row.log_entry_id))])
+      const studentByLog = new Map(
+        (taggedLogs || []).map(log => [String(log.id), log.student_id]),
+      )
+
+      await recordAudit(
+        req.user,
+        (data || []).map(row => ({
+          action: 'create',
+          table: 'log_entry_tags',
+          recordId: row.id ?? row.log_entry_id,
+          studentId: studentByLog.get(String(row.log_entry_id)),
+          after: row,
+        })),
+      )
+
+      res.status(201).json(data)
+    } catch (e) {
+      console.error('POST /rest/v1/log_entry_tags 에러:', e)
+      res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
 
 /**
  * GET /rest/v1/tags?select=*
@@ -782,32 +2991,38 @@ app.get('/rest/v1/tags', async (req, res) => {
  * POST /rest/v1/tags
  * - 새로운 감정 키워드 추가
  */
-app.post('/rest/v1/tags', async (req, res) => {
-  try {
-    const { name } = req.body || {}
-    if (!name) {
-      return res.status(400).json({ message: 'name 필드가 필요합니다.' })
-    }
+app.post(
+  '/rest/v1/tags',
+  requirePermission('logs.annotate'),
+  async (req, res) => {
+    try {
+      const { name } = req.body || {}
+      if (!name) {
+        return res.status(400).json({ message: 'name 필드가 필요합니다.' })
+      }
 
-    const { data, error } = await supabase
-      .from('tags')
-      .insert([{ name }])
-      .select()
-      .single()
+      const { data, error } = await supabase
+        .from('tags')
+        .insert([{ name }])
+        .select()
+        .single()
 
-    if (error) {
-      console.error('tags insert 에러:', error)
-      return res.status(500).json({ message: 'DB Error', error })
-    }
+      if (error) {
+        console.error('tags insert 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
 
-    res.status(201).json(data)
-  } catch (e) {
-    console.error('POST /rest/v1/tags 에러:', e)
-    res
-      .status(500)
-      .json({ message: 'Server Error', error: e.toString() })
-  }
-})
+      await recordAudit(req.user, { action: 'create', table: 'tags', after: data })
+
+      res.status(201).json(data)
+    } catch (e) {
+      console.error('POST /rest/v1/tags 에러:', e)
+      res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
 
 // -------------------- /api/students, /api/log_entries --------------------
 // (Dashboard, StudentList 페이지에서 사용)
@@ -818,6 +3033,7 @@ app.get('/api/students', async (req, res) => {
   let query = supabase
     .from('students')
     .select('*', { count: 'exact' })
+    .is('deleted_at', null)
     .order('created_at', { ascending: true })
     .range(Number(offset), Number(offset) + Number(limit) - 1)
 
@@ -845,6 +3061,7 @@ app.get('/api/students/:id', async (req, res) => {
     .from('students')
     .select('*')
     .eq('id', id)
+    .is('deleted_at', null)
     .single()
 
   if (error || !data) {
@@ -863,6 +3080,7 @@ app.get('/students/:id/activities', async (req, res) => {
       .from('log_entries')
       .select('*')
       .eq('student_id', id)
+      .is('deleted_at', null)
       .order('log_date', { ascending: false })
       .limit(50)
 
@@ -881,116 +3099,341 @@ app.get('/students/:id/activities', async (req, res) => {
 })
 
 // 학생 추가
-app.post('/api/students', async (req, res) => {
-  try {
-    const { name, status, admission_date, birth_date, notes } = req.body || {}
-    if (!name || typeof name !== 'string' || !name.trim()) {
-      return res.status(400).json({ message: 'name은 필수입니다.' })
+app.post(
+  '/api/students',
+  requirePermission('students.manage'),
+  async (req, res) => {
+    try {
+      const { name, nickname, status, admission_date, birth_date, notes } =
+        req.body || {}
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'name은 필수입니다.' })
+      }
+
+      const payload = {
+        name: name.trim(),
+      }
+
+      if (nickname !== undefined) payload.nickname = nickname || null
+      if (status !== undefined) payload.status = status
+      if (admission_date !== undefined) payload.admission_date = admission_date
+      if (birth_date !== undefined) payload.birth_date = birth_date
+      if (notes !== undefined) payload.notes = notes
+
+      console.log('POST /api/students payload:', payload)
+
+      const { data, error } = await supabase
+        .from('students')
+        .insert([payload])
+        .select()
+        .single()
+
+      if (error) {
+        console.error('students 추가 에러:', error)
+        return res.status(500).json({ message: '학생 추가 중 오류가 발생했습니다.' })
+      }
+
+      await recordAudit(req.user, { action: 'create', table: 'students', after: data })
+
+      return res.json(data)
+    } catch (err) {
+      console.error('POST /api/students 서버 오류:', err)
+      res.status(500).json({ message: '서버 오류' })
+    }
+  },
+)
+
+app.patch(
+  '/api/students/:id',
+  requirePermission('students.manage'),
+  async (req, res) => {
+    const { id } = req.params
+
+    try {
+      const { name, nickname, status, admission_date, birth_date, notes } =
+        req.body || {}
+
+      const updateData = {}
+      if (name !== undefined) updateData.name = name
+      if (nickname !== undefined) updateData.nickname = nickname || null
+      if (status !== undefined) updateData.status = status
+      if (admission_date !== undefined) updateData.admission_date = admission_date
+      if (birth_date !== undefined) updateData.birth_date = birth_date
+      if (notes !== undefined) updateData.notes = notes
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ message: '업데이트할 필드가 없습니다.' })
+      }
+
+      const { data: before } = await supabase
+        .from('students')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle()
+
+      const { data, error } = await supabase
+        .from('students')
+        .update(updateData)
+        .eq('id', id)
+        .select()
+        .single()
+
+      if (error) {
+        console.error('students 수정 에러:', error)
+        return res.status(500).json({
+          message: 'DB Error',
+          detail: error.message || error.toString(),
+        })
+      }
+
+      await recordAudit(req.user, { action: 'update', table: 'students', before, after: data })
+
+      return res.json(data)
+    } catch (e) {
+      console.error('PATCH /api/students/:id 예외:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', detail: e.toString() })
     }
+  },
+)
 
-    const payload = {
-      name: name.trim(),
+// 학생 삭제 → 학생과 그 학생의 기록을 함께 휴지통으로 (복원도 함께)
+app.delete(
+  '/api/students/:id',
+  requirePermission('students.manage'),
+  async (req, res) => {
+    const { id } = req.params
+    const trashOptions = {
+      user: req.user,
+      deletedAt: new Date().toISOString(),
     }
 
-    if (status !== undefined) payload.status = status
-    if (admission_date !== undefined) payload.admission_date = admission_date
-    if (birth_date !== undefined) payload.birth_date = birth_date
-    if (notes !== undefined) payload.notes = notes
-
-    console.log('POST /api/students payload:', payload)
-
-    const { data, error } = await supabase
-      .from('students')
-      .insert([payload])
-      .select()
-      .single()
+    const { error } = await moveToTrash(
+      'students',
+      q => q.eq('id', id),
+      trashOptions,
+    )
 
     if (error) {
-      console.error('students 추가 에러:', error)
-      return res.status(500).json({ message: '학생 추가 중 오류가 발생했습니다.' })
+      console.error('students 삭제 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
     }
 
-    return res.json(data)
-  } catch (err) {
-    console.error('POST /api/students 서버 오류:', err)
-    res.status(500).json({ message: '서버 오류' })
-  }
-})
+    const { error: logsErr } = await moveToTrash(
+      'log_entries',
+      q => q.eq('student_id', id),
+      trashOptions,
+    )
 
-app.patch('/api/students/:id', async (req, res) => {
-  const { id } = req.params
+    if (logsErr) {
+      console.error('학생 기록 삭제 에러:', logsErr)
+      return res.status(500).json({ message: 'DB Error', error: logsErr })
+    }
 
-  try {
-    const { name, status, admission_date, birth_date, notes } = req.body || {}
+    res.status(204).send()
+  },
+)
 
-    const updateData = {}
-    if (name !== undefined) updateData.name = name
-    if (status !== undefined) updateData.status = status
-    if (admission_date !== undefined) updateData.admission_date = admission_date
-    if (birth_date !== undefined) updateData.birth_date = birth_date
-    if (notes !== undefined) updateData.notes = notes
+// -------------------- 학생 합치기 (중복 학생 정리) --------------------
 
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({ message: '업데이트할 필드가 없습니다.' })
+// source / target 학생 조회 → { source, target } 또는 { error: { status, code, message } }
+async function loadStudentsForMerge(sourceId, targetId) {
+  if (!targetId) {
+    return {
+      error: { status: 400, code: 'NO_TARGET', message: '합칠 대상 학생(target_id)이 필요합니다.' },
+    }
+  }
+  if (String(sourceId) === String(targetId)) {
+    return {
+      error: { status: 400, code: 'SAME_STUDENT', message: '같은 학생끼리는 합칠 수 없습니다.' },
     }
+  }
 
-    const { data, error } = await supabase
-      .from('students')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single()
+  const { data, error } = await supabase
+    .from('students')
+    .select('id, name, nickname')
+    .in('id', [sourceId, targetId])
+    .is('deleted_at', null)
 
-    if (error) {
-      console.error('students 수정 에러:', error)
-      return res.status(500).json({
-        message: 'DB Error',
-        detail: error.message || error.toString(),
-      })
+  if (error) {
+    console.error('합치기 학생 조회 에러:', error)
+    return { error: { status: 500, code: 'DB_ERROR', message: 'DB Error' } }
+  }
+
+  const source = (data || []).find(s => String(s.id) === String(sourceId))
+  const target = (data || []).find(s => String(s.id) === String(targetId))
+  if (!source || !target) {
+    return {
+      error: { status: 404, code: 'NOT_FOUND', message: '학생을 찾을 수 없습니다.' },
     }
+  }
+  return { source, target }
+}
 
-    return res.json(data)
-  } catch (e) {
-    console.error('PATCH /api/students/:id 예외:', e)
-    return res
-      .status(500)
-      .json({ message: 'Server Error', detail: e.toString() })
+// 합치면 옮겨질 행 수 (미리보기)
+async function countMergeMoves(source) {
+  const count = query => query.then(({ count: n, error }) => {
+    if (error) throw error
+    return n || 0
+  })
+
+  const [logEntries, studentTags, ingestUploads, reportRuns] = await Promise.all([
+    count(
+      supabase
+        .from('log_entries')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', source.id),
+    ),
+    count(
+      supabase
+        .from('log_entries')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', source.id)
+        .contains('activity_tags', [`학생:${source.name}`]),
+    ),
+    count(
+      supabase
+        .from('ingest_uploads')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', source.id),
+    ),
+    count(
+      supabase
+        .from('report_runs')
+        .select('id', { count: 'exact', head: true })
+        .eq('params->>student_id', String(source.id)),
+    ),
+  ])
+
+  return {
+    log_entries: logEntries,
+    student_tags: studentTags,
+    ingest_uploads: ingestUploads,
+    report_runs: reportRuns,
   }
-})
+}
 
-app.delete('/api/students/:id', async (req, res) => {
-  const { id } = req.params
+/**
+ * GET /api/students/:id/merge?target_id=...
+ * - :id(source) 를 target 으로 합치면 무엇이 옮겨지는지 미리보기 (아무것도 바꾸지 않음)
+ */
+app.get(
+  '/api/students/:id/merge',
+  requirePermission('students.manage'),
+  async (req, res) => {
+    try {
+      const { source, target, error } = await loadStudentsForMerge(
+        req.params.id,
+        req.query.target_id,
+      )
+      if (error) {
+        return res
+          .status(error.status)
+          .json({ message: error.message, code: error.code })
+      }
 
-  const { error } = await supabase.from('students').delete().eq('id', id)
+      const moves = await countMergeMoves(source)
+      return res.json({ source, target, moves })
+    } catch (e) {
+      console.error('GET /api/students/:id/merge 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
 
-  if (error) {
-    console.error('students 삭제 에러:', error)
-    return res.status(500).json({ message: 'DB Error', error })
-  }
+/**
+ * POST /api/students/:id/merge  body: { target_id }
+ * - :id(source) 학생의 기록/업로드/리포트를 target 으로 옮기고 source 는 휴지통으로
+ * - merge_students DB 함수로 한 번에 처리 (014_merge_students.sql, 020 에서 휴지통 처리)
+ */
+app.post(
+  '/api/students/:id/merge',
+  requirePermission('students.manage'),
+  async (req, res) => {
+    const { id } = req.params
+    const { target_id } = req.body || {}
 
-  res.status(204).send()
-})
+    try {
+      const { source, target, error } = await loadStudentsForMerge(id, target_id)
+      if (error) {
+        return res
+          .status(error.status)
+          .json({ message: error.message, code: error.code })
+      }
+
+      const { data: moved, error: mergeErr } = await supabase.rpc(
+        'merge_students',
+        { p_source_id: source.id, p_target_id: target.id, p_merged_by: req.user.id },
+      )
+
+      if (mergeErr) {
+        if (mergeErr.code === 'P0002') {
+          return res
+            .status(404)
+            .json({ message: '학생을 찾을 수 없습니다.', code: 'NOT_FOUND' })
+        }
+        console.error('merge_students 에러:', mergeErr)
+        return res.status(500).json({ message: 'DB Error', error: mergeErr })
+      }
+
+      // 두 학생 이력 모두에 남김 (source 는 삭제되지만 이력으로 어디로 합쳐졌는지 확인 가능)
+      await recordAudit(req.user, [
+        {
+          action: 'merge',
+          table: 'students',
+          recordId: source.id,
+          before: source,
+          after: { merged_into: target.id, moved },
+        },
+        {
+          action: 'merge',
+          table: 'students',
+          recordId: target.id,
+          before: target,
+          after: { merged_from: source.id, moved },
+        },
+      ])
+
+      return res.json({ source, target, moved })
+    } catch (e) {
+      console.error('POST /api/students/:id/merge 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
 
 // log_entries 목록/상세/추가/수정/삭제
+// - ?observer_id=<user id | me> 로 "내 관찰 기록"만 조회 가능
 app.get('/api/log_entries', async (req, res) => {
   const {
     student_id,
+    upload_id,
     from, // 시작 날짜
     to, // 종료 날짜
     status,
     limit = 50,
     offset = 0,
   } = req.query
+  const observerId = resolveUserFilter(req.query.observer_id, req)
 
   let query = supabase
     .from('log_entries')
     .select('*', { count: 'exact' })
+    .is('deleted_at', null)
     .order('log_date', { ascending: true })
     .range(Number(offset), Number(offset) + Number(limit) - 1)
 
   if (student_id) {
     query = query.eq('student_id', student_id)
   }
+  if (upload_id) {
+    query = query.eq('upload_id', upload_id)
+  }
   if (from) {
     query = query.gte('log_date', from)
   }
@@ -1000,6 +3443,9 @@ app.get('/api/log_entries', async (req, res) => {
   if (status) {
     query = query.eq('status', status)
   }
+  if (observerId) {
+    query = query.eq('observer_id', observerId)
+  }
 
   const { data, error, count } = await query
 
@@ -1021,6 +3467,7 @@ app.get('/api/log_entries/:id', async (req, res) => {
     .from('log_entries')
     .select('*')
     .eq('id', id)
+    .is('deleted_at', null)
     .single()
 
   if (error || !data) {
@@ -1031,74 +3478,128 @@ app.get('/api/log_entries/:id', async (req, res) => {
   res.json(data)
 })
 
-app.patch('/api/log_entries/:id', async (req, res) => {
-  const { id } = req.params
-  const {
-    log_date,
-    student_id,
-    observer_id,
-    emotion_tag,
-    activity_tags,
-    log_content,
-    related_metrics,
-    status,
-    source_file_path,
-  } = req.body
-
-  const updateData = {}
-  if (log_date !== undefined) updateData.log_date = log_date
-  if (student_id !== undefined) updateData.student_id = student_id
-  if (observer_id !== undefined) updateData.observer_id = observer_id
-  if (emotion_tag !== undefined) updateData.emotion_tag = emotion_tag
-  if (activity_tags !== undefined) updateData.activity_tags = activity_tags
-  if (log_content !== undefined) updateData.log_content = log_content
-  if (related_metrics !== undefined) updateData.related_metrics = related_metrics
-  if (status !== undefined) updateData.status = status
-  if (source_file_path !== undefined) updateData.source_file_path = source_file_path
+app.patch(
+  '/api/log_entries/:id',
+  requirePermission('logs.edit'),
+  async (req, res) => {
+    const { id } = req.params
+    const {
+      log_date,
+      student_id,
+      observer_id,
+      emotion_tag,
+      activity_tags,
+      log_content,
+      related_metrics,
+      status,
+      source_file_path,
+    } = req.body
 
-  const { data, error } = await supabase
-    .from('log_entries')
-    .update(updateData)
-    .eq('id', id)
-    .select()
-    .single()
+    const updateData = {}
+    if (log_date !== undefined) updateData.log_date = log_date
+    if (student_id !== undefined) updateData.student_id = student_id
+    if (observer_id !== undefined) updateData.observer_id = observer_id
+    if (emotion_tag !== undefined) updateData.emotion_tag = emotion_tag
+    if (activity_tags !== undefined) updateData.activity_tags = activity_tags
+    if (log_content !== undefined) updateData.log_content = log_content
+    if (related_metrics !== undefined) updateData.related_metrics = related_metrics
+    if (status !== undefined) updateData.status = status
+    if (source_file_path !== undefined) updateData.source_file_path = source_file_path
 
-  if (error) {
-    console.error('log_entries 수정 에러:', error)
-    return res.status(500).json({ message: 'DB Error', error })
-  }
+    const { data: before } = await supabase
+      .from('log_entries')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle()
 
-  res.json(data)
-})
+    const { data, error } = await supabase
+      .from('log_entries')
+      .update(updateData)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .single()
 
-app.delete('/api/log_entries/:id', async (req, res) => {
-  const { id } = req.params
+    if (error) {
+      console.error('log_entries 수정 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
+    }
 
-  const { error } = await supabase.from('log_entries').delete().eq('id', id)
+    // 다른 학생으로 옮긴 경우 옮겨 간 학생 이력에도 남김
+    await recordAudit(req.user, [
+      { action: 'update', table: 'log_entries', before, after: data },
+      before && before.student_id !== data.student_id && {
+        action: 'update',
+        table: 'log_entries',
+        studentId: before.student_id,
+        before,
+        after: data,
+      },
+    ])
 
-  if (error) {
-    console.error('log_entries 삭제 에러:', error)
-    return res.status(500).json({ message: 'DB Error', error })
-  }
+    res.json(data)
+  },
+)
 
-  res.status(204).send()
-})
+app.delete(
+  '/api/log_entries/:id',
+  requirePermission('logs.delete'),
+  async (req, res) => {
+    const { id } = req.params
+
+    const { error } = await moveToTrash('log_entries', q => q.eq('id', id), {
+      user: req.user,
+    })
+
+    if (error) {
+      console.error('log_entries 삭제 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
+    }
+
+    res.status(204).send()
+  },
+)
+
+// -------------------- AI 연동 API (llm.js) --------------------
+
+// AI 제공자가 꺼져 있을 때 응답
+const LLM_DISABLED_ERROR = {
+  ok: false,
+  code: 'NO_LLM_PROVIDER',
+  message:
+    'AI 제공자가 설정되어 있지 않습니다. (LLM_PROVIDER 또는 GEMINI_API_KEY/GOOGLE_API_KEY)',
+}
 
-// -------------------- Gemini AI 연동 API --------------------
+/**
+ * GET /ai/extraction-models, /api/ai/extraction-models
+ * - 재처리 때 고를 수 있는 추출 모델 목록
+ */
+app.get(['/ai/extraction-models', '/api/ai/extraction-models'], (req, res) => {
+  res.json({
+    default: DEFAULT_EXTRACTION_MODEL,
+    models: EXTRACTION_MODELS,
+    provider: llmProviderName,
+    enabled: !!llmProviderName,
+  })
+})
 
 /**
  * POST /ai/extract-records 또는 /api/ai/extract-records
+ * - parsed.records: 스키마 검사/보정을 통과한 레코드
+ * - validation.repaired / validation.dropped: 고치거나 버린 레코드(원래 순서 index)와 사유
+ * - 다시 물어봐도 JSON 을 못 받으면 parsed 는 null, validation.error 에 사유
+ * - 긴 raw_text 는 조각으로 나눠 추출: chunks 에 조각별 결과, validation.duplicates 에 합친 중복 레코드
+ * - warning: 일부 조각만 실패했으면 빠진 구간 안내 (validation.warning 과 같음, 없으면 null)
+ * - redaction: 학교 설정으로 개인정보를 가려서 보냈으면 가린 값 개수 (raw/parsed 는 되돌린 원래 값)
+ * - prompt: 사용한 프롬프트 { id, name, version } → 이 결과를 저장할 때 POST /uploads/:id/log 의 prompt 로
  */
 app.post(
   ['/ai/extract-records', '/api/ai/extract-records'],
+  requirePermission('uploads.create'),
   async (req, res) => {
-    if (!gemini) {
-      return res.status(500).json({
-        ok: false,
-        code: 'NO_GEMINI_KEY',
-        message:
-          'Gemini API key(GEMINI_API_KEY/GOOGLE_API_KEY)가 설정되어 있지 않습니다.',
-      })
+    if (!llmProviderName) {
+      return res.status(500).json(LLM_DISABLED_ERROR)
     }
 
     const { raw_text, file_name } = req.body || {}
@@ -1110,60 +3611,78 @@ app.post(
     }
 
     try {
-      const input = {
-        raw_text,
-        file_name: file_name || null,
-      }
-
-      const modelName =
-        process.env.GEMINI_EXTRACTION_MODEL || 'gemini-2.5-flash'
-
-      const model = gemini.getGenerativeModel({
-        model: modelName,
-        generationConfig: {
-          responseMimeType: 'application/json',
-        },
-      })
-
-      const prompt =
-        PDF_TXT_EXTRACTION_PROMPT +
-        '\n\n[입력 JSON]\n' +
-        JSON.stringify(input)
-
-      const result = await model.generateContent(prompt)
-      const raw = result.response.text()
-      const parsed = parseJsonFromText(raw)
+      const { model, prompt, redaction, raw, parsed, validation, chunks } =
+        await extractRecordsFromText(raw_text, file_name)
 
       return res.json({
         ok: true,
-        model: modelName,
+        model,
+        prompt,
+        redaction,
+        warning: validation.warning,
         raw,
         parsed,
+        validation,
+        chunks,
       })
     } catch (e) {
       console.error('POST /ai/extract-records 에러:', e)
       return res.status(500).json({
         ok: false,
-        message: 'Gemini 추출 중 오류가 발생했습니다.',
+        message: 'AI 추출 중 오류가 발생했습니다.',
         error: e.toString(),
       })
     }
   },
 )
 
+// 리포트 요청의 학생 프로필 이름/생년월일도 가림 (DB 와 다른 값으로 요청한 경우 대비)
+function addReportProfileTerms(redactor, payload) {
+  const profile = payload.student_profile || {}
+  redactor.addNames([profile.name, profile.nickname])
+  redactor.addBirthDates([profile.birth_date])
+}
+
+// 리포트 카테고리 → 프롬프트 이름 (report.<카테고리>)
+function reportPromptName({ category_code, category_label } = {}) {
+  return `report.${reportCategoryCode(category_code || category_label || 'full')}`
+}
+
+// 리포트 요청 → 사용할 프롬프트 이름과 자리표시자 값
+function reportPromptInput(payload) {
+  const options = payload.report_options || {}
+
+  const purposeCode = options.purpose
+  const purposeForPrompt =
+    purposeCode === 'parent'
+      ? '학부모 상담용'
+      : purposeCode === 'school'
+      ? '학교 제출용'
+      : '기본 리포트'
+
+  const toneForPrompt = options.tone || '분석적이고 요약 중심의 톤'
+
+  return {
+    name: reportPromptName(options),
+    variables: {
+      purpose: purposeForPrompt,
+      tone: toneForPrompt,
+      input_json: JSON.stringify(payload, null, 2),
+    },
+  }
+}
+
 /**
  * POST /ai/generate-report 또는 /api/ai/generate-report
+ * - prompt: 사용한 프롬프트 { id, name, version } → Report.jsx 가 report_runs.params.prompt 로 보냄 (POST /report-runs 가 확인)
+ * - redaction: 학교 설정으로 개인정보를 가려서 보냈으면 가린 값 개수 (markdown 은 되돌린 원래 값)
  */
 app.post(
   ['/ai/generate-report', '/api/ai/generate-report'],
+  requirePermission('reports.generate'),
   async (req, res) => {
-    if (!gemini) {
-      return res.status(500).json({
-        ok: false,
-        code: 'NO_GEMINI_KEY',
-        message:
-          'Gemini API key(GEMINI_API_KEY/GOOGLE_API_KEY)가 설정되어 있지 않습니다.',
-      })
+    if (!llmProviderName) {
+      return res.status(500).json(LLM_DISABLED_ERROR)
     }
 
     try {
@@ -1185,53 +3704,31 @@ app.post(
         report_options: report_options || {},
       }
 
-      const categoryCode =
-        (report_options && report_options.category_code) || 'full'
-      const categoryLabel =
-        (report_options && report_options.category_label) || '전체 리포트'
+      const redactor = await createAiRedactor()
+      addReportProfileTerms(redactor, payload)
 
-      const purposeCode = report_options && report_options.purpose
-      const purposeForPrompt =
-        purposeCode === 'parent'
-          ? '학부모 상담용'
-          : purposeCode === 'school'
-          ? '학교 제출용'
-          : '기본 리포트'
+      const { name, variables } = reportPromptInput(payload)
+      const prompt = await getPrompt(name)
+      const finalPrompt = renderPrompt(prompt.body, variables)
 
-      const toneForPrompt =
-        (report_options && report_options.tone) ||
-        '분석적이고 요약 중심의 톤'
-
-      const basePrompt = GET_REPORT_PROMPT(
-        categoryCode || categoryLabel,
-        purposeForPrompt,
-        toneForPrompt,
-      )
-
-      const finalPrompt = basePrompt.replace(
-        '{input_json}',
-        JSON.stringify(payload, null, 2),
-      )
-
-      const modelName = process.env.GEMINI_REPORT_MODEL || 'gemini-2.5-flash'
-
-      const model = gemini.getGenerativeModel({
-        model: modelName,
+      const { text, model } = await generateText({
+        task: 'report',
+        prompt: redactor.redact(finalPrompt),
+        input: redactor.redactValue(payload),
       })
 
-      const result = await model.generateContent(finalPrompt)
-      const markdown = result.response.text()
-
       return res.json({
         ok: true,
-        model: modelName,
-        markdown,
+        model,
+        prompt: promptRef(prompt),
+        redaction: redactor.summary(),
+        markdown: redactor.restore(text),
       })
     } catch (e) {
       console.error('POST /ai/generate-report 에러:', e)
       return res.status(500).json({
         ok: false,
-        message: 'Gemini 리포트 생성 중 오류가 발생했습니다.',
+        message: 'AI 리포트 생성 중 오류가 발생했습니다.',
         error: e.toString(),
       })
     }
@@ -1250,6 +3747,7 @@ app.get('/api/dashboard', async (req, res) => {
       .select(
         'log_date, emotion_tag, related_metrics, activity_tags, log_content, created_at',
       )
+      .is('deleted_at', null)
 
     if (studentId) {
       query = query.eq('student_id', studentId)
@@ -1393,7 +3891,28 @@ app.get('/api/dashboard', async (req, res) => {
   }
 })
 
-// -------------------- 대시보드 Gemini 채팅 API (/api/dashboard/chat) --------------------
+// -------------------- 대시보드 AI 채팅 API (/api/dashboard/chat) --------------------
+
+// 채팅 프롬프트(chat)의 자리표시자 값
+function chatPromptVariables({
+  studentId,
+  studentName,
+  startDate,
+  endDate,
+  stats,
+  historyText,
+  message,
+}) {
+  return {
+    student_name: studentName || '이름 미상',
+    student_id: studentId || 'N/A',
+    start_date: startDate || '-',
+    end_date: endDate || '-',
+    stats_json: JSON.stringify(stats, null, 2),
+    history: historyText || '(이전 대화 없음)',
+    message,
+  }
+}
 app.post('/api/dashboard/chat', async (req, res) => {
   const {
     studentId,
@@ -1419,6 +3938,7 @@ app.post('/api/dashboard/chat', async (req, res) => {
           'log_date, emotion_tag, related_metrics, activity_tags, log_content, created_at',
         )
         .eq('student_id', studentId)
+        .is('deleted_at', null)
         .gte('log_date', startDate)
         .lte('log_date', endDate)
 
@@ -1469,89 +3989,54 @@ app.post('/api/dashboard/chat', async (req, res) => {
       emotionSamples,
     }
 
-    const systemPrompt = `
-당신은 텃밭/농장 활동 기록을 분석해서 학생의 감정, 활동, 성장 패턴을 교사가 이해하기 쉽게 설명해 주는 한국어 AI 도우미입니다.
-
-- 데이터에 근거해서 차분하고 구체적으로 설명하세요.
-- 학부모 상담이나 기록 작성에 바로 쓸 수 있도록 요약과 해석을 제공합니다.
-- 너무 장황하지 않게 3~6문단 이내로 정리하고, 필요하면 글머리 기호를 사용해 주세요.
-`
-
-    const userPrompt = `
-[학생 및 기간 정보]
-- 학생 이름: ${studentName || '이름 미상'}
-- 학생 ID: ${studentId || 'N/A'}
-- 기간: ${startDate || '-'} ~ ${endDate || '-'}
-
-[요약 데이터(JSON)]
-${JSON.stringify(statsForPrompt, null, 2)}
-
-[이전 대화]
-${historyText || '(이전 대화 없음)'}
-
-[교사의 질문]
-"""${message}"""
-
-위 정보를 바탕으로, 교사가 이해하기 쉬운 한국어로 답변해 주세요.
-데이터가 부족한 부분이 있다면 "이 부분은 데이터가 부족합니다"라고 솔직하게 말해 주세요.
-`
-
-    if (!process.env.GEMINI_API_KEY) {
-      console.error('GEMINI_API_KEY가 설정되어 있지 않습니다.')
+    const prompt = await getPrompt('chat')
+    const chatPrompt = renderPrompt(
+      prompt.body,
+      chatPromptVariables({
+        studentId,
+        studentName,
+        startDate,
+        endDate,
+        stats: statsForPrompt,
+        historyText,
+        message,
+      }),
+    )
+
+    if (!llmProviderName) {
+      console.error('AI 제공자가 설정되어 있지 않습니다.')
       return res.json({
         answer:
-          '현재 서버에 Gemini API 키(GEMINI_API_KEY)가 설정되어 있지 않아 실제 AI 응답을 생성할 수 없습니다. 백엔드 .env 또는 Render 환경 변수에서 GEMINI_API_KEY를 설정한 뒤 다시 시도해 주세요.',
+          '현재 서버에 AI 제공자(LLM_PROVIDER 또는 GEMINI_API_KEY)가 설정되어 있지 않아 실제 AI 응답을 생성할 수 없습니다. 백엔드 .env 또는 Render 환경 변수를 설정한 뒤 다시 시도해 주세요.',
       })
     }
 
-    const geminiUrl =
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent' +
-      `?key=${process.env.GEMINI_API_KEY}`
-
-    const body = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: systemPrompt + '\n\n' + userPrompt }],
-        },
-      ],
-    }
-
-    const geminiResponse = await fetch(geminiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    })
-
-    const text = await geminiResponse.text()
-
-    if (!geminiResponse.ok) {
-      console.error(
-        'Gemini API error:',
-        geminiResponse.status,
-        text,
-      )
+    let answer = ''
+    let redaction = null
+    try {
+      const redactor = await createAiRedactor()
+      redactor.addNames([studentName])
 
+      const result = await generateText({
+        task: 'chat',
+        prompt: redactor.redact(chatPrompt),
+        input: redactor.redactValue({ ...statsForPrompt, message, history }),
+      })
+      answer = redactor.restore(result.text)
+      redaction = redactor.summary()
+    } catch (e) {
+      console.error('AI 채팅 API 에러:', e)
       return res.status(500).json({
-        message: 'Gemini API Error',
-        detail: text,
+        message: 'AI API Error',
+        detail: e.message || String(e),
       })
     }
 
-    let geminiJson = {}
-    try {
-      geminiJson = JSON.parse(text)
-    } catch {
-      geminiJson = {}
-    }
-
-    const answer =
-      geminiJson?.candidates?.[0]?.content?.parts
-        ?.map(p => p.text || '')
-        .join('') ||
+    answer =
+      answer ||
       'AI 응답을 불러오지 못했습니다. 프롬프트나 서버 설정을 확인해 주세요.'
 
-    return res.json({ answer })
+    return res.json({ answer, redaction })
   } catch (e) {
     console.error('POST /api/dashboard/chat 에러:', e)
     return res
@@ -1560,181 +4045,227 @@ ${historyText || '(이전 대화 없음)'}
   }
 })
 
+// 템플릿이 없을 때 자동 생성을 허용하는 기본 템플릿 코드
+const BUILTIN_TEMPLATE_CODES = ['default_md', 'ai_markdown']
+
 /**
  * POST /report-runs, /api/report-runs
  * - AI 리포트 요청 (Report.jsx 에서 호출)
  */
-app.post(['/report-runs', '/api/report-runs'], async (req, res) => {
-  try {
-    // -------------------------------
-    // 1) body 구조 파싱 (중첩 body 방어)
-    // -------------------------------
-    const raw = req.body || {}
-
-    // 만약 { body: { ... } } 형태로 들어오면 안쪽 body 객체를 payload 로 사용
-    const root =
-      raw &&
-      typeof raw === 'object' &&
-      raw.body &&
-      typeof raw.body === 'object' &&
-      !Array.isArray(raw.body)
-        ? raw.body
-        : raw
-
-    // 여기부터는 순수 root 가 "실제 요청 JSON" 이라고 가정
-    const { template_code, template_id, requested_by } = root
-
-    // 1차로 params 를 꺼낸다
-    let incomingParams = root.params
-
-    // 혹시 만약 params 가 문자열(JSON 문자열)로 넘어오면 파싱
-    if (typeof incomingParams === 'string') {
-      try {
-        incomingParams = JSON.parse(incomingParams)
-      } catch (e) {
-        console.warn('POST /report-runs: params JSON 파싱 실패, 원본 문자열 그대로 사용합니다.', e)
+app.post(
+  ['/report-runs', '/api/report-runs'],
+  requirePermission('reports.generate'),
+  async (req, res) => {
+    try {
+      // -------------------------------
+      // 1) body 구조 파싱 (중첩 body 방어)
+      // -------------------------------
+      const raw = req.body || {}
+
+      // 만약 { body: { ... } } 형태로 들어오면 안쪽 body 객체를 payload 로 사용
+      const root =
+        raw &&
+        typeof raw === 'object' &&
+        raw.body &&
+        typeof raw.body === 'object' &&
+        !Array.isArray(raw.body)
+          ? raw.body
+          : raw
+
+      // 여기부터는 순수 root 가 "실제 요청 JSON" 이라고 가정
+      const { template_code, template_id, requested_by } = root
+
+      // 1차로 params 를 꺼낸다
+      let incomingParams = root.params
+
+      // 혹시 만약 params 가 문자열(JSON 문자열)로 넘어오면 파싱
+      if (typeof incomingParams === 'string') {
+        try {
+          incomingParams = JSON.parse(incomingParams)
+        } catch (e) {
+          console.warn('POST /report-runs: params JSON 파싱 실패, 원본 문자열 그대로 사용합니다.', e)
+        }
       }
-    }
 
-    // -------------------------------
-    // 2) params 만들기
-    // -------------------------------
-    let finalParams = null
+      // -------------------------------
+      // 2) params 만들기
+      // -------------------------------
+      let finalParams = null
+
+      // (1) 정상적으로 params 객체가 온 경우 그대로 사용
+      if (
+        incomingParams &&
+        typeof incomingParams === 'object' &&
+        !Array.isArray(incomingParams)
+      ) {
+        finalParams = { ...incomingParams }
+      } else {
+        // (2) params 가 없거나 문자열/배열 등 비정상 형태면
+        //     template_code / template_id / requested_by / params 를 제외한
+        //     나머지 필드를 모두 params 로 넣어 준다
+        const fallback = {}
+
+        Object.keys(root).forEach(key => {
+          if (
+            key === 'template_code' ||
+            key === 'template_id' ||
+            key === 'requested_by' ||
+            key === 'params'
+          ) {
+            return
+          }
+          fallback[key] = root[key]
+        })
 
-    // (1) 정상적으로 params 객체가 온 경우 그대로 사용
-    if (
-      incomingParams &&
-      typeof incomingParams === 'object' &&
-      !Array.isArray(incomingParams)
-    ) {
-      finalParams = { ...incomingParams }
-    } else {
-      // (2) params 가 없거나 문자열/배열 등 비정상 형태면
-      //     template_code / template_id / requested_by / params 를 제외한
-      //     나머지 필드를 모두 params 로 넣어 준다
-      const fallback = {}
-
-      Object.keys(root).forEach(key => {
-        if (
-          key === 'template_code' ||
-          key === 'template_id' ||
-          key === 'requested_by' ||
-          key === 'params'
-        ) {
-          return
-        }
-        fallback[key] = root[key]
-      })
+        finalParams = Object.keys(fallback).length > 0 ? fallback : {}
+      }
 
-      finalParams = Object.keys(fallback).length > 0 ? fallback : {}
-    }
+      // 혹시 최상단에 markdown 필드로 들어온 경우에도 params 에 보장
+      if (!finalParams.markdown && typeof root.markdown === 'string') {
+        finalParams.markdown = root.markdown
+      }
 
-    // 혹시 최상단에 markdown 필드로 들어온 경우에도 params 에 보장
-    if (!finalParams.markdown && typeof root.markdown === 'string') {
-      finalParams.markdown = root.markdown
-    }
+      // params 가 결국이라도 falsy 하면 비어있는 객체라도 넣어준다
+      if (!finalParams) finalParams = {}
+
+      // AI 리포트의 프롬프트: generate-report 가 돌려준 { id, version } 이 이 카테고리의
+      // 실제 버전인지 확인해서 서버가 다시 채움 (없으면 null)
+      if (finalParams.prompt) {
+        const verifiedPrompt = await verifyPromptRef(
+          reportPromptName(finalParams),
+          finalParams.prompt,
+        )
+        if (!verifiedPrompt) {
+          return res.status(400).json({
+            message: '리포트를 만든 프롬프트 버전을 찾을 수 없습니다.',
+            code: 'INVALID_PROMPT',
+          })
+        }
+        finalParams.prompt = verifiedPrompt
+      } else {
+        finalParams.prompt = null
+      }
 
-    // params 가 결국이라도 falsy 하면 비어있는 객체라도 넣어준다
-    if (!finalParams) finalParams = {}
+      // -------------------------------
+      // 3) 사용할 템플릿 결정 (template_id / template_code)
+      // -------------------------------
+      const codeToUse = template_code || 'default_md'
+      let tplId = template_id || null
+
+      // template_id 가 없으면 code 기반으로 템플릿 조회
+      if (!tplId) {
+        const { data: tpl, error: tplErr } = await supabase
+          .from('report_templates')
+          .select('id, code, name, format, config')
+          .eq('code', codeToUse)
+          .single()
+
+        if (!tplErr && tpl) {
+          tplId = tpl.id
+        }
+      }
 
-    // -------------------------------
-    // 3) 사용할 템플릿 결정 (template_id / template_code)
-    // -------------------------------
-    const codeToUse = template_code || 'default_md'
-    let tplId = template_id || null
+      // 그래도 템플릿이 없으면 기본 템플릿 생성 (md 포맷)
+      // - 기본 코드(default_md, ai_markdown)는 누구나 자동 생성
+      // - 그 외 새 템플릿은 templates.manage 권한(관리자)만 생성 가능
+      if (
+        !tplId &&
+        !BUILTIN_TEMPLATE_CODES.includes(codeToUse) &&
+        !hasPermission(req.user, 'templates.manage')
+      ) {
+        return res.status(403).json({
+          message: `'${codeToUse}' 리포트 템플릿이 없습니다. 관리자에게 요청해 주세요.`,
+          code: 'FORBIDDEN',
+          permission: 'templates.manage',
+        })
+      }
 
-    // template_id 가 없으면 code 기반으로 템플릿 조회
-    if (!tplId) {
-      const { data: tpl, error: tplErr } = await supabase
-        .from('report_templates')
-        .select('id, code, name, format, config')
-        .eq('code', codeToUse)
-        .single()
+      if (!tplId) {
+        const { data: createdTpl, error: createErr } = await supabase
+          .from('report_templates')
+          .insert([
+            {
+              code: codeToUse,
+              name:
+                codeToUse === 'ai_markdown'
+                  ? 'AI 마크다운 리포트'
+                  : '기본 리포트 템플릿',
+              format: 'md',
+              config: null,
+            },
+          ])
+          .select('id')
+          .single()
+
+        if (createErr || !createdTpl) {
+          console.error('report_templates insert 에러:', createErr)
+          return res
+            .status(500)
+            .json({
+              message: '리포트 템플릿 생성 중 오류가 발생했습니다.',
+              error: createErr,
+            })
+        }
+        tplId = createdTpl.id
+      }
 
-      if (!tplErr && tpl) {
-        tplId = tpl.id
+      // -------------------------------
+      // 4) report_runs 에 실제로 저장될 payload
+      // -------------------------------
+      const payload = {
+        template_id: tplId, // NOT NULL
+        params: finalParams, // jsonb NOT NULL
+        requested_by: requested_by || null,
+        status: 'completed', // 새 AI 리포트는 바로 completed 상태로
       }
-    }
 
-    // 그래도 템플릿이 없으면 기본 템플릿 생성 (md 포맷)
-    if (!tplId) {
-      const { data: createdTpl, error: createErr } = await supabase
-        .from('report_templates')
-        .insert([
-          {
-            code: codeToUse,
-            name:
-              codeToUse === 'ai_markdown'
-                ? 'AI 마크다운 리포트'
-                : '기본 리포트 템플릿',
-            format: 'md',
-            config: null,
-          },
-        ])
-        .select('id')
+      const { data, error } = await supabase
+        .from('report_runs')
+        .insert([payload])
+        .select(
+          `
+          id,
+          template_id,
+          requested_by,
+          params,
+          status,
+          error,
+          created_at,
+          updated_at,
+          template:report_templates (
+            id,
+            code,
+            name,
+            format,
+            config
+          )
+        `,
+        )
         .single()
 
-      if (createErr || !createdTpl) {
-        console.error('report_templates insert 에러:', createErr)
+      if (error) {
+        console.error('report_runs insert 에러:', error)
         return res
           .status(500)
-          .json({
-            message: '리포트 템플릿 생성 중 오류가 발생했습니다.',
-            error: createErr,
-          })
+          .json({ message: 'DB Error', detail: error.message || String(error) })
       }
-      tplId = createdTpl.id
-    }
 
-    // -------------------------------
-    // 4) report_runs 에 실제로 저장될 payload
-    // -------------------------------
-    const payload = {
-      template_id: tplId, // NOT NULL
-      params: finalParams, // jsonb NOT NULL
-      requested_by: requested_by || null,
-      status: 'completed', // 새 AI 리포트는 바로 completed 상태로
-    }
-
-    const { data, error } = await supabase
-      .from('report_runs')
-      .insert([payload])
-      .select(
-        `
-        id,
-        template_id,
-        requested_by,
-        params,
-        status,
-        error,
-        created_at,
-        updated_at,
-        template:report_templates (
-          id,
-          code,
-          name,
-          format,
-          config
-        )
-      `,
-      )
-      .single()
+      await recordAudit(req.user, {
+        action: 'create',
+        table: 'report_runs',
+        studentId: finalParams.student_id || null,
+        after: data,
+      })
 
-    if (error) {
-      console.error('report_runs insert 에러:', error)
+      return res.status(201).json(data)
+    } catch (e) {
+      console.error('POST /report-runs 예외:', e)
       return res
         .status(500)
-        .json({ message: 'DB Error', detail: error.message || String(error) })
+        .json({ message: 'Server Error', detail: e.toString() })
     }
-
-    return res.status(201).json(data)
-  } catch (e) {
-    console.error('POST /report-runs 예외:', e)
-    return res
-      .status(500)
-      .json({ message: 'Server Error', detail: e.toString() })
-  }
-})
+  },
+)
 
 /**
  * GET /report-runs, /api/report-runs
@@ -1763,6 +4294,7 @@ app.get(['/report-runs', '/api/report-runs'], async (req, res) => {
         )
       `,
       )
+      .is('deleted_at', null)
 
     if (error) {
       console.error('report_runs 목록 조회 에러:', error)
@@ -1809,6 +4341,7 @@ app.get(['/report-runs/:id', '/api/report-runs/:id'], async (req, res) => {
       `,
       )
       .eq('id', id)
+      .is('deleted_at', null)
       .single()
 
     if (error || !data) {
@@ -1840,6 +4373,7 @@ app.get(
         .from('report_runs')
         .select('params, created_at')
         .eq('id', id)
+        .is('deleted_at', null)
         .single()
 
       if (error || !data) {
@@ -1890,23 +4424,15 @@ app.get(
  */
 app.delete(
   ['/report-runs/:id', '/api/report-runs/:id'],
+  requirePermission('reports.delete'),
   async (req, res) => {
     const { id } = req.params
 
     try {
-      const { error: outErr } = await supabase
-        .from('report_outputs')
-        .delete()
-        .eq('run_id', id)
-
-      if (outErr) {
-        console.error('report_outputs 삭제 에러:', outErr)
-      }
-
-      const { error } = await supabase
-        .from('report_runs')
-        .delete()
-        .eq('id', id)
+      // 휴지통으로 이동 (report_outputs 는 완전히 삭제될 때 같이 삭제)
+      const { error } = await moveToTrash('report_runs', q => q.eq('id', id), {
+        user: req.user,
+      })
 
       if (error) {
         console.error('report_runs 삭제 에러:', error)
@@ -1925,8 +4451,478 @@ app.delete(
   },
 )
 
+// -------------------- 프롬프트 저장소 (/api/prompts) --------------------
+
+// 테스트 콘솔 입력 → { rendered, run } (run: 실제로 AI 를 호출해서 결과를 돌려주는 함수, 없으면 미리보기만)
+// - extraction: input = 원본 텍스트
+// - chat: input = 질문 문자열 또는 { message, studentName, startDate, endDate, ... }
+// - report.*: input = /ai/generate-report 와 같은 JSON (객체 또는 JSON 문자열)
+// - text_extraction: 파일이 필요해서 미리보기만
+// rendered 는 실제로 보내는 프롬프트 (redactor 로 개인정보를 가린 뒤), run 의 output 은 되돌린 원래 값
+function buildPromptPreview(prompt, input, redactor) {
+  if (prompt.name === 'extraction') {
+    const rawText = typeof input === 'string' ? input : ''
+    return {
+      rendered: buildExtractionPrompt(
+        prompt.body,
+        redactor.redactValue({ raw_text: rawText, file_name: null }),
+      ),
+      run: async () => {
+        const result = await extractRecordsFromText(rawText, null, { prompt })
+        return {
+          model: result.model,
+          output: {
+            parsed: result.parsed,
+            validation: result.validation,
+            chunks: result.chunks,
+          },
+        }
+      },
+    }
+  }
+
+  if (prompt.name === 'chat') {
+    const context =
+      typeof input === 'string' ? { message: input } : input || {}
+    redactor.addNames([context.studentName])
+    const rendered = redactor.redact(
+      renderPrompt(
+        prompt.body,
+        chatPromptVariables({
+          ...context,
+          stats: context.stats || {},
+          historyText: context.historyText,
+          message: context.message || '',
+        }),
+      ),
+    )
+    return {
+      rendered,
+      run: async () => {
+        const result = await generateText({
+          task: 'chat',
+          prompt: rendered,
+          input: redactor.redactValue({ message: context.message || '', recordCount: 0 }),
+        })
+        return { model: result.model, output: redactor.restore(result.text) }
+      },
+    }
+  }
+
+  if (prompt.name.startsWith('report.')) {
+    const payload =
+      typeof input === 'string' && input.trim() ? JSON.parse(input) : input || {}
+    addReportProfileTerms(redactor, payload)
+    const { variables } = reportPromptInput(payload)
+    const rendered = redactor.redact(renderPrompt(prompt.body, variables))
+    return {
+      rendered,
+      run: async () => {
+        const result = await generateText({
+          task: 'report',
+          prompt: rendered,
+          input: redactor.redactValue(payload),
+        })
+        return { model: result.model, output: redactor.restore(result.text) }
+      },
+    }
+  }
+
+  return { rendered: prompt.body, run: null }
+}
+
+function unknownPromptResponse(res, name) {
+  return res
+    .status(404)
+    .json({ message: `알 수 없는 프롬프트입니다: ${name}`, code: 'UNKNOWN_PROMPT' })
+}
+
+/**
+ * GET /api/prompts
+ * - 프롬프트 이름별 요약 (사용 중인 버전, 저장된 버전 수)
+ * - active_version 0 = 코드 기본 프롬프트 사용 중
+ */
+app.get('/api/prompts', requirePermission('prompts.manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('prompt_versions')
+      .select('name, version, is_active, created_at')
+
+    if (error) {
+      console.error('prompt_versions 목록 조회 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
+    }
+
+    const items = PROMPT_NAMES.map(name => {
+      const versions = (data || []).filter(row => row.name === name)
+      const active = versions.find(row => row.is_active)
+      const latest = versions.reduce(
+        (acc, row) => (!acc || row.version > acc.version ? row : acc),
+        null,
+      )
+      return {
+        name,
+        description: BUILTIN_PROMPTS[name].description,
+        active_version: active ? active.version : 0,
+        version_count: versions.length,
+        latest_version: latest ? latest.version : 0,
+        updated_at: latest ? latest.created_at : null,
+      }
+    })
+
+    return res.json({ items })
+  } catch (e) {
+    console.error('GET /api/prompts 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * GET /api/prompts/:name
+ * - 기본 프롬프트(버전 0)와 저장된 버전 전체 (최신 순)
+ */
+app.get(
+  '/api/prompts/:name',
+  requirePermission('prompts.manage'),
+  async (req, res) => {
+    const { name } = req.params
+    if (!BUILTIN_PROMPTS[name]) return unknownPromptResponse(res, name)
+
+    try {
+      const { data, error } = await supabase
+        .from('prompt_versions')
+        .select('id, name, version, body, note, is_active, created_by, created_at')
+        .eq('name', name)
+        .order('version', { ascending: false })
+
+      if (error) {
+        console.error('prompt_versions 조회 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+
+      const active = (data || []).find(row => row.is_active)
+      return res.json({
+        name,
+        description: BUILTIN_PROMPTS[name].description,
+        builtin: { version: 0, body: BUILTIN_PROMPTS[name].body },
+        active_version: active ? active.version : 0,
+        versions: data || [],
+      })
+    } catch (e) {
+      console.error('GET /api/prompts/:name 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+/**
+ * POST /api/prompts/:name/versions
+ * - body: { body, note?, activate? } → 새 버전 저장 (activate 면 바로 사용)
+ */
+app.post(
+  '/api/prompts/:name/versions',
+  requirePermission('prompts.manage'),
+  async (req, res) => {
+    const { name } = req.params
+    if (!BUILTIN_PROMPTS[name]) return unknownPromptResponse(res, name)
+
+    const { body, note, activate } = req.body || {}
+    if (typeof body !== 'string' || !body.trim()) {
+      return res
+        .status(400)
+        .json({ message: '프롬프트 내용(body)이 필요합니다.', code: 'INVALID_PROMPT_BODY' })
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('save_prompt_version', {
+        p_name: name,
+        p_body: body,
+        p_note: typeof note === 'string' && note.trim() ? note.trim() : null,
+        p_created_by: req.user.id,
+        p_activate: !!activate,
+      })
+
+      if (error) {
+        console.error('save_prompt_version 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+
+      clearPromptCache(name)
+      return res.status(201).json(data)
+    } catch (e) {
+      console.error('POST /api/prompts/:name/versions 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+/**
+ * POST /api/prompts/:name/activate
+ * - body: { version } → 그 버전을 사용 (0 이면 코드 기본 프롬프트로 되돌림)
+ */
+app.post(
+  '/api/prompts/:name/activate',
+  requirePermission('prompts.manage'),
+  async (req, res) => {
+    const { name } = req.params
+    if (!BUILTIN_PROMPTS[name]) return unknownPromptResponse(res, name)
+
+    const version = Number(req.body?.version)
+    if (!Number.isInteger(version) || version < 0) {
+      return res
+        .status(400)
+        .json({ message: 'version 은 0 이상의 정수여야 합니다.', code: 'INVALID_VERSION' })
+    }
+
+    try {
+      const { error } = await supabase.rpc('activate_prompt_version', {
+        p_name: name,
+        p_version: version,
+      })
+
+      if (error) {
+        if (error.code === 'P0002') {
+          return res
+            .status(404)
+            .json({ message: '해당 버전이 없습니다.', code: 'NOT_FOUND' })
+        }
+        console.error('activate_prompt_version 에러:', error)
+        return res.status(500).json({ message: 'DB Error', error })
+      }
+
+      clearPromptCache(name)
+      return res.json({ name, active_version: version })
+    } catch (e) {
+      console.error('POST /api/prompts/:name/activate 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+/**
+ * POST /api/prompts/:name/preview
+ * - 프롬프트 테스트 콘솔: 실제 값이 들어간 프롬프트를 보여 주고, run 이면 AI 를 호출한 결과까지
+ * - body: { body?: 저장 전 초안, version?: 저장된 버전(0 = 기본), input, run? }
+ *   (body/version 이 없으면 지금 사용 중인 프롬프트)
+ * → { prompt: { id, name, version }, rendered, redaction, model?, output? }
+ *   개인정보 가리기가 켜져 있으면 rendered 는 가린 뒤의 프롬프트
+ *   초안은 version 이 null
+ */
+app.post(
+  '/api/prompts/:name/preview',
+  requirePermission('prompts.manage'),
+  async (req, res) => {
+    const { name } = req.params
+    if (!BUILTIN_PROMPTS[name]) return unknownPromptResponse(res, name)
+
+    const { body, version, input, run } = req.body || {}
+
+    try {
+      let prompt = null
+      if (typeof body === 'string') {
+        prompt = { id: null, name, version: null, body }
+      } else if (version === 0 || version === '0') {
+        prompt = { id: null, name, version: 0, body: BUILTIN_PROMPTS[name].body }
+      } else if (version !== undefined && version !== null && version !== '') {
+        const { data, error } = await supabase
+          .from('prompt_versions')
+          .select('id, name, version, body')
+          .eq('name', name)
+          .eq('version', Number(version))
+          .maybeSingle()
+        if (error) {
+          console.error('prompt_versions 조회 에러:', error)
+          return res.status(500).json({ message: 'DB Error', error })
+        }
+        if (!data) {
+          return res
+            .status(404)
+            .json({ message: '해당 버전이 없습니다.', code: 'NOT_FOUND' })
+        }
+        prompt = data
+      } else {
+        prompt = await getPrompt(name)
+      }
+
+      const redactor = await createAiRedactor()
+
+      let preview = null
+      try {
+        preview = buildPromptPreview(prompt, input, redactor)
+      } catch (e) {
+        return res.status(400).json({
+          message: `테스트 입력을 해석하지 못했습니다: ${e.message || e}`,
+          code: 'INVALID_PREVIEW_INPUT',
+        })
+      }
+
+      const response = {
+        prompt: promptRef(prompt),
+        rendered: preview.rendered,
+        redaction: redactor.summary(),
+      }
+      if (!run) return res.json(response)
+
+      if (!preview.run) {
+        return res.status(400).json({
+          message: '파일이 필요한 프롬프트는 미리보기만 할 수 있습니다.',
+          code: 'PREVIEW_RUN_UNSUPPORTED',
+        })
+      }
+      if (!llmProviderName) {
+        return res.status(500).json(LLM_DISABLED_ERROR)
+      }
+
+      const { model, output } = await preview.run()
+      return res.json({ ...response, redaction: redactor.summary(), model, output })
+    } catch (e) {
+      console.error('POST /api/prompts/:name/preview 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+// -------------------- 학교 설정 (/api/school-settings) --------------------
+
+/**
+ * GET /api/school-settings
+ * - 로그인한 사용자 누구나 (AI 를 쓰는 화면에서 개인정보 가리기 여부 안내용)
+ * - llm_provider / llm_external: 지금 AI 제공자와 학교 밖 서버인지
+ */
+app.get('/api/school-settings', async (req, res) => {
+  try {
+    const settings = await getSchoolSettings()
+    return res.json({
+      ...settings,
+      llm_provider: llmProviderName,
+      llm_external: llmIsExternal,
+    })
+  } catch (e) {
+    console.error('GET /api/school-settings 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
+/**
+ * PATCH /api/school-settings
+ * - body: { require_ai_redaction } 중 바꿀 것만
+ */
+app.patch(
+  '/api/school-settings',
+  requirePermission('settings.manage'),
+  async (req, res) => {
+    try {
+      const settings = await updateSchoolSettings(req.body || {}, req.user.id)
+      return res.json({
+        ...settings,
+        llm_provider: llmProviderName,
+        llm_external: llmIsExternal,
+      })
+    } catch (e) {
+      if (e.code === 'INVALID_SETTINGS') {
+        return res.status(400).json({ message: e.message, code: e.code })
+      }
+      console.error('PATCH /api/school-settings 에러:', e)
+      return res
+        .status(500)
+        .json({ message: 'Server Error', error: e.toString() })
+    }
+  },
+)
+
+// -------------------- 변경 이력 (/api/audit) --------------------
+
+// "2026-03-01" 처럼 날짜만 오면 to 는 그 날 끝까지 포함
+function auditDateBound(value, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return value
+  const d = new Date(`${value}T00:00:00`)
+  if (endOfDay) d.setDate(d.getDate() + 1)
+  return d.toISOString()
+}
+
+/**
+ * GET /api/audit
+ * - 학생 데이터 변경 이력 (audit_log, 최근 순)
+ * - ?student_id=, ?actor_id=<user id | me>, ?table=, ?action=, ?from=, ?to=, ?limit=, ?offset=
+ * - 각 항목에 actor(user_profiles 의 이름/이메일)를 붙여서 돌려줌
+ */
+app.get('/api/audit', requirePermission('audit.view'), async (req, res) => {
+  const { student_id, table, action, from, to, limit = 50, offset = 0 } =
+    req.query
+  const actorId = resolveUserFilter(req.query.actor_id, req)
+
+  try {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1)
+
+    if (student_id) query = query.eq('student_id', student_id)
+    if (actorId) query = query.eq('actor_id', actorId)
+    if (table) query = query.eq('table_name', table)
+    if (action) query = query.eq('action', action)
+    if (from) query = query.gte('created_at', auditDateBound(from, false))
+    if (to) query = query.lt('created_at', auditDateBound(to, true))
+
+    const { data, error, count } = await query
+
+    if (error) {
+      console.error('audit_log 조회 에러:', error)
+      return res.status(500).json({ message: 'DB Error', error })
+    }
+
+    const actorIds = [
+      ...new Set((data || []).map(row => row.actor_id).filter(Boolean)),
+    ]
+    const actors = new Map()
+    if (actorIds.length > 0) {
+      const { data: profiles, error: profileErr } = await supabase
+        .from('user_profiles')
+        .select('id, email, display_name')
+        .in('id', actorIds)
+      if (profileErr) console.error('audit actor 조회 에러:', profileErr)
+      ;(profiles || []).forEach(profile => actors.set(profile.id, profile))
+    }
+
+    return res.json({
+      count,
+      items: (data || []).map(row => ({
+        ...row,
+        actor: actors.get(row.actor_id) || null,
+      })),
+    })
+  } catch (e) {
+    console.error('GET /api/audit 에러:', e)
+    return res
+      .status(500)
+      .json({ message: 'Server Error', error: e.toString() })
+  }
+})
+
 // -------------------- 서버 시작 --------------------
 
 app.listen(port, () => {
   console.log(`서버 실행중: http://localhost:${port}`)
+  resumePendingUploads().catch(e =>
+    console.error('미처리 업로드 재시작 에러:', e),
+  )
+
+  // 보관 기간이 지난 휴지통 항목 정리 (시작할 때 한 번, 이후 한 시간마다)
+  const purgeTrash = () =>
+    purgeExpiredTrash().catch(e => console.error('휴지통 정리 에러:', e))
+  purgeTrash()
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS).unref()
 })
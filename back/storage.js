@@ -0,0 +1,146 @@
+// back/storage.js
+// 업로드 원본 파일 저장소
+// - SUPABASE_STORAGE_BUCKET 이 설정되어 있으면 Supabase Storage 사용
+// - 없으면 로컬 파일시스템(LOCAL_STORAGE_DIR, 기본 back/local_storage)에 저장
+require('dotenv').config()
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { Readable } = require('stream')
+const { supabase } = require('./supabaseClient')
+
+const bucket = process.env.SUPABASE_STORAGE_BUCKET || null
+const localRoot = path.resolve(
+  process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'local_storage'),
+)
+
+/**
+ * 업로드 파일명 → 저장소 key (uploads/<timestamp>-<uuid>-<name>)
+ * - Supabase Storage 는 key 에 한글/특수문자를 허용하지 않아서 안전한 문자로 치환
+ *   (한글 이름은 모두 file 이 되므로, 같은 순간에 올린 파일끼리 겹치지 않게 uuid 를 붙임)
+ * - 원래 파일명은 ingest_uploads.file_name 에 그대로 남음
+ */
+function buildStorageKey(originalName) {
+  const ext = path.extname(originalName || '')
+  const base = path.basename(originalName || 'file', ext)
+  const safeBase =
+    base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'file'
+  const safeExt = ext.toLowerCase().replace(/[^a-z0-9.]+/g, '')
+  return `uploads/${Date.now()}-${crypto.randomUUID()}-${safeBase}${safeExt}`
+}
+
+// -------------------- Supabase Storage 드라이버 --------------------
+
+const supabaseDriver = {
+  name: 'supabase',
+
+  async save(key, buffer, contentType) {
+    const { error } = await supabase.storage.from(bucket).upload(key, buffer, {
+      contentType: contentType || 'application/octet-stream',
+      upsert: false,
+    })
+    if (error) throw error
+  },
+
+  async read(key) {
+    const { data, error } = await supabase.storage.from(bucket).download(key)
+    if (error || !data) return null
+
+    const buffer = Buffer.from(await data.arrayBuffer())
+    return {
+      stream: Readable.from(buffer),
+      size: buffer.length,
+      contentType: data.type || null,
+    }
+  },
+
+  async remove(key) {
+    const { error } = await supabase.storage.from(bucket).remove([key])
+    if (error) throw error
+  },
+}
+
+// -------------------- 로컬 파일시스템 드라이버 --------------------
+
+// key 가 저장소 루트 밖(../ 등)을 가리키지 않도록 확인
+function resolveLocalPath(key) {
+  const fullPath = path.resolve(localRoot, key)
+  if (!fullPath.startsWith(localRoot + path.sep)) {
+    throw new Error(`잘못된 storage key 입니다: ${key}`)
+  }
+  return fullPath
+}
+
+const localDriver = {
+  name: 'local',
+
+  async save(key, buffer) {
+    const fullPath = resolveLocalPath(key)
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true })
+    await fs.promises.writeFile(fullPath, buffer)
+  },
+
+  async read(key) {
+    const fullPath = resolveLocalPath(key)
+    try {
+      const stat = await fs.promises.stat(fullPath)
+      return {
+        stream: fs.createReadStream(fullPath),
+        size: stat.size,
+        contentType: null,
+      }
+    } catch (e) {
+      if (e.code === 'ENOENT') return null
+      throw e
+    }
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(resolveLocalPath(key))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+  },
+}
+
+const driver = bucket ? supabaseDriver : localDriver
+
+if (!bucket) {
+  console.warn(
+    `⚠️ SUPABASE_STORAGE_BUCKET 환경변수가 설정되어 있지 않습니다. 업로드 원본은 로컬(${localRoot})에 저장됩니다.`,
+  )
+}
+
+/**
+ * 원본 파일 저장 (실패하면 throw)
+ */
+async function saveFile(key, buffer, contentType) {
+  await driver.save(key, buffer, contentType)
+}
+
+/**
+ * 원본 파일 읽기
+ * - 성공: { stream, size, contentType }
+ * - 파일 없음: null
+ */
+async function readFile(key) {
+  if (!key) return null
+  return driver.read(key)
+}
+
+/**
+ * 원본 파일 삭제 (없으면 조용히 무시)
+ */
+async function removeFile(key) {
+  if (!key) return
+  await driver.remove(key)
+}
+
+module.exports = {
+  storageDriverName: driver.name,
+  buildStorageKey,
+  saveFile,
+  readFile,
+  removeFile,
+}
@@ -0,0 +1,122 @@
+// back/studentMatcher.js
+// AI 가 뽑은 학생 이름 → 기존 students 후보 찾기
+// - 오타("김민서" ↔ "김민수"), 성 뺀 이름("민수" ↔ "김민수"), 별명(students.nickname),
+//   StudentList 표기 "별명(실명)" 을 모두 비교해서 0~1 점수를 매김
+// - 확실한 후보가 하나뿐일 때만 자동으로 연결하고, 나머지는 교사가 확인하도록 돌려줌
+const AUTO_MATCH_SCORE = 0.95
+const MIN_CANDIDATE_SCORE = 0.5
+const MAX_CANDIDATES = 5
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFC')
+    .replace(/\s+/g, '')
+    .toLowerCase()
+}
+
+// "민수(김민수)" → { nickname: '민수', realName: '김민수' }
+function parseDisplayName(name) {
+  const m = String(name || '')
+    .trim()
+    .match(/^(.+?)\s*[(（]\s*(.+?)\s*[)）]$/)
+  return m ? { nickname: m[1].trim(), realName: m[2].trim() } : null
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j += 1) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      )
+    }
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length)
+}
+
+// 한국 이름은 성이 한 글자 → "김민수" 의 이름 부분 "민수"
+function givenNameOf(fullName) {
+  return fullName.length >= 3 ? fullName.slice(1) : null
+}
+
+/**
+ * 입력 이름과 학생 한 명의 점수
+ * → { score, reason } (reason: exact | nickname | given_name | similar)
+ */
+function scoreStudent(input, student) {
+  const name = normalizeName(student.name)
+  const nickname = normalizeName(student.nickname)
+  const display = parseDisplayName(input)
+
+  let best = { score: 0, reason: null }
+  const consider = (score, reason) => {
+    if (score > best.score) best = { score, reason }
+  }
+
+  if (display) {
+    const realName = normalizeName(display.realName)
+    const displayNickname = normalizeName(display.nickname)
+    if (realName === name) consider(1, 'exact')
+    if (nickname && displayNickname === nickname) consider(0.95, 'nickname')
+    consider(similarity(realName, name) * 0.9, 'similar')
+    return best
+  }
+
+  const value = normalizeName(input)
+  if (!value) return best
+
+  if (value === name) consider(1, 'exact')
+  if (nickname && value === nickname) consider(0.95, 'nickname')
+  if (givenNameOf(name) === value) consider(0.85, 'given_name')
+  consider(similarity(value, name) * 0.9, 'similar')
+  if (nickname) consider(similarity(value, nickname) * 0.85, 'similar')
+  return best
+}
+
+/**
+ * 이름 하나를 students 목록과 비교 (휴지통에 있는 학생(deleted_at)은 후보에서 제외)
+ * → {
+ *     name,
+ *     status: 'matched' | 'ambiguous' | 'unresolved',
+ *     student_id,            // matched 일 때만
+ *     candidates: [{ id, name, nickname, score, reason }],
+ *   }
+ */
+function matchStudentName(input, students) {
+  const candidates = (students || [])
+    .filter(student => !student.deleted_at)
+    .map(student => ({ student, ...scoreStudent(input, student) }))
+    .filter(c => c.score >= MIN_CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ student, score, reason }) => ({
+      id: student.id,
+      name: student.name,
+      nickname: student.nickname || null,
+      score: Math.round(score * 100) / 100,
+      reason,
+    }))
+
+  const [top, second] = candidates
+  // 같은 이름의 학생이 둘이면 자동으로 고르지 않음
+  if (top && top.score >= AUTO_MATCH_SCORE && !(second?.score >= AUTO_MATCH_SCORE)) {
+    return { name: input, status: 'matched', student_id: top.id, candidates }
+  }
+  return {
+    name: input,
+    status: candidates.length ? 'ambiguous' : 'unresolved',
+    student_id: null,
+    candidates,
+  }
+}
+
+module.exports = { matchStudentName }
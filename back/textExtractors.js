@@ -0,0 +1,304 @@
+// back/textExtractors.js
+// 외부 AI 없이 서버에서 직접 텍스트를 뽑는 추출기 모음
+// - PDF 텍스트 레이어, DOCX, HWPX, HWP(5.0), 사진/스캔 PDF OCR(ocr.js) 지원
+// - 학생 정보가 담긴 문서를 Gemini 로 보내지 않도록, 여기서 뽑을 수 있는 건 여기서 처리
+// - 추출기는 { name, match(file), extract(file) } 형태이고 registerExtractor 로 추가 가능
+//   extract 는 텍스트 문자열, 또는 OCR 처럼 { text, confidence, pages } 를 반환
+const path = require('path')
+const zlib = require('zlib')
+const CFB = require('cfb')
+const JSZip = require('jszip')
+const mammoth = require('mammoth')
+const { PDFParse } = require('pdf-parse')
+const { OCR_ENABLED, ocrImageFile, ocrPdfFile } = require('./ocr')
+
+// file: { buffer, mimetype, originalname }
+function extOf(file) {
+  return path.extname(file.originalname || '').toLowerCase()
+}
+
+function mimeOf(file) {
+  return (file.mimetype || '').toLowerCase()
+}
+
+// 연속 공백/빈 줄 정리
+function tidyText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+// XML 엔티티 디코딩 (DOCX/HWPX 본문용)
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&')
+}
+
+// -------------------- text/* --------------------
+
+const plainTextExtractor = {
+  name: 'text',
+  match: file =>
+    mimeOf(file).startsWith('text/') ||
+    ['.txt', '.md', '.csv'].includes(extOf(file)),
+  async extract(file) {
+    // UTF-8 BOM 제거
+    return file.buffer.toString('utf8').replace(/^\uFEFF/, '')
+  },
+}
+
+// -------------------- PDF (텍스트 레이어) --------------------
+
+const pdfExtractor = {
+  name: 'pdf-text',
+  match: file => mimeOf(file) === 'application/pdf' || extOf(file) === '.pdf',
+  async extract(file) {
+    const parser = new PDFParse({ data: new Uint8Array(file.buffer) })
+    try {
+      const result = await parser.getText()
+      // 페이지 구분자(-- 1 of 3 --)는 빼고 본문만 사용
+      return (result.pages || [])
+        .map(p => p.text)
+        .join('\n\n')
+    } finally {
+      await parser.destroy()
+    }
+  },
+}
+
+// -------------------- OCR (사진, 스캔 PDF) --------------------
+
+const OCR_IMAGE_MIMES = [
+  'image/jpeg',
+  'image/png',
+  'image/heic',
+  'image/heif',
+  'image/webp',
+  'image/bmp',
+]
+const OCR_IMAGE_EXTS = ['.jpg', '.jpeg', '.png', '.heic', '.heif', '.webp', '.bmp']
+
+const imageOcrExtractor = {
+  name: 'ocr',
+  match: file =>
+    OCR_ENABLED &&
+    (OCR_IMAGE_MIMES.includes(mimeOf(file)) ||
+      OCR_IMAGE_EXTS.includes(extOf(file))),
+  extract: file => ocrImageFile(file),
+}
+
+// pdf-text 가 텍스트를 못 찾았을 때(스캔본)만 다음 순서로 시도됨
+const pdfOcrExtractor = {
+  name: 'pdf-ocr',
+  match: file => OCR_ENABLED && pdfExtractor.match(file),
+  extract: file => ocrPdfFile(file),
+}
+
+// -------------------- DOCX --------------------
+
+const DOCX_MIME =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+const docxExtractor = {
+  name: 'docx',
+  match: file => mimeOf(file) === DOCX_MIME || extOf(file) === '.docx',
+  async extract(file) {
+    const { value } = await mammoth.extractRawText({ buffer: file.buffer })
+    return value
+  },
+}
+
+// -------------------- HWPX (OWPML, zip + xml) --------------------
+
+const HWPX_MIMES = ['application/hwp+zip', 'application/vnd.hancom.hwpx']
+
+const hwpxExtractor = {
+  name: 'hwpx',
+  match: file => HWPX_MIMES.includes(mimeOf(file)) || extOf(file) === '.hwpx',
+  async extract(file) {
+    const zip = await JSZip.loadAsync(file.buffer)
+
+    // Contents/section0.xml, section1.xml ... 순서대로
+    const sectionNames = Object.keys(zip.files)
+      .filter(name => /^Contents\/section\d+\.xml$/i.test(name))
+      .sort(
+        (a, b) =>
+          Number(a.match(/(\d+)\.xml$/i)[1]) - Number(b.match(/(\d+)\.xml$/i)[1]),
+      )
+
+    const sections = []
+    for (const name of sectionNames) {
+      const xml = await zip.file(name).async('string')
+      // 문단(<hp:p>) 단위로 줄을 나누고, 문단 안의 <hp:t> 텍스트만 이어 붙임
+      const paragraphs = xml
+        .split(/<\/hp:p>/)
+        .map(chunk =>
+          [...chunk.matchAll(/<hp:t(?:\s[^>]*)?>([\s\S]*?)<\/hp:t>/g)]
+            .map(m => decodeXmlEntities(m[1].replace(/<[^>]+>/g, '')))
+            .join(''),
+        )
+      sections.push(paragraphs.join('\n'))
+    }
+    return sections.join('\n\n')
+  },
+}
+
+// -------------------- HWP 5.0 (바이너리, CFB 컨테이너) --------------------
+
+const HWP_MIMES = [
+  'application/x-hwp',
+  'application/haansofthwp',
+  'application/vnd.hancom.hwp',
+]
+
+// HWP 레코드 태그: HWPTAG_BEGIN(0x10) + 51 = 문단 텍스트
+const HWPTAG_PARA_TEXT = 0x10 + 51
+
+// 1 WCHAR 짜리 제어 문자 (나머지 0~31 은 8 WCHAR 짜리 inline/extended 제어)
+const HWP_CHAR_CONTROLS = new Set([0, 10, 13, 24, 25, 26, 27, 28, 29, 30, 31])
+
+function readHwpParaText(data) {
+  let text = ''
+  for (let i = 0; i + 1 < data.length; ) {
+    const code = data.readUInt16LE(i)
+    if (code >= 32) {
+      text += String.fromCharCode(code)
+      i += 2
+    } else if (HWP_CHAR_CONTROLS.has(code)) {
+      if (code === 10) text += '\n'
+      else if (code === 24 || code === 30 || code === 31) text += ' '
+      i += 2
+    } else {
+      if (code === 9) text += '\t'
+      i += 16
+    }
+  }
+  return text
+}
+
+function readHwpSection(buffer) {
+  const paragraphs = []
+  let offset = 0
+  while (offset + 4 <= buffer.length) {
+    const header = buffer.readUInt32LE(offset)
+    const tag = header & 0x3ff
+    let size = (header >>> 20) & 0xfff
+    offset += 4
+    if (size === 0xfff) {
+      size = buffer.readUInt32LE(offset)
+      offset += 4
+    }
+    if (tag === HWPTAG_PARA_TEXT) {
+      paragraphs.push(readHwpParaText(buffer.subarray(offset, offset + size)))
+    }
+    offset += size
+  }
+  return paragraphs.join('\n')
+}
+
+const hwpExtractor = {
+  name: 'hwp',
+  match: file => HWP_MIMES.includes(mimeOf(file)) || extOf(file) === '.hwp',
+  async extract(file) {
+    const cfb = CFB.read(file.buffer, { type: 'buffer' })
+
+    const fileHeader = CFB.find(cfb, 'FileHeader')
+    if (!fileHeader) throw new Error('HWP FileHeader 가 없습니다.')
+
+    // FileHeader: 32바이트 시그니처 + 4바이트 버전 + 4바이트 속성 플래그
+    const flags = Buffer.from(fileHeader.content).readUInt32LE(36)
+    const compressed = (flags & 0x1) !== 0
+    if (flags & 0x2) throw new Error('암호가 걸린 HWP 문서입니다.')
+    if (flags & 0x4) {
+      throw new Error('배포용 HWP 문서는 텍스트를 추출할 수 없습니다.')
+    }
+
+    const sections = cfb.FullPaths.map((fullPath, i) => ({
+      fullPath,
+      entry: cfb.FileIndex[i],
+    }))
+      .filter(({ fullPath }) => /\/BodyText\/Section\d+$/.test(fullPath))
+      .sort(
+        (a, b) =>
+          Number(a.fullPath.match(/(\d+)$/)[1]) -
+          Number(b.fullPath.match(/(\d+)$/)[1]),
+      )
+
+    return sections
+      .map(({ entry }) => {
+        const raw = Buffer.from(entry.content)
+        return readHwpSection(compressed ? zlib.inflateRawSync(raw) : raw)
+      })
+      .join('\n\n')
+  },
+}
+
+// -------------------- 추출기 체인 --------------------
+
+const extractors = [
+  plainTextExtractor,
+  pdfExtractor,
+  pdfOcrExtractor,
+  imageOcrExtractor,
+  docxExtractor,
+  hwpxExtractor,
+  hwpExtractor,
+]
+
+/**
+ * 추출기 추가 (앞쪽에 넣으면 기존 추출기보다 먼저 시도)
+ */
+function registerExtractor(extractor, { prepend = false } = {}) {
+  if (prepend) extractors.unshift(extractor)
+  else extractors.push(extractor)
+}
+
+/**
+ * 파일에 맞는 로컬 추출기를 차례대로 시도
+ * - 성공: { text, extractor, ocr? }
+ *   OCR 추출기면 ocr = { confidence, pages: [{ page, text, confidence, lines }] }
+ * - 맞는 추출기가 없음: { text: null, extractor: null }
+ * - 추출기는 있었지만 텍스트가 없거나 실패: { text: null, extractor, error }
+ *   (텍스트 레이어가 없는 스캔 PDF 등)
+ */
+async function extractTextLocally(file) {
+  const candidates = extractors.filter(ex => ex.match(file))
+  if (candidates.length === 0) return { text: null, extractor: null }
+
+  let lastError = null
+  for (const ex of candidates) {
+    try {
+      const result = await ex.extract(file)
+      const text = tidyText(typeof result === 'string' ? result : result?.text)
+      if (text) {
+        const ocr = Array.isArray(result?.pages)
+          ? { confidence: result.confidence, pages: result.pages }
+          : null
+        return { text, extractor: ex.name, ocr }
+      }
+      lastError = `${ex.name}: 텍스트가 없습니다.`
+    } catch (e) {
+      console.error(`로컬 텍스트 추출 에러 (${ex.name}):`, e)
+      lastError = `${ex.name}: ${e.message || e}`
+    }
+  }
+
+  return {
+    text: null,
+    extractor: candidates[candidates.length - 1].name,
+    error: lastError,
+  }
+}
+
+module.exports = {
+  extractTextLocally,
+  registerExtractor,
+}
@@ -0,0 +1,186 @@
+// back/zipBatch.js
+// 학기말 일괄 업로드용 ZIP 풀기
+// - 폴더 구조는 무시하고 문서 파일(DOCUMENT_EXTENSIONS)만 꺼냄
+//   (__MACOSX, .DS_Store 같은 숨김 파일은 조용히 빼고, 이미지/썸네일 등 다른 파일은 skipped 로 알림)
+// - 압축 폭탄 방지: 파일 개수 / 파일당 크기 / 전체 크기 제한 (압축을 푸는 동안 실제 바이트로 확인)
+// - 한국어 Windows 에서 만든 zip 은 파일 이름이 CP949 라서 UTF-8 이 아니면 EUC-KR 로 디코딩
+const path = require('path')
+const JSZip = require('jszip')
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true })
+const eucKrDecoder = new TextDecoder('euc-kr')
+
+function decodeFileName(bytes) {
+  try {
+    return utf8Decoder.decode(bytes)
+  } catch {
+    return eucKrDecoder.decode(bytes)
+  }
+}
+
+// ZIP 일괄 업로드로 받는 문서 (실제 형식은 올릴 때 fileType.js 로 다시 확인)
+const DOCUMENT_EXTENSIONS = ['.pdf', '.hwp', '.hwpx', '.docx', '.txt', '.md', '.csv']
+
+function isDocumentEntry(name) {
+  return DOCUMENT_EXTENSIONS.includes(path.posix.extname(name).toLowerCase())
+}
+
+function isHiddenEntry(name) {
+  return name
+    .split('/')
+    .some(part => part.startsWith('.') || part === '__MACOSX')
+}
+
+// JSZip 이 읽어 둔 압축 해제 후 크기 (없으면 null)
+function uncompressedSizeOf(entry) {
+  const size = entry._data && entry._data.uncompressedSize
+  return typeof size === 'number' ? size : null
+}
+
+function zipError(code, message) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+// 압축 해제 중단: StreamHelper 에는 destroy 가 없어서 내부 worker 를 에러로 끝냄
+// (에러가 worker 체인 위쪽까지 전달되어 남은 데이터를 더 풀지 않고 정리됨)
+// - data 이벤트를 보내는 도중에 worker 를 정리하면 JSZip 이 깨지므로 다음 틱에 실행
+function destroyStream(stream) {
+  setImmediate(() => {
+    if (stream._worker && typeof stream._worker.error === 'function') {
+      stream._worker.error(zipError('ENTRY_ABORTED', '크기 제한을 넘어 압축 해제를 멈췄습니다.'))
+    } else {
+      stream.pause()
+    }
+  })
+}
+
+// 엔트리 하나를 풀면서 크기를 셈
+// - limitBytes 를 넘는 순간 압축 해제를 멈추고(destroyStream) null (선언된 크기는 믿지 않음)
+function readEntry(entry, limitBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    let settled = false
+    const stream = entry.internalStream('nodebuffer')
+
+    stream
+      .on('data', chunk => {
+        if (settled) return
+        size += chunk.length
+        if (size > limitBytes) {
+          settled = true
+          chunks.length = 0
+          destroyStream(stream)
+          resolve(null)
+          return
+        }
+        chunks.push(chunk)
+      })
+      .on('error', e => {
+        if (settled) return
+        settled = true
+        reject(e)
+      })
+      .on('end', () => {
+        if (settled) return
+        settled = true
+        resolve(Buffer.concat(chunks))
+      })
+      .resume()
+  })
+}
+
+/**
+ * zip buffer 열기 (압축은 아직 풀지 않음)
+ * limits: { maxFiles }
+ *
+ * 반환값: { entries, ignored } (unpackZip 에 그대로 넘김)
+ * - entries: 문서 파일 엔트리만 (개수 제한도 문서 파일만 셈)
+ * - ignored: 문서가 아니라 건너뛴 파일 [{ name, reason: 'UNSUPPORTED_FILE_TYPE' }]
+ * zip 자체를 열 수 없거나(INVALID_ZIP), 문서가 없거나(EMPTY_ZIP), 개수 제한을 넘으면(TOO_MANY_FILES) throw
+ */
+async function openZip(buffer, { maxFiles }) {
+  let zip = null
+  try {
+    zip = await JSZip.loadAsync(buffer, { decodeFileName })
+  } catch (e) {
+    throw zipError('INVALID_ZIP', `ZIP 파일을 열 수 없습니다: ${e.message || e}`)
+  }
+
+  const files = Object.values(zip.files).filter(
+    entry => !entry.dir && !isHiddenEntry(entry.name),
+  )
+  const entries = files.filter(entry => isDocumentEntry(entry.name))
+  const ignored = files
+    .filter(entry => !isDocumentEntry(entry.name))
+    .map(entry => ({ name: path.posix.basename(entry.name), reason: 'UNSUPPORTED_FILE_TYPE' }))
+
+  if (entries.length === 0) {
+    throw zipError('EMPTY_ZIP', 'ZIP 안에 올릴 문서 파일이 없습니다.')
+  }
+  if (entries.length > maxFiles) {
+    throw zipError('TOO_MANY_FILES', `ZIP 안의 파일은 ${maxFiles}개까지 올릴 수 있습니다.`)
+  }
+
+  return { entries, ignored }
+}
+
+/**
+ * openZip 결과의 문서 파일을 하나씩 풀어서 onFile({ name, buffer }) 로 넘김
+ * - 한 번에 한 파일만 메모리에 둠 (onFile 이 끝나야 다음 파일을 풂)
+ * - 압축 폭탄 방지: 푸는 동안 실제 바이트를 세서 파일당/전체 크기를 넘으면 바로 멈춤
+ * limits: { maxFileBytes, maxTotalBytes }
+ *
+ * 반환값: { skipped: [{ name, reason }] } (openZip 의 ignored 포함)
+ * - FILE_TOO_LARGE: 파일당 크기 초과
+ * - INVALID_ENTRY: 풀 수 없는 항목 (깨진 데이터 등)
+ * - ZIP_TOO_LARGE: 압축을 푼 전체 크기 초과 (그 파일부터 뒤는 모두 건너뜀)
+ * onFile 이 throw 하면 그대로 throw (파일별 실패는 onFile 안에서 처리)
+ */
+async function unpackZip({ entries, ignored = [] }, { maxFileBytes, maxTotalBytes }, onFile) {
+  const skipped = [...ignored]
+  let totalBytes = 0
+
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i]
+    const name = path.posix.basename(entry.name)
+
+    const declaredSize = uncompressedSizeOf(entry)
+    if (declaredSize !== null && declaredSize > maxFileBytes) {
+      skipped.push({ name, reason: 'FILE_TOO_LARGE' })
+      continue
+    }
+
+    const remaining = maxTotalBytes - totalBytes
+    let data = null
+    try {
+      data = await readEntry(entry, Math.min(maxFileBytes, remaining))
+    } catch (e) {
+      console.error(`ZIP 항목 압축 해제 에러 (${entry.name}):`, e)
+      skipped.push({ name, reason: 'INVALID_ENTRY' })
+      continue
+    }
+
+    if (!data) {
+      if (remaining < maxFileBytes) {
+        entries
+          .slice(i)
+          .forEach(rest =>
+            skipped.push({ name: path.posix.basename(rest.name), reason: 'ZIP_TOO_LARGE' }),
+          )
+        break
+      }
+      skipped.push({ name, reason: 'FILE_TOO_LARGE' })
+      continue
+    }
+
+    totalBytes += data.length
+    await onFile({ name, buffer: data })
+  }
+
+  return { skipped }
+}
+
+module.exports = { openZip, unpackZip }
@@ -17,6 +17,11 @@ import Dashboard from './pages/Dashboard.jsx'
 import UploadPage from './pages/UploadPage.jsx'
 import Report from './pages/Report.jsx'
 import StudentList from './pages/StudentList.jsx'
+import Trash from './pages/Trash.jsx'
+import AuditLog from './pages/AuditLog.jsx'
+import PromptRegistry from './pages/PromptRegistry.jsx'
+import SchoolSettings from './pages/SchoolSettings.jsx'
+import Users from './pages/Users.jsx'
 
 export default function App() {
   return (
@@ -68,6 +73,56 @@ export default function App() {
           }
         />
 
+        {/* 휴지통 (관리자) */}
+        <Route
+          path="/trash"
+          element={
+            <RequireAuth>
+              <Trash />
+            </RequireAuth>
+          }
+        />
+
+        {/* 변경 이력 (관리자) */}
+        <Route
+          path="/audit"
+          element={
+            <RequireAuth>
+              <AuditLog />
+            </RequireAuth>
+          }
+        />
+
+        {/* 프롬프트 저장소 (관리자) */}
+        <Route
+          path="/prompts"
+          element={
+            <RequireAuth>
+              <PromptRegistry />
+            </RequireAuth>
+          }
+        />
+
+        {/* 학교 설정 (관리자) */}
+        <Route
+          path="/settings"
+          element={
+            <RequireAuth>
+              <SchoolSettings />
+            </RequireAuth>
+          }
+        />
+
+        {/* 사용자 관리 (관리자) */}
+        <Route
+          path="/users"
+          element={
+            <RequireAuth>
+              <Users />
+            </RequireAuth>
+          }
+        />
+
         {/* 나머지 모든 경로에서 업로드로 보내기 */}
         <Route path="*" element={<Navigate to="/upload" replace />} />
       </Routes>
@@ -2,47 +2,8 @@
 import React, { useEffect, useState } from 'react'
 import { useNavigate, useLocation } from 'react-router-dom'
 import logoImg from '../assets/logo.png' // 이미지 경로 확인
-
-// --- 프로필 설정 모달 (TopNav에서 가져옴) ---
-function ProfileModal({ user, onClose, onSave }) {
-  const [nickname, setNickname] = useState(user?.display_name || user?.name || '사용자')
-  
-  function handleSubmit(e) {
-    e.preventDefault()
-    const nextUser = {
-      ...(user || {}),
-      display_name: nickname,
-      name: nickname,
-    }
-    onSave(nextUser)
-    onClose()
-  }
-
-  return (
-    <div className="modal-backdrop" onClick={onClose}>
-      <div className="modal-card" onClick={e => e.stopPropagation()}>
-        <button className="modal-close" onClick={onClose}>✕</button>
-        <h3>프로필 설정</h3>
-        <p style={{color:'#666', fontSize:14, marginBottom:20}}>화면에 표시될 이름을 변경할 수 있습니다.</p>
-        
-        <form onSubmit={handleSubmit} style={{display:'flex', flexDirection:'column', gap:15}}>
-          <div>
-            <label style={{display:'block', marginBottom:5, fontWeight:600}}>별명</label>
-            <input 
-              value={nickname} 
-              onChange={e => setNickname(e.target.value)} 
-              style={{width:'100%', padding:10, border:'1px solid #ddd', borderRadius:8}}
-            />
-          </div>
-          <div style={{display:'flex', justifyContent:'flex-end', gap:10, marginTop:10}}>
-            <button type="button" onClick={onClose} style={{padding:'10px 20px', borderRadius:8, border:'1px solid #ddd', background:'white', cursor:'pointer'}}>취소</button>
-            <button type="submit" style={{padding:'10px 20px', borderRadius:8, border:'none', background:'#1F2937', color:'white', cursor:'pointer'}}>저장</button>
-          </div>
-        </form>
-      </div>
-    </div>
-  )
-}
+import { hasPermission } from '../lib/auth.js'
+import ProfileModal from './ProfileModal.jsx'
 
 // --- 메인 레이아웃 (사이드바 포함) ---
 export default function Layout({ children }) {
@@ -66,6 +27,7 @@ export default function Layout({ children }) {
   function handleLogout() {
     if(window.confirm('로그아웃 하시겠습니까?')){
       localStorage.removeItem('token')
+      localStorage.removeItem('refresh_token')
       localStorage.removeItem('user')
       navigate('/login')
     }
@@ -77,12 +39,18 @@ export default function Layout({ children }) {
     localStorage.setItem('user', JSON.stringify(nextUser))
   }
 
+  // permission 이 있는 메뉴는 해당 권한이 있을 때만 표시
   const menuItems = [
     { label: '대시보드', path: '/dashboard', icon: '🖥️' },
     { label: '업로드', path: '/upload', icon: '📁' },
-    { label: '리포트', path: '/report', icon: '📊' },
+    { label: '리포트', path: '/report', icon: '📊', permission: 'reports.generate' },
     { label: '학생 관리', path: '/students', icon: '👥' },
-  ]
+    { label: '휴지통', path: '/trash', icon: '🗑️', permission: 'trash.manage' },
+    { label: '변경 이력', path: '/audit', icon: '📝', permission: 'audit.view' },
+    { label: '프롬프트', path: '/prompts', icon: '🧩', permission: 'prompts.manage' },
+    { label: '사용자 관리', path: '/users', icon: '🧑‍🏫', permission: 'users.manage' },
+    { label: '학교 설정', path: '/settings', icon: '⚙️', permission: 'settings.manage' },
+  ].filter(item => !item.permission || hasPermission(user, item.permission))
 
   return (
     <div className="app-container">
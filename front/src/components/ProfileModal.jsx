@@ -0,0 +1,190 @@
+// src/components/ProfileModal.jsx
+// 프로필 설정 모달 (TopNav, Layout 공용)
+// - 열릴 때 GET /api/me 로 최신 정보를 불러오고
+// - 별명/아이디(이메일)는 PATCH /api/me, 비밀번호는 POST /api/me/password 로 저장
+import React, { useEffect, useState } from 'react'
+import { apiFetch } from '../lib/api.js'
+
+export default function ProfileModal({ user, onClose, onSave }) {
+  const [profile, setProfile] = useState(user || null)
+  const [nickname, setNickname] = useState(
+    user?.display_name || user?.name || '사용자'
+  )
+  const [newId, setNewId] = useState('')
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [newPasswordConfirm, setNewPasswordConfirm] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    apiFetch('/api/me')
+      .then(me => {
+        if (cancelled || !me) return
+        setProfile(me)
+        setNickname(me.display_name || '사용자')
+      })
+      .catch(e => {
+        console.error('프로필을 불러오는 중 오류', e)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setError('')
+
+    const trimmedNickname = nickname.trim()
+    const trimmedId = newId.trim()
+    const nicknameChanged =
+      !!trimmedNickname && trimmedNickname !== profile?.display_name
+    const idChanged = !!trimmedId && trimmedId !== profile?.email
+
+    if (newPassword && newPassword !== newPasswordConfirm) {
+      setError('새 비밀번호와 비밀번호 확인이 일치하지 않습니다.')
+      return
+    }
+    if ((idChanged || newPassword) && !currentPassword) {
+      setError('아이디/비밀번호를 변경하려면 현재 비밀번호를 입력해 주세요.')
+      return
+    }
+    if (!nicknameChanged && !idChanged && !newPassword) {
+      onClose()
+      return
+    }
+
+    try {
+      setSaving(true)
+      let nextUser = profile || user
+
+      // 1) 별명 / 아이디(이메일) 저장 → 새 토큰도 같이 받음
+      if (nicknameChanged || idChanged) {
+        const body = {}
+        if (nicknameChanged) body.display_name = trimmedNickname
+        if (idChanged) {
+          body.email = trimmedId
+          body.current_password = currentPassword
+        }
+
+        const res = await apiFetch('/api/me', { method: 'PATCH', body })
+        if (res?.token) localStorage.setItem('token', res.token)
+        if (res?.refresh_token) {
+          localStorage.setItem('refresh_token', res.refresh_token)
+        }
+        nextUser = res?.user || nextUser
+      }
+
+      // 2) 비밀번호 변경 (서버에서 현재 비밀번호 확인)
+      if (newPassword) {
+        await apiFetch('/api/me/password', {
+          method: 'POST',
+          body: {
+            current_password: currentPassword,
+            new_password: newPassword,
+          },
+        })
+      }
+
+      onSave({ ...nextUser, name: nextUser.display_name })
+      if (newPassword) alert('비밀번호가 변경되었습니다.')
+      onClose()
+    } catch (err) {
+      console.error(err)
+      setError(err?.body?.message || err?.message || '프로필 저장 중 오류가 발생했습니다.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal-card profile-settings-modal"
+        onClick={e => e.stopPropagation()}
+      >
+        <button
+          className="modal-close"
+          aria-label="닫기"
+          type="button"
+          onClick={onClose}
+        >
+          ✕
+        </button>
+
+        <h3>프로필 설정</h3>
+        <p className="muted">사용자 정보를 수정할 수 있습니다</p>
+
+        <form className="modal-form" onSubmit={handleSubmit}>
+          <label htmlFor="nickname">별명</label>
+          <input
+            id="nickname"
+            value={nickname}
+            onChange={e => setNickname(e.target.value)}
+            placeholder="화면에 표시할 이름"
+          />
+
+          <p className="profile-settings-helper">ID/PW 재설정 (선택사항)</p>
+
+          <label htmlFor="newId">새 아이디</label>
+          <input
+            id="newId"
+            type="email"
+            value={newId}
+            onChange={e => setNewId(e.target.value)}
+            placeholder={profile?.email || '변경할 이메일 입력 (선택)'}
+          />
+
+          <label htmlFor="currentPassword">현재 비밀번호</label>
+          <input
+            id="currentPassword"
+            type="password"
+            value={currentPassword}
+            onChange={e => setCurrentPassword(e.target.value)}
+            placeholder="아이디/비밀번호 변경 시 필수"
+          />
+
+          <label htmlFor="newPassword">새 비밀번호</label>
+          <input
+            id="newPassword"
+            type="password"
+            value={newPassword}
+            onChange={e => setNewPassword(e.target.value)}
+            placeholder="변경할 비밀번호 입력 (선택)"
+          />
+
+          <label htmlFor="newPasswordConfirm">비밀번호 확인</label>
+          <input
+            id="newPasswordConfirm"
+            type="password"
+            value={newPasswordConfirm}
+            onChange={e => setNewPasswordConfirm(e.target.value)}
+            placeholder="비밀번호 확인"
+          />
+
+          {error && (
+            <div className="error" style={{ marginTop: 8 }}>
+              {error}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={onClose}
+              disabled={saving}
+            >
+              취소
+            </button>
+            <button type="submit" className="btn" disabled={saving}>
+              {saving ? '저장 중...' : '저장'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
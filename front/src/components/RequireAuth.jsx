@@ -1,8 +1,24 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { Navigate } from 'react-router-dom'
+import { AUTH_LOGOUT_EVENT } from '../lib/api.js'
+import { getStoredUser, hasPermission } from '../lib/auth.js'
+
+// permission 을 주면 해당 권한이 없는 사용자는 업로드 화면으로 돌려보냄
+export default function RequireAuth({ children, permission }) {
+  const [token, setToken] = useState(() => localStorage.getItem('token'))
+
+  // apiFetch 가 401 을 받아 세션을 지우면 바로 로그인 화면으로 이동
+  useEffect(() => {
+    function handleLogout() {
+      setToken(localStorage.getItem('token'))
+    }
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+  }, [])
 
-export default function RequireAuth({ children }) {
-  const token = localStorage.getItem('token')
   if (!token) return <Navigate to="/login" replace />
+  if (permission && !hasPermission(getStoredUser(), permission)) {
+    return <Navigate to="/upload" replace />
+  }
   return children
 }
@@ -2,6 +2,8 @@
 import React, { useEffect, useState, useRef } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import logoImg from '../assets/logo.png'
+import { hasPermission } from '../lib/auth.js'
+import ProfileModal from './ProfileModal.jsx'
 
 function NavTab({ to, icon, label, isActive }) {
   const navigate = useNavigate()
@@ -66,107 +68,6 @@ function ProfileMenu({ onClose, onSelectUsers, onSelectProfile, onSelectLogout }
   )
 }
 
-function ProfileModal({ user, onClose, onSave }) {
-  const [nickname, setNickname] = useState(
-    user?.display_name || user?.name || '사용자'
-  )
-  const [newId, setNewId] = useState('')
-  const [newPassword, setNewPassword] = useState('')
-  const [newPasswordConfirm, setNewPasswordConfirm] = useState('')
-
-  function handleSubmit(e) {
-    e.preventDefault()
-
-    if (newPassword && newPassword !== newPasswordConfirm) {
-      alert('새 비밀번호와 비밀번호 확인이 일치하지 않습니다.')
-      return
-    }
-
-    const nextUser = {
-      ...(user || {}),
-      display_name: nickname || (user && (user.display_name || user.name)),
-      name: nickname || (user && (user.display_name || user.name)),
-      id: newId || user?.id,
-      // 비밀번호는 데모라 실제 저장/전송은 하지 않음
-    }
-
-    onSave(nextUser)
-    onClose()
-  }
-
-  return (
-    <div className="modal-backdrop" onClick={onClose}>
-      <div
-        className="modal-card profile-settings-modal"
-        onClick={e => e.stopPropagation()}
-      >
-        <button
-          className="modal-close"
-          aria-label="닫기"
-          type="button"
-          onClick={onClose}
-        >
-          ✕
-        </button>
-
-        <h3>프로필 설정</h3>
-        <p className="muted">사용자 정보를 수정할 수 있습니다</p>
-
-        <form className="modal-form" onSubmit={handleSubmit}>
-          <label htmlFor="nickname">별명</label>
-          <input
-            id="nickname"
-            value={nickname}
-            onChange={e => setNickname(e.target.value)}
-            placeholder="화면에 표시할 이름"
-          />
-
-          <p className="profile-settings-helper">ID/PW 재설정 (선택사항)</p>
-
-          <label htmlFor="newId">새 아이디</label>
-          <input
-            id="newId"
-            value={newId}
-            onChange={e => setNewId(e.target.value)}
-            placeholder="변경할 아이디 입력 (선택)"
-          />
-
-          <label htmlFor="newPassword">새 비밀번호</label>
-          <input
-            id="newPassword"
-            type="password"
-            value={newPassword}
-            onChange={e => setNewPassword(e.target.value)}
-            placeholder="변경할 비밀번호 입력 (선택)"
-          />
-
-          <label htmlFor="newPasswordConfirm">비밀번호 확인</label>
-          <input
-            id="newPasswordConfirm"
-            type="password"
-            value={newPasswordConfirm}
-            onChange={e => setNewPasswordConfirm(e.target.value)}
-            placeholder="비밀번호 확인"
-          />
-
-          <div className="modal-actions">
-            <button
-              type="button"
-              className="btn secondary"
-              onClick={onClose}
-            >
-              취소
-            </button>
-            <button type="submit" className="btn">
-              저장
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  )
-}
-
 export default function TopNav() {
   const location = useLocation()
   const navigate = useNavigate()
@@ -194,6 +95,7 @@ export default function TopNav() {
 
   function handleLogout() {
     localStorage.removeItem('token')
+    localStorage.removeItem('refresh_token')
     localStorage.removeItem('user')
     setUser(null)
     setIsMenuOpen(false)
@@ -239,7 +141,9 @@ export default function TopNav() {
         <nav className="top-nav-center">
           <NavTab to="/upload" label="업로드" isActive={isUpload} />
           <NavTab to="/dashboard" label="대시보드" isActive={isDashboard} />
-          <NavTab to="/report" label="리포트" isActive={isReport} />
+          {hasPermission(user, 'reports.generate') && (
+            <NavTab to="/report" label="리포트" isActive={isReport} />
+          )}
           <NavTab to="/students" label="관리자" isActive={isAdmin} />
         </nav>
 
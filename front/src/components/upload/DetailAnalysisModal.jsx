@@ -1,7 +1,7 @@
 // src/components/upload/DetailAnalysisModal.jsx
-import React from 'react'
+import React, { useRef } from 'react'
 import EmotionKeywordSelector from './EmotionKeywordSelector'
-import { formatDate, splitDuration, getActiveStudentState } from '../../utils/uploadHelpers'
+import { formatDate, splitDuration, getActiveStudentState, lowConfidenceLines, STUDENT_MATCH_REASONS } from '../../utils/uploadHelpers'
 
 export default function DetailAnalysisModal({
   detail,
@@ -29,8 +29,47 @@ export default function DetailAnalysisModal({
   updateActivityTypeDetail,
   handleSaveLogEntry
 }) {
+  const textareaRef = useRef(null)
+
   if (!detail.open || !detail.upload) return null
 
+  // 로컬 OCR 로 읽은 파일이면 신뢰도 낮은 줄을 따로 보여주고, 누르면 편집기에서 해당 줄을 선택
+  const ocrPages = detail.upload.ocr_pages
+  const lowLines = lowConfidenceLines(ocrPages)
+
+  function highlightLine(text) {
+    const el = textareaRef.current
+    if (!el) return
+    const start = (detail.editedText || '').indexOf(text)
+    if (start < 0) return
+    el.focus()
+    el.setSelectionRange(start, start + text.length)
+    // 선택한 줄이 보이도록 대략적인 위치로 스크롤
+    const lineIndex = detail.editedText.slice(0, start).split('\n').length - 1
+    const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || 20
+    el.scrollTop = Math.max(0, lineIndex * lineHeight - el.clientHeight / 2)
+  }
+
+  // 저장 전에 확인이 필요한 학생 이름 (서버 409 UNRESOLVED_STUDENTS)
+  const studentMatches = detail.studentMatches || []
+  const resolutions = detail.studentResolutions || {}
+  const allResolved = studentMatches.every(m => resolutions[m.name])
+
+  function resolutionValue(name) {
+    const r = resolutions[name]
+    if (!r) return ''
+    return r.create ? '__create__' : String(r.student_id)
+  }
+
+  function setResolution(name, value) {
+    setDetail(p => {
+      const next = { ...(p.studentResolutions || {}) }
+      if (!value) delete next[name]
+      else next[name] = value === '__create__' ? { create: true } : { student_id: value }
+      return { ...p, studentResolutions: next }
+    })
+  }
+
   return (
     <div className="modal-backdrop" role="dialog" aria-modal="true" onClick={closeDetail}>
       <div className="modal-card modal-card-wide detail-analysis-modal" onClick={e => e.stopPropagation()}>
@@ -87,6 +126,50 @@ export default function DetailAnalysisModal({
           )}
         </div>
 
+        {/* 학생 이름 확인 (오타/별명 등으로 기존 학생과 바로 연결되지 않은 이름) */}
+        {studentMatches.length > 0 && (
+          <div className="detail-panel" style={{ marginBottom: 10, background: '#fffbeb' }}>
+            <h4>학생 확인 필요</h4>
+            <p className="muted" style={{ fontSize: 12, marginTop: 0 }}>
+              기존 학생과 확실히 일치하지 않는 이름입니다. 연결할 학생을 고르거나 새 학생으로 추가한 뒤 저장하세요.
+            </p>
+            {studentMatches.map(m => {
+              const candidateIds = new Set(m.candidates.map(c => String(c.id)))
+              return (
+                <div key={m.name} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+                  <strong style={{ minWidth: 90 }}>{m.name}</strong>
+                  <select className="analysis-input" value={resolutionValue(m.name)} onChange={e => setResolution(m.name, e.target.value)}>
+                    <option value="">선택</option>
+                    {m.candidates.length > 0 && (
+                      <optgroup label="추천 학생">
+                        {m.candidates.map(c => (
+                          <option key={c.id} value={String(c.id)}>
+                            {c.nickname ? `${c.nickname}(${c.name})` : c.name} · {Math.round(c.score * 100)}% {STUDENT_MATCH_REASONS[c.reason] || ''}
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                    <optgroup label="다른 학생과 합치기">
+                      {(studentsMaster || []).filter(s => !candidateIds.has(String(s.id))).map(s => (
+                        <option key={s.id} value={String(s.id)}>{s.name}</option>
+                      ))}
+                    </optgroup>
+                    <option value="__create__">새 학생으로 추가</option>
+                  </select>
+                </div>
+              )
+            })}
+            <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+              <button type="button" className="btn small" onClick={handleSaveLogEntry} disabled={!allResolved || detail.saving}>
+                확인 후 저장
+              </button>
+              <button type="button" className="btn ghost small" onClick={() => setDetail(p => ({ ...p, studentMatches: [] }))}>
+                취소
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* 본문 영역 */}
         {detail.loading ? <div className="muted">로딩 중...</div> : (
           <div className="detail-layout detail-layout-modern">
@@ -94,7 +177,30 @@ export default function DetailAnalysisModal({
             <section className="detail-left">
               <div className="detail-panel">
                 <h4>원본 텍스트</h4>
+                {Array.isArray(ocrPages) && (
+                  <div className="muted" style={{ fontSize: 12, marginBottom: 6 }}>
+                    OCR 인식 · 평균 신뢰도 {detail.upload.ocr_confidence ?? '-'}%
+                    {lowLines.length > 0 && ` · 확인이 필요한 줄 ${lowLines.length}개`}
+                  </div>
+                )}
+                {lowLines.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 8, maxHeight: 96, overflowY: 'auto' }}>
+                    {lowLines.map((line, i) => (
+                      <button
+                        key={`${line.page}-${i}`}
+                        type="button"
+                        className="emotion-chip emotion-chip-unselected"
+                        style={{ fontSize: 12, background: '#fef3c7' }}
+                        title={`${line.page}페이지 · 신뢰도 ${line.confidence}%`}
+                        onClick={() => highlightLine(line.text)}
+                      >
+                        {line.text.length > 24 ? `${line.text.slice(0, 24)}…` : line.text} ({Math.round(line.confidence)}%)
+                      </button>
+                    ))}
+                  </div>
+                )}
                 <textarea
+                  ref={textareaRef}
                   className="detail-textarea"
                   value={detail.editedText}
                   onChange={e => setDetail(p => ({ ...p, editedText: e.target.value, saved: false }))}
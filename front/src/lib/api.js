@@ -105,7 +105,73 @@ async function mockResponse(path, options) {
   return {}
 }
 
-async function apiFetch(path, options = {}) {
+// 경로 → 실제 요청 URL
+// - p 가 절대 URL이면 그대로 사용
+// - 아니면 API_BASE 를 prefix 로 붙임
+function buildUrl(p) {
+  if (/^https?:\/\//.test(p)) return p
+  if (API_BASE) return API_BASE + p
+  return p
+}
+
+// 401 을 받으면 발생시키는 이벤트 (RequireAuth 가 듣고 /login 으로 보냄)
+export const AUTH_LOGOUT_EVENT = 'auth:logout'
+
+// 로그인 정보를 지우고 로그아웃 이벤트를 알림
+function clearSession() {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refresh_token')
+  localStorage.removeItem('user')
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT))
+  }
+}
+
+// 같은 시점에 여러 요청이 만료되어도 refresh 는 한 번만 보내도록 공유
+let refreshPromise = null
+
+/**
+ * refresh_token 으로 access 토큰을 재발급
+ * - 성공하면 새 token 을 반환, 실패하면 null
+ */
+async function refreshAccessToken() {
+  const refreshToken = localStorage.getItem('refresh_token')
+  if (!refreshToken) return null
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const res = await fetch(buildUrl('/auth/refresh'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        })
+        if (!res.ok) return null
+
+        const body = await res.json()
+        if (!body?.token) return null
+
+        localStorage.setItem('token', body.token)
+        if (body.refresh_token) {
+          localStorage.setItem('refresh_token', body.refresh_token)
+        }
+        if (body.user) {
+          localStorage.setItem('user', JSON.stringify(body.user))
+        }
+        return body.token
+      } catch (e) {
+        console.error('토큰 재발급 실패', e)
+        return null
+      } finally {
+        refreshPromise = null
+      }
+    })()
+  }
+
+  return refreshPromise
+}
+
+async function apiFetch(path, options = {}, retried = false) {
   const token = localStorage.getItem('token')
 
   // Support passing absolute path without leading slash
@@ -147,19 +213,7 @@ async function apiFetch(path, options = {}) {
     }
   }
 
-  // URL 조합:
-  // - p 가 절대 URL이면 그대로 사용
-  // - 아니면 API_BASE 를 prefix 로 붙임
-  let url
-  if (/^https?:\/\//.test(p)) {
-    url = p
-  } else if (API_BASE) {
-    url = API_BASE + p
-  } else {
-    url = p
-  }
-
-  const res = await fetch(url, fetchOpts)
+  const res = await fetch(buildUrl(p), fetchOpts)
 
   if (!res.ok) {
     const text = await res.text()
@@ -169,19 +223,103 @@ async function apiFetch(path, options = {}) {
     } catch (e) {
       body = { message: text }
     }
+
+    // 401: access 토큰 만료면 한 번만 재발급 후 재시도, 그 외엔 로그인 화면으로
+    if (res.status === 401) {
+      if (!retried && body?.code === 'TOKEN_EXPIRED') {
+        const nextToken = await refreshAccessToken()
+        if (nextToken) return apiFetch(path, options, true)
+      }
+      clearSession()
+    }
+
     const err = new Error(body?.message || res.statusText || 'API error')
     err.status = res.status
+    err.code = body?.code
     err.body = body
     throw err
   }
 
   if (res.status === 204) return null
 
+  // 파일 다운로드 등 바이너리 응답이 필요하면 _responseType: 'blob'
+  if (options._responseType === 'blob') return res.blob()
+
   const ct = res.headers.get('content-type') || ''
   if (ct.includes('application/json')) return res.json()
   return res.text()
 }
 
+// -------------------- 실시간 이벤트 (SSE) --------------------
+
+/**
+ * GET /uploads/events 구독 (업로드 생성/상태/진행률/삭제 알림)
+ * - EventSource 는 Authorization 헤더를 못 붙이므로, 연결할 때마다 짧은 events 토큰을 받아
+ *   events_token 쿼리로 인증 (POST /uploads/events/token, access 토큰은 URL 에 싣지 않음)
+ * - 연결이 끊기면 브라우저 자동 재연결 대신(이미 만료된 토큰) 새 토큰으로 다시 연결
+ *
+ * handlers: { onEvent({ type, upload }), onStatus(connected: boolean) }
+ * options: { uploadedBy?: 'me' | userId }
+ * 반환값: 구독 해제 함수
+ */
+export function subscribeUploadEvents(handlers = {}, options = {}) {
+  const { onEvent, onStatus } = handlers
+  if (USE_MOCK || typeof EventSource === 'undefined') return () => {}
+
+  let source = null
+  let reconnectTimer = null
+  let stopped = false
+
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer)
+    if (!stopped) reconnectTimer = setTimeout(connect, 3000)
+  }
+
+  async function connect() {
+    if (stopped || !localStorage.getItem('token')) return
+
+    let eventsToken = null
+    try {
+      // apiFetch 가 access 토큰 만료 시 재발급까지 처리
+      eventsToken = (await apiFetch('/uploads/events/token', { method: 'POST' }))?.token
+    } catch (err) {
+      console.error('실시간 연결 토큰 발급 실패', err)
+    }
+    if (stopped) return
+    if (!eventsToken) {
+      scheduleReconnect()
+      return
+    }
+
+    const params = new URLSearchParams({ events_token: eventsToken })
+    if (options.uploadedBy) params.set('uploaded_by', options.uploadedBy)
+
+    source = new EventSource(buildUrl(`/uploads/events?${params}`))
+    source.onopen = () => onStatus?.(true)
+    source.addEventListener('upload', e => {
+      try {
+        onEvent?.(JSON.parse(e.data))
+      } catch (err) {
+        console.error('업로드 이벤트 파싱 실패', err)
+      }
+    })
+    source.onerror = () => {
+      onStatus?.(false)
+      source.close()
+      source = null
+      scheduleReconnect()
+    }
+  }
+
+  connect()
+
+  return () => {
+    stopped = true
+    clearTimeout(reconnectTimer)
+    if (source) source.close()
+  }
+}
+
 // -------------------- Gemini AI helper APIs --------------------
 
 /**
@@ -0,0 +1,18 @@
+// src/lib/auth.js
+// 로그인 사용자 정보/권한 확인 헬퍼
+// - 권한 목록은 로그인 응답(user.permissions)으로 서버가 내려줌 (back/auth.js 의 ROLE_PERMISSIONS)
+// - 실제 차단은 서버에서 하고, 여기서는 메뉴/버튼 표시 여부만 결정
+
+export function getStoredUser() {
+  try {
+    const raw = localStorage.getItem('user')
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+export function hasPermission(user, permission) {
+  if (!user || !Array.isArray(user.permissions)) return false
+  return user.permissions.includes(permission)
+}
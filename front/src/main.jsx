@@ -46,7 +46,7 @@ function AppRouter() {
         <Route
           path="/report"
           element={
-            <RequireAuth>
+            <RequireAuth permission="reports.generate">
               <Report />
             </RequireAuth>
           }
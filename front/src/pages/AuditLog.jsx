@@ -0,0 +1,342 @@
+// src/pages/AuditLog.jsx
+// 변경 이력: 학생 데이터(학생/기록/태그/업로드/리포트)를 누가 언제 어떻게 바꿨는지 조회 (관리자, audit.view)
+// - 학생 / 사용자 / 기간으로 걸러 보고, 수정은 바뀐 필드(diff)만 보여줌
+import React, { useEffect, useState } from 'react'
+import Layout from '../components/Layout'
+import { apiFetch } from '../lib/api'
+
+const PAGE_SIZE = 50
+
+const ACTION_LABELS = {
+  create: '추가',
+  update: '수정',
+  delete: '삭제',
+  restore: '복원',
+  merge: '합치기',
+}
+
+const TABLE_LABELS = {
+  students: '학생',
+  log_entries: '관찰 기록',
+  log_entry_tags: '기록 태그',
+  tags: '태그',
+  ingest_uploads: '업로드',
+  report_runs: '리포트',
+}
+
+const EMPTY_FILTERS = { student_id: '', actor_id: '', from: '', to: '' }
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return String(value)
+  return d.toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'medium' })
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(없음)'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function actorLabel(item) {
+  if (item.actor) return item.actor.display_name || item.actor.email
+  return item.actor_id ? item.actor_id.slice(0, 8) : '시스템'
+}
+
+// 수정은 바뀐 필드, 나머지는 추가/삭제된 값의 요약
+function ChangeSummary({ item }) {
+  const diffEntries = Object.entries(item.diff || {})
+  if (diffEntries.length > 0) {
+    return (
+      <ul style={{ margin: 0, paddingLeft: 16 }}>
+        {diffEntries.map(([field, change]) => (
+          <li key={field}>
+            <b>{field}</b>: {formatValue(change.before)} → {formatValue(change.after)}
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  const record = item.after || item.before
+  if (!record) return <span className="muted">-</span>
+  return (
+    <details>
+      <summary style={{ cursor: 'pointer' }}>내용 보기</summary>
+      <pre
+        style={{
+          margin: '6px 0 0',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-all',
+          fontSize: 12,
+          maxHeight: 200,
+          overflow: 'auto',
+        }}
+      >
+        {JSON.stringify(record, null, 2)}
+      </pre>
+    </details>
+  )
+}
+
+export default function AuditLog() {
+  const [students, setStudents] = useState([])
+  const [actors, setActors] = useState({})
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [items, setItems] = useState([])
+  const [count, setCount] = useState(0)
+  const [offset, setOffset] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    apiFetch('/api/students?limit=500')
+      .then(d => {
+        const rows = Array.isArray(d?.items) ? d.items : Array.isArray(d) ? d : []
+        setStudents(rows)
+      })
+      .catch(console.error)
+  }, [])
+
+  useEffect(() => {
+    fetchAudit(filters, offset)
+  }, [filters, offset])
+
+  async function fetchAudit(nextFilters, nextOffset) {
+    try {
+      setLoading(true)
+      setError('')
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset: nextOffset })
+      Object.entries(nextFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value)
+      })
+      const res = await apiFetch(`/api/audit?${params.toString()}`)
+      const rows = Array.isArray(res?.items) ? res.items : []
+      setItems(rows)
+      setCount(res?.count ?? rows.length)
+      // 사용자 목록 API 가 없어서, 이력에 나온 사용자를 필터 선택지로 모아 둠
+      setActors(prev => {
+        const next = { ...prev }
+        rows.forEach(row => {
+          if (row.actor_id) next[row.actor_id] = actorLabel(row)
+        })
+        return next
+      })
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '변경 이력을 불러오는 중 오류가 발생했습니다.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  function updateFilter(key, value) {
+    setOffset(0)
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  const studentNames = Object.fromEntries(students.map(s => [String(s.id), s.name]))
+  const hasPrev = offset > 0
+  const hasNext = offset + PAGE_SIZE < count
+
+  return (
+    <Layout title="변경 이력">
+      <div className="page-container" style={{ padding: 16 }}>
+        <div style={{ marginBottom: 16 }}>
+          <h1 style={{ fontSize: 20, fontWeight: 600, marginBottom: 4 }}>변경 이력</h1>
+          <p className="muted" style={{ fontSize: 13 }}>
+            학생, 관찰 기록, 태그, 업로드, 리포트의 추가/수정/삭제 내역입니다.
+          </p>
+        </div>
+
+        <div
+          style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: 8,
+            alignItems: 'center',
+            marginBottom: 12,
+          }}
+        >
+          <select
+            className="app-input"
+            value={filters.student_id}
+            onChange={e => updateFilter('student_id', e.target.value)}
+            style={{ width: 160 }}
+          >
+            <option value="">전체 학생</option>
+            {students.map(s => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+          <select
+            className="app-input"
+            value={filters.actor_id}
+            onChange={e => updateFilter('actor_id', e.target.value)}
+            style={{ width: 160 }}
+          >
+            <option value="">전체 사용자</option>
+            <option value="me">나</option>
+            {Object.entries(actors).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="app-input"
+            value={filters.from}
+            onChange={e => updateFilter('from', e.target.value)}
+            style={{ width: 150 }}
+          />
+          <span className="muted">~</span>
+          <input
+            type="date"
+            className="app-input"
+            value={filters.to}
+            onChange={e => updateFilter('to', e.target.value)}
+            style={{ width: 150 }}
+          />
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => {
+              setOffset(0)
+              setFilters(EMPTY_FILTERS)
+            }}
+          >
+            초기화
+          </button>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 12,
+              padding: '8px 12px',
+              borderRadius: 10,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        <div
+          className="card"
+          style={{
+            borderRadius: 16,
+            border: '1px solid #e5e7eb',
+            background: '#ffffff',
+            overflow: 'hidden',
+          }}
+        >
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+            <thead style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+              <tr>
+                {['시각', '사용자', '작업', '대상', '학생', '변경 내용'].map(label => (
+                  <th
+                    key={label}
+                    style={{
+                      textAlign: 'left',
+                      padding: '10px 12px',
+                      fontWeight: 500,
+                      fontSize: 13,
+                      color: '#6b7280',
+                    }}
+                  >
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={6} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    불러오는 중입니다...
+                  </td>
+                </tr>
+              ) : items.length === 0 ? (
+                <tr>
+                  <td colSpan={6} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    변경 이력이 없습니다.
+                  </td>
+                </tr>
+              ) : (
+                items.map(item => (
+                  <tr
+                    key={item.id}
+                    style={{ borderBottom: '1px solid #f3f4f6', verticalAlign: 'top' }}
+                  >
+                    <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563', whiteSpace: 'nowrap' }}>
+                      {formatDateTime(item.created_at)}
+                    </td>
+                    <td style={{ padding: '10px 12px', fontSize: 13 }}>{actorLabel(item)}</td>
+                    <td style={{ padding: '10px 12px', fontSize: 13 }}>
+                      {ACTION_LABELS[item.action] || item.action}
+                    </td>
+                    <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                      {TABLE_LABELS[item.table_name] || item.table_name}
+                      {item.record_id && (
+                        <div className="muted" style={{ fontSize: 12 }}>
+                          #{String(item.record_id).slice(0, 8)}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ padding: '10px 12px', fontSize: 13 }}>
+                      {item.student_id
+                        ? studentNames[String(item.student_id)] || '(삭제된 학생)'
+                        : '-'}
+                    </td>
+                    <td style={{ padding: '10px 12px', fontSize: 13 }}>
+                      <ChangeSummary item={item} />
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginTop: 12,
+            fontSize: 13,
+          }}
+        >
+          <span className="muted">
+            총 {count}건 중 {count === 0 ? 0 : offset + 1}–{Math.min(offset + PAGE_SIZE, count)}
+          </span>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              type="button"
+              className="btn secondary"
+              disabled={!hasPrev || loading}
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            >
+              이전
+            </button>
+            <button
+              type="button"
+              className="btn secondary"
+              disabled={!hasNext || loading}
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+            >
+              다음
+            </button>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  )
+}
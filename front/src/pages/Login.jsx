@@ -53,7 +53,6 @@ function SignupModal({ onClose }) {
     password2: '',
     name: '',
     phone: '',
-    role: 'observer', // 'observer' | 'teacher'
   })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
@@ -74,13 +73,16 @@ function SignupModal({ onClose }) {
       setError('비밀번호가 일치하지 않습니다.')
       return
     }
+    if (form.password.length < 8) {
+      setError('비밀번호는 8자 이상이어야 합니다.')
+      return
+    }
 
     const payload = {
       email: form.email,
       password: form.password,
       display_name: form.name,
       phone: form.phone || null,
-      role: form.role,
     }
 
     try {
@@ -149,7 +151,7 @@ function SignupModal({ onClose }) {
             type="password"
             value={form.password}
             onChange={e => update('password', e.target.value)}
-            placeholder="비밀번호를 입력하세요"
+            placeholder="8자 이상 입력하세요"
           />
 
           <label>비밀번호 확인 *</label>
@@ -174,27 +176,9 @@ function SignupModal({ onClose }) {
             placeholder="010-1234-5678"
           />
 
-          <label>유형 *</label>
-          <div className="role-toggle">
-            <button
-              type="button"
-              className={
-                form.role === 'observer' ? 'role-btn active' : 'role-btn'
-              }
-              onClick={() => update('role', 'observer')}
-            >
-              꿈뜰 활동자
-            </button>
-            <button
-              type="button"
-              className={
-                form.role === 'teacher' ? 'role-btn active' : 'role-btn'
-              }
-              onClick={() => update('role', 'teacher')}
-            >
-              교사
-            </button>
-          </div>
+          <p className="muted" style={{ fontSize: 12, marginTop: 8 }}>
+            꿈뜰 활동자로 가입됩니다. 교사 권한이 필요하면 가입 후 관리자에게 요청해 주세요.
+          </p>
 
           {error && (
             <div className="error" style={{ marginTop: 8 }}>
@@ -259,8 +243,11 @@ export default function Login() {
         throw new Error('Invalid login response')
       }
 
-      // 정상 로그인
+      // 정상 로그인 (access 토큰 만료 시 refresh_token 으로 재발급)
       localStorage.setItem('token', token)
+      if (res.refresh_token) {
+        localStorage.setItem('refresh_token', res.refresh_token)
+      }
       localStorage.setItem('user', JSON.stringify(user))
       navigate('/upload')
     } catch (err) {
@@ -0,0 +1,405 @@
+// src/pages/PromptRegistry.jsx
+// 프롬프트 저장소: AI 프롬프트를 버전별로 저장하고 사용할 버전을 고름 (관리자, prompts.manage)
+// - 버전 0 은 코드에 들어 있는 기본 프롬프트
+// - 테스트 콘솔: 편집 중인 초안에 입력을 넣어 실제 프롬프트를 미리 보고, AI 를 호출한 결과까지 확인
+import React, { useEffect, useState } from 'react'
+import Layout from '../components/Layout'
+import { apiFetch } from '../lib/api'
+
+const INPUT_PLACEHOLDERS = {
+  extraction: '원본 텍스트를 붙여 넣으세요. (예: 2024-03-05 미술 시간에 민수가 ...)',
+  chat: '교사의 질문을 입력하세요. (예: 요즘 민수의 감정 변화는 어떤가요?)',
+  text_extraction: '파일이 필요한 프롬프트라 미리보기만 할 수 있습니다.',
+}
+const REPORT_PLACEHOLDER =
+  '/ai/generate-report 요청 JSON (예: { "student_profile": { "name": "민수" }, "report_options": { "purpose": "parent" } })'
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return String(value)
+  return d.toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+function versionLabel(version) {
+  if (version === 0) return '기본(코드)'
+  if (version === null || version === undefined) return '초안'
+  return `v${version}`
+}
+
+const panelStyle = {
+  borderRadius: 16,
+  border: '1px solid #e5e7eb',
+  background: '#ffffff',
+  padding: 16,
+}
+
+const monoStyle = {
+  width: '100%',
+  fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+  fontSize: 12,
+  lineHeight: 1.5,
+  boxSizing: 'border-box',
+}
+
+export default function PromptRegistry() {
+  const [prompts, setPrompts] = useState([])
+  const [selectedName, setSelectedName] = useState('')
+  const [detail, setDetail] = useState(null)
+  const [draft, setDraft] = useState('')
+  const [note, setNote] = useState('')
+  const [activateOnSave, setActivateOnSave] = useState(true)
+  const [testInput, setTestInput] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchPrompts()
+  }, [])
+
+  useEffect(() => {
+    if (selectedName) fetchDetail(selectedName)
+  }, [selectedName])
+
+  async function fetchPrompts() {
+    try {
+      setLoading(true)
+      const res = await apiFetch('/api/prompts')
+      const items = Array.isArray(res?.items) ? res.items : []
+      setPrompts(items)
+      if (items.length > 0) setSelectedName(prev => prev || items[0].name)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '프롬프트 목록을 불러오는 중 오류가 발생했습니다.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function fetchDetail(name, { keepDraft = false } = {}) {
+    try {
+      setError('')
+      const res = await apiFetch(`/api/prompts/${encodeURIComponent(name)}`)
+      setDetail(res)
+      if (!keepDraft) {
+        const active = (res.versions || []).find(v => v.version === res.active_version)
+        setDraft(active ? active.body : res.builtin?.body || '')
+        setNote('')
+        setPreview(null)
+        setTestInput('')
+      }
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '프롬프트를 불러오는 중 오류가 발생했습니다.')
+    }
+  }
+
+  async function handleSave() {
+    if (!draft.trim()) {
+      setError('프롬프트 내용을 입력해 주세요.')
+      return
+    }
+    try {
+      setBusy('save')
+      setError('')
+      await apiFetch(`/api/prompts/${encodeURIComponent(selectedName)}/versions`, {
+        method: 'POST',
+        body: { body: draft, note, activate: activateOnSave },
+      })
+      setNote('')
+      await Promise.all([fetchDetail(selectedName, { keepDraft: true }), fetchPrompts()])
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '저장 중 오류가 발생했습니다.')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  async function handleActivate(version) {
+    try {
+      setBusy(`activate:${version}`)
+      setError('')
+      await apiFetch(`/api/prompts/${encodeURIComponent(selectedName)}/activate`, {
+        method: 'POST',
+        body: { version },
+      })
+      await Promise.all([fetchDetail(selectedName, { keepDraft: true }), fetchPrompts()])
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '사용 버전을 바꾸는 중 오류가 발생했습니다.')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  async function handlePreview(run) {
+    try {
+      setBusy(run ? 'run' : 'preview')
+      setError('')
+      const res = await apiFetch(`/api/prompts/${encodeURIComponent(selectedName)}/preview`, {
+        method: 'POST',
+        body: { body: draft, input: testInput, run },
+      })
+      setPreview(res)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '테스트 중 오류가 발생했습니다.')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const versions = detail?.versions || []
+  const versionRows = [
+    ...versions,
+    { id: 'builtin', version: 0, body: detail?.builtin?.body || '', note: '코드에 들어 있는 기본 프롬프트' },
+  ]
+  const placeholder = selectedName.startsWith('report.')
+    ? REPORT_PLACEHOLDER
+    : INPUT_PLACEHOLDERS[selectedName] || ''
+
+  return (
+    <Layout title="프롬프트">
+      <div className="page-container" style={{ padding: 16 }}>
+        <div style={{ marginBottom: 16 }}>
+          <h1 style={{ fontSize: 20, fontWeight: 600, marginBottom: 4 }}>프롬프트</h1>
+          <p className="muted" style={{ fontSize: 13 }}>
+            AI 추출/리포트/채팅에 쓰는 프롬프트를 버전별로 관리합니다. 저장된 기록과 리포트에는 만든
+            프롬프트 버전이 함께 남습니다.
+          </p>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 12,
+              padding: '8px 12px',
+              borderRadius: 10,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: '240px 1fr', gap: 16 }}>
+          {/* 프롬프트 목록 */}
+          <div style={{ ...panelStyle, padding: 8, alignSelf: 'start' }}>
+            {loading && prompts.length === 0 ? (
+              <div className="muted" style={{ padding: 8, fontSize: 13 }}>
+                불러오는 중입니다...
+              </div>
+            ) : (
+              prompts.map(item => (
+                <button
+                  key={item.name}
+                  type="button"
+                  onClick={() => setSelectedName(item.name)}
+                  style={{
+                    display: 'block',
+                    width: '100%',
+                    textAlign: 'left',
+                    padding: '8px 10px',
+                    marginBottom: 4,
+                    borderRadius: 10,
+                    border: 'none',
+                    cursor: 'pointer',
+                    background: item.name === selectedName ? '#eef2ff' : 'transparent',
+                  }}
+                >
+                  <div style={{ fontSize: 14, fontWeight: 500 }}>{item.name}</div>
+                  <div className="muted" style={{ fontSize: 12 }}>
+                    사용 중: {versionLabel(item.active_version)} · 저장 {item.version_count}개
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+
+          {detail && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+              {/* 편집기 */}
+              <div style={panelStyle}>
+                <div style={{ fontSize: 15, fontWeight: 600, marginBottom: 4 }}>{detail.name}</div>
+                <div className="muted" style={{ fontSize: 12, marginBottom: 10 }}>
+                  {detail.description}
+                </div>
+                <textarea
+                  className="app-input"
+                  value={draft}
+                  onChange={e => setDraft(e.target.value)}
+                  rows={16}
+                  style={monoStyle}
+                />
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 10 }}>
+                  <input
+                    className="app-input"
+                    value={note}
+                    onChange={e => setNote(e.target.value)}
+                    placeholder="변경 메모 (선택)"
+                    style={{ flex: 1 }}
+                  />
+                  <label style={{ fontSize: 13, display: 'flex', alignItems: 'center', gap: 4 }}>
+                    <input
+                      type="checkbox"
+                      checked={activateOnSave}
+                      onChange={e => setActivateOnSave(e.target.checked)}
+                    />
+                    저장 후 바로 사용
+                  </label>
+                  <button
+                    type="button"
+                    className="btn"
+                    onClick={handleSave}
+                    disabled={busy === 'save'}
+                  >
+                    {busy === 'save' ? '저장 중...' : '새 버전 저장'}
+                  </button>
+                </div>
+              </div>
+
+              {/* 테스트 콘솔 */}
+              <div style={panelStyle}>
+                <div style={{ fontSize: 15, fontWeight: 600, marginBottom: 8 }}>테스트 콘솔</div>
+                <textarea
+                  className="app-input"
+                  value={testInput}
+                  onChange={e => setTestInput(e.target.value)}
+                  placeholder={placeholder}
+                  rows={5}
+                  style={monoStyle}
+                />
+                <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => handlePreview(false)}
+                    disabled={!!busy}
+                  >
+                    {busy === 'preview' ? '만드는 중...' : '프롬프트 미리보기'}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn"
+                    onClick={() => handlePreview(true)}
+                    disabled={!!busy || selectedName === 'text_extraction'}
+                  >
+                    {busy === 'run' ? 'AI 호출 중...' : 'AI 로 실행'}
+                  </button>
+                </div>
+
+                {preview && (
+                  <div style={{ marginTop: 12 }}>
+                    <div className="muted" style={{ fontSize: 12, marginBottom: 4 }}>
+                      {versionLabel(preview.prompt?.version)}
+                      {preview.model ? ` · ${preview.model}` : ''}
+                      {preview.redaction ? ` · 개인정보 ${preview.redaction.replaced}개 가림` : ''}
+                    </div>
+                    <details open={!preview.output}>
+                      <summary style={{ cursor: 'pointer', fontSize: 13 }}>보낸 프롬프트</summary>
+                      <pre style={{ ...monoStyle, whiteSpace: 'pre-wrap', maxHeight: 300, overflow: 'auto' }}>
+                        {preview.rendered}
+                      </pre>
+                    </details>
+                    {preview.output !== undefined && (
+                      <>
+                        <div style={{ fontSize: 13, fontWeight: 500, marginTop: 8 }}>결과</div>
+                        <pre style={{ ...monoStyle, whiteSpace: 'pre-wrap', maxHeight: 400, overflow: 'auto' }}>
+                          {typeof preview.output === 'string'
+                            ? preview.output
+                            : JSON.stringify(preview.output, null, 2)}
+                        </pre>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* 버전 목록 */}
+              <div style={{ ...panelStyle, padding: 0, overflow: 'hidden' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+                  <thead style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+                    <tr>
+                      {['버전', '메모', '저장일', ''].map(label => (
+                        <th
+                          key={label}
+                          style={{
+                            textAlign: 'left',
+                            padding: '10px 12px',
+                            fontWeight: 500,
+                            fontSize: 13,
+                            color: '#6b7280',
+                          }}
+                        >
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {versionRows.map(row => {
+                      const isActive = row.version === detail.active_version
+                      return (
+                        <tr key={row.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                          <td style={{ padding: '10px 12px', whiteSpace: 'nowrap' }}>
+                            {versionLabel(row.version)}
+                            {isActive && (
+                              <span
+                                style={{
+                                  marginLeft: 6,
+                                  padding: '2px 8px',
+                                  borderRadius: 999,
+                                  background: '#dcfce7',
+                                  color: '#166534',
+                                  fontSize: 12,
+                                }}
+                              >
+                                사용 중
+                              </span>
+                            )}
+                          </td>
+                          <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                            {row.note || '-'}
+                          </td>
+                          <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                            {formatDateTime(row.created_at)}
+                          </td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                            <button
+                              type="button"
+                              className="btn secondary"
+                              onClick={() => {
+                                setDraft(row.body)
+                                setPreview(null)
+                              }}
+                              style={{ marginRight: 6 }}
+                            >
+                              불러오기
+                            </button>
+                            <button
+                              type="button"
+                              className="btn secondary"
+                              onClick={() => handleActivate(row.version)}
+                              disabled={isActive || busy === `activate:${row.version}`}
+                            >
+                              사용
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  )
+}
@@ -2,6 +2,7 @@
 import React, { useEffect, useState } from 'react'
 import Layout from '../components/Layout.jsx'
 import { apiFetch, generateReportWithGemini } from '../lib/api.js'
+import { hasPermission } from '../lib/auth.js'
 
 // 백엔드 베이스 URL
 const API_BASE =
@@ -293,7 +294,10 @@ export default function Report() {
     const url = path.startsWith('http') ? path : `${API_BASE}${path.startsWith('/') ? path : `/${path}`}`
 
     try {
-      const res = await fetch(url)
+      const token = localStorage.getItem('token')
+      const res = await fetch(url, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
       if (!res.ok) {
         if (res.status === 404) throw new Error('서버에 저장된 마크다운 파일이 없습니다.')
         throw new Error('다운로드 실패')
@@ -393,6 +397,9 @@ export default function Report() {
         student_id: studentId,
         student_name: studentName,
         markdown, // 🚨 핵심: AI가 생성한 마크다운을 여기에 포함
+        prompt: result.prompt || null, // 어떤 프롬프트 버전으로 만든 리포트인지 ({ id, name, version }, 서버가 확인)
+        model: result.model || null,
+        redaction: result.redaction || null, // 개인정보를 가려서 보냈으면 가린 값 개수
         created_by_user_id: currentUser?.id,
         created_by_name: currentUser?.display_name || currentUser?.email,
       }
@@ -581,9 +588,11 @@ export default function Report() {
                           <button type="button" className="btn secondary-outline report-btn" onClick={() => handleDownloadMd(report)}>
                             다운로드
                           </button>
-                          <button type="button" className="btn danger-outline report-btn" onClick={() => handleDelete(report)}>
-                            삭제
-                          </button>
+                          {hasPermission(currentUser, 'reports.delete') && (
+                            <button type="button" className="btn danger-outline report-btn" onClick={() => handleDelete(report)}>
+                              삭제
+                            </button>
+                          )}
                         </div>
                       </article>
                     )
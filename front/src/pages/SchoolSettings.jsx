@@ -0,0 +1,128 @@
+// src/pages/SchoolSettings.jsx
+// 학교 설정 (관리자, settings.manage)
+// - 개인정보 가리기: AI 로 보내기 전 학생 이름/생년월일/연락처를 [학생1] 같은 자리표시자로 바꾸고,
+//   AI 응답은 원래 값으로 되돌림 (서버 back/redaction.js)
+import React, { useEffect, useState } from 'react'
+import Layout from '../components/Layout'
+import { apiFetch } from '../lib/api'
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return String(value)
+  return d.toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+export default function SchoolSettings() {
+  const [settings, setSettings] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchSettings()
+  }, [])
+
+  async function fetchSettings() {
+    try {
+      setLoading(true)
+      setError('')
+      const res = await apiFetch('/api/school-settings')
+      setSettings(res)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '학교 설정을 불러오는 중 오류가 발생했습니다.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleToggleRedaction(checked) {
+    try {
+      setSaving(true)
+      setError('')
+      const res = await apiFetch('/api/school-settings', {
+        method: 'PATCH',
+        body: { require_ai_redaction: checked },
+      })
+      setSettings(res)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '설정을 저장하는 중 오류가 발생했습니다.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Layout title="학교 설정">
+      <div className="page-container" style={{ padding: 16, maxWidth: 720 }}>
+        <div style={{ marginBottom: 16 }}>
+          <h1 style={{ fontSize: 20, fontWeight: 600, marginBottom: 4 }}>학교 설정</h1>
+          <p className="muted" style={{ fontSize: 13 }}>
+            이 학교 전체에 적용되는 설정입니다.
+          </p>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 12,
+              padding: '8px 12px',
+              borderRadius: 10,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading && !settings ? (
+          <div className="muted" style={{ fontSize: 13 }}>
+            불러오는 중입니다...
+          </div>
+        ) : (
+          settings && (
+            <div
+              style={{
+                borderRadius: 16,
+                border: '1px solid #e5e7eb',
+                background: '#ffffff',
+                padding: 16,
+              }}
+            >
+              <label style={{ display: 'flex', gap: 10, alignItems: 'flex-start', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={!!settings.require_ai_redaction}
+                  disabled={saving}
+                  onChange={e => handleToggleRedaction(e.target.checked)}
+                  style={{ marginTop: 3 }}
+                />
+                <div>
+                  <div style={{ fontSize: 15, fontWeight: 600 }}>AI 로 보내기 전 개인정보 가리기 필수</div>
+                  <div className="muted" style={{ fontSize: 13, marginTop: 4, lineHeight: 1.6 }}>
+                    기록 분석, 리포트, 대시보드 채팅에서 AI 로 보내는 글의 학생 이름·별칭·생년월일과
+                    전화번호·이메일·주민등록번호를 [학생1], [전화1] 같은 표시로 바꿔서 보내고, AI 답변에서는
+                    원래 값으로 되돌립니다.
+                    <br />
+                    학생 관리에 등록되지 않은 이름은 가려지지 않습니다. 켜져 있으면 가릴 수 없는 이미지/스캔 PDF
+                    는 외부 AI 로 보내지 않습니다.
+                  </div>
+                </div>
+              </label>
+
+              <div className="muted" style={{ fontSize: 12, marginTop: 12 }}>
+                AI 제공자: {settings.llm_provider || '없음'}
+                {settings.llm_provider ? (settings.llm_external ? ' (외부 서버)' : ' (학교 내부)') : ''}
+                {' · '}마지막 변경: {formatDateTime(settings.updated_at)}
+              </div>
+            </div>
+          )
+        )}
+      </div>
+    </Layout>
+  )
+}
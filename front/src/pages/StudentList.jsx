@@ -2,6 +2,7 @@
 import React, { useEffect, useState } from 'react'
 import Layout from '../components/Layout'
 import { apiFetch } from '../lib/api'
+import { getStoredUser, hasPermission } from '../lib/auth'
 
 // 서버 응답 형태를 통합해서 students 배열로 변환
 function normalizeStudentsResponse(res) {
@@ -16,6 +17,11 @@ function normalizeStudentsResponse(res) {
 const STATUS_OPTIONS = ['재학중', '졸업', '중도이탈', '휴학']
 
 export default function StudentList() {
+  // 학생 추가/수정/삭제는 관리자(students.manage)만 가능, 그 외엔 조회만
+  const [canManage] = useState(() =>
+    hasPermission(getStoredUser(), 'students.manage'),
+  )
+
   const [students, setStudents] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
@@ -42,6 +48,13 @@ export default function StudentList() {
   // ▶ 삭제 처리 중인 학생 id
   const [deletingId, setDeletingId] = useState(null)
 
+  // ▶ 합치기(중복 학생 정리) 모달 상태
+  const [mergingStudent, setMergingStudent] = useState(null)
+  const [mergeTargetId, setMergeTargetId] = useState('')
+  const [mergePreview, setMergePreview] = useState(null)
+  const [mergeLoading, setMergeLoading] = useState(false)
+  const [merging, setMerging] = useState(false)
+
   // -------------------- 초기 학생 목록 조회 --------------------
   useEffect(() => {
     fetchStudents()
@@ -179,7 +192,7 @@ export default function StudentList() {
   // -------------------- 학생 삭제 --------------------
   async function handleDelete(student) {
     if (!student) return
-    if (!window.confirm(`"${student.name}" 학생을 정말 삭제하시겠어요?`)) return
+    if (!window.confirm(`"${student.name}" 학생과 관찰 기록을 휴지통으로 옮길까요?`)) return
 
     try {
       setDeletingId(student.id)
@@ -198,6 +211,58 @@ export default function StudentList() {
     }
   }
 
+  // -------------------- 학생 합치기 --------------------
+  // 합치기 대상 학생(source)은 휴지통으로 가고, 기록/업로드/리포트는 선택한 학생(target)으로 옮겨짐
+  function openMergeModal(student) {
+    setMergingStudent(student)
+    setMergeTargetId('')
+    setMergePreview(null)
+  }
+
+  function closeMergeModal() {
+    setMergingStudent(null)
+  }
+
+  async function handleMergeTargetChange(targetId) {
+    setMergeTargetId(targetId)
+    setMergePreview(null)
+    if (!targetId) return
+
+    try {
+      setMergeLoading(true)
+      setError('')
+      const preview = await apiFetch(
+        `/api/students/${mergingStudent.id}/merge?target_id=${encodeURIComponent(targetId)}`,
+      )
+      setMergePreview(preview)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '합치기 미리보기 중 오류가 발생했습니다.')
+    } finally {
+      setMergeLoading(false)
+    }
+  }
+
+  async function handleMerge() {
+    if (!mergingStudent || !mergePreview) return
+
+    try {
+      setMerging(true)
+      setError('')
+      await apiFetch(`/api/students/${mergingStudent.id}/merge`, {
+        method: 'POST',
+        body: { target_id: mergeTargetId },
+      })
+      setStudents(prev => prev.filter(s => s.id !== mergingStudent.id))
+      closeMergeModal()
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '학생 합치기 중 오류가 발생했습니다.')
+    } finally {
+      setMerging(false)
+    }
+  }
+
   function getDisplayName(student) {
     const realName = student.realName || student.name || ''
     const nickname = student.nickname || student.log_content || ''
@@ -224,7 +289,7 @@ export default function StudentList() {
               학생 관리
             </h1>
             <p className="muted" style={{ fontSize: 13 }}>
-              학생을 추가/수정/삭제 할 수 있습니다.
+              학생을 추가/수정/삭제하거나 중복 학생을 합칠 수 있습니다.
             </p>
           </div>
         </div>
@@ -252,207 +317,209 @@ export default function StudentList() {
         )}
 
         {/* ▶ 학생 추가 폼 */}
-        <div
-          className="card"
-          style={{
-            marginBottom: 16,
-            padding: 16,
-            borderRadius: 16,
-            border: '1px solid #e5e7eb',
-            background: '#ffffff',
-          }}
-        >
-          <form onSubmit={handleCreate}>
-            {/* 1행: 이름 + 상태 + 입학일 + 생년월일 (같은 라인) */}
-           <div
-             style={{
-               display: 'flex',
-               flexWrap: 'wrap',
-               gap: 16,
-               alignItems: 'center',
-               marginBottom: 8,
-             }}
-           >
-             {/* 학생 이름 */}
+        {canManage && (
+          <div
+            className="card"
+            style={{
+              marginBottom: 16,
+              padding: 16,
+              borderRadius: 16,
+              border: '1px solid #e5e7eb',
+              background: '#ffffff',
+            }}
+          >
+            <form onSubmit={handleCreate}>
+              {/* 1행: 이름 + 상태 + 입학일 + 생년월일 (같은 라인) */}
              <div
                style={{
                  display: 'flex',
+                 flexWrap: 'wrap',
+                 gap: 16,
                  alignItems: 'center',
-                 gap: 6,
+                 marginBottom: 8,
                }}
              >
-               <span
+               {/* 학생 이름 */}
+               <div
                  style={{
-                   fontSize: 13,
-                   color: '#6b7280',
-                   minWidth: 64,
-                   flexShrink: 0,
+                   display: 'flex',
+                   alignItems: 'center',
+                   gap: 6,
                  }}
                >
-                 학생 이름
-               </span>
-               <input
-                 className="app-input"
-                 type="text"
-                 placeholder="예: 홍길동"
-                 value={newName}
-                 onChange={e => setNewName(e.target.value)}
-                 style={{
-                   width: 140,
-                 }}
-               />
-             </div>
+                 <span
+                   style={{
+                     fontSize: 13,
+                     color: '#6b7280',
+                     minWidth: 64,
+                     flexShrink: 0,
+                   }}
+                 >
+                   학생 이름
+                 </span>
+                 <input
+                   className="app-input"
+                   type="text"
+                   placeholder="예: 홍길동"
+                   value={newName}
+                   onChange={e => setNewName(e.target.value)}
+                   style={{
+                     width: 140,
+                   }}
+                 />
+               </div>
 
-             {/* 상태 */}
-             <div
-               style={{
-                 display: 'flex',
-                 alignItems: 'center',
-                 gap: 6,
-               }}
-             >
-               <span
+               {/* 상태 */}
+               <div
                  style={{
-                   fontSize: 13,
-                   color: '#6b7280',
-                   minWidth: 40,
-                   flexShrink: 0,
+                   display: 'flex',
+                   alignItems: 'center',
+                   gap: 6,
                  }}
                >
-                 상태
-               </span>
-               <select
-                 className="app-input"
-                 value={newStatus}
-                 onChange={e => setNewStatus(e.target.value)}
+                 <span
+                   style={{
+                     fontSize: 13,
+                     color: '#6b7280',
+                     minWidth: 40,
+                     flexShrink: 0,
+                   }}
+                 >
+                   상태
+                 </span>
+                 <select
+                   className="app-input"
+                   value={newStatus}
+                   onChange={e => setNewStatus(e.target.value)}
+                   style={{
+                     width: 140,
+                     paddingRight: 28, // 드롭다운 화살표 여백
+                   }}
+                 >
+                   {STATUS_OPTIONS.map(opt => (
+                     <option key={opt} value={opt}>
+                       {opt}
+                     </option>
+                   ))}
+                 </select>
+               </div>
+
+               {/* 입학일 */}
+               <div
                  style={{
-                   width: 140,
-                   paddingRight: 28, // 드롭다운 화살표 여백
+                   display: 'flex',
+                   alignItems: 'center',
+                   gap: 6,
                  }}
                >
-                 {STATUS_OPTIONS.map(opt => (
-                   <option key={opt} value={opt}>
-                     {opt}
-                   </option>
-                 ))}
-               </select>
-             </div>
+                 <span
+                   style={{
+                     fontSize: 13,
+                     color: '#6b7280',
+                     minWidth: 48,
+                     flexShrink: 0,
+                   }}
+                 >
+                   입학일
+                 </span>
+                 <input
+                   className="app-input"
+                   type="date"
+                   value={newAdmissionDate}
+                   onChange={e => setNewAdmissionDate(e.target.value)}
+                   style={{
+                     width: 140,
+                     borderRadius: 999,
+                   }}
+                 />
+               </div>
 
-             {/* 입학일 */}
-             <div
-               style={{
-                 display: 'flex',
-                 alignItems: 'center',
-                 gap: 6,
-               }}
-             >
-               <span
+               {/* 생년월일 */}
+               <div
                  style={{
-                   fontSize: 13,
-                   color: '#6b7280',
-                   minWidth: 48,
-                   flexShrink: 0,
+                   display: 'flex',
+                   alignItems: 'center',
+                   gap: 6,
                  }}
                >
-                 입학일
-               </span>
-               <input
-                 className="app-input"
-                 type="date"
-                 value={newAdmissionDate}
-                 onChange={e => setNewAdmissionDate(e.target.value)}
-                 style={{
-                   width: 140,
-                   borderRadius: 999,
-                 }}
-               />
+                 <span
+                   style={{
+                     fontSize: 13,
+                     color: '#6b7280',
+                     minWidth: 60,
+                     flexShrink: 0,
+                   }}
+                 >
+                   생년월일
+                 </span>
+                 <input
+                   className="app-input"
+                   type="date"
+                   value={newBirthDate}
+                   onChange={e => setNewBirthDate(e.target.value)}
+                   style={{
+                     width: 140,
+                     borderRadius: 999,
+                   }}
+                 />
+               </div>
              </div>
 
-             {/* 생년월일 */}
-             <div
-               style={{
-                 display: 'flex',
-                 alignItems: 'center',
-                 gap: 6,
-               }}
-             >
-               <span
+             {/* 2행: 메모 (넓은 textarea) */}
+             <div style={{ marginBottom: 8 }}>
+               <div
                  style={{
                    fontSize: 13,
                    color: '#6b7280',
-                   minWidth: 60,
-                   flexShrink: 0,
+                   marginBottom: 4,
                  }}
                >
-                 생년월일
-               </span>
-               <input
-                 className="app-input"
-                 type="date"
-                 value={newBirthDate}
-                 onChange={e => setNewBirthDate(e.target.value)}
+                 메모(별명/특이사항)
+               </div>
+               <textarea
+                 className="app-textarea"
+                 placeholder="예: 좋아하는 활동, 특이사항 등을 적어주세요."
+                 value={newLogContent}
+                 onChange={e => setNewLogContent(e.target.value)}
+                 rows={4}
                  style={{
-                   width: 140,
-                   borderRadius: 999,
+                   width: '98%',
+                   minWidth: 200,
+                   fontSize: 13,
                  }}
                />
-             </div>
-           </div>
-
-           {/* 2행: 메모 (넓은 textarea) */}
-           <div style={{ marginBottom: 8 }}>
-             <div
-               style={{
-                 fontSize: 13,
-                 color: '#6b7280',
-                 marginBottom: 4,
-               }}
-             >
-               메모(별명/특이사항)
-             </div>
-             <textarea
-               className="app-textarea"
-               placeholder="예: 좋아하는 활동, 특이사항 등을 적어주세요."
-               value={newLogContent}
-               onChange={e => setNewLogContent(e.target.value)}
-               rows={4}
-               style={{
-                 width: '98%',
-                 minWidth: 200,
-                 fontSize: 13,
-               }}
-             />
-            </div>
+              </div>
 
-            {/* 하단: 학생 추가 버튼 (컨테이너 하단 우측) */}
-            <div
-              style={{
-                display: 'flex',
-                justifyContent: 'flex-end',
-                marginTop: 4,
-              }}
-            >
-              <button
-                type="submit"
-                className="btn primary"
-                disabled={creating}
+              {/* 하단: 학생 추가 버튼 (컨테이너 하단 우측) */}
+              <div
                 style={{
-                  padding: '8px 14px',
-                  borderRadius: 999,
-                  border: 'none',
-                  fontSize: 14,
-                  fontWeight: 500,
-                  background: '#2563eb',
-                  color: '#ffffff',
-                  cursor: creating ? 'default' : 'pointer',
-                  opacity: creating ? 0.7 : 1,
+                  display: 'flex',
+                  justifyContent: 'flex-end',
+                  marginTop: 4,
                 }}
               >
-                {creating ? '추가 중...' : '학생 추가'}
-              </button>
-            </div>
-          </form>
-        </div>
+                <button
+                  type="submit"
+                  className="btn primary"
+                  disabled={creating}
+                  style={{
+                    padding: '8px 14px',
+                    borderRadius: 999,
+                    border: 'none',
+                    fontSize: 14,
+                    fontWeight: 500,
+                    background: '#2563eb',
+                    color: '#ffffff',
+                    cursor: creating ? 'default' : 'pointer',
+                    opacity: creating ? 0.7 : 1,
+                  }}
+                >
+                  {creating ? '추가 중...' : '학생 추가'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
 
         {/* ▶ 학생 목록 테이블 */}
         <div
@@ -524,7 +591,7 @@ export default function StudentList() {
                 </th>
                 <th
                   style={{
-                    width: 180,
+                    width: 240,
                     textAlign: 'right',
                     padding: '10px 12px',
                     fontWeight: 500,
@@ -603,41 +670,61 @@ export default function StudentList() {
                           whiteSpace: 'nowrap',
                         }}
                       >
-                        <button
-                          type="button"
-                          className="btn secondary"
-                          onClick={() => openEditModal(student)}
-                          style={{
-                            marginRight: 8,
-                            padding: '6px 10px',
-                            borderRadius: 999,
-                            border: '1px solid #d1d5db',
-                            background: '#ffffff',
-                            fontSize: 13,
-                            cursor: 'pointer',
-                          }}
-                        >
-                          수정
-                        </button>
-                        <button
-                          type="button"
-                          className="btn danger"
-                          onClick={() => handleDelete(student)}
-                          disabled={deletingId === student.id}
-                          style={{
-                            padding: '6px 10px',
-                            borderRadius: 999,
-                            border: 'none',
-                            background: '#ef4444',
-                            color: '#ffffff',
-                            fontSize: 13,
-                            cursor:
-                              deletingId === student.id ? 'default' : 'pointer',
-                            opacity: deletingId === student.id ? 0.7 : 1,
-                          }}
-                        >
-                          {deletingId === student.id ? '삭제 중...' : '삭제'}
-                        </button>
+                        {canManage && (
+                          <>
+                            <button
+                              type="button"
+                              className="btn secondary"
+                              onClick={() => openEditModal(student)}
+                              style={{
+                                marginRight: 8,
+                                padding: '6px 10px',
+                                borderRadius: 999,
+                                border: '1px solid #d1d5db',
+                                background: '#ffffff',
+                                fontSize: 13,
+                                cursor: 'pointer',
+                              }}
+                            >
+                              수정
+                            </button>
+                            <button
+                              type="button"
+                              className="btn secondary"
+                              onClick={() => openMergeModal(student)}
+                              style={{
+                                marginRight: 8,
+                                padding: '6px 10px',
+                                borderRadius: 999,
+                                border: '1px solid #d1d5db',
+                                background: '#ffffff',
+                                fontSize: 13,
+                                cursor: 'pointer',
+                              }}
+                            >
+                              합치기
+                            </button>
+                            <button
+                              type="button"
+                              className="btn danger"
+                              onClick={() => handleDelete(student)}
+                              disabled={deletingId === student.id}
+                              style={{
+                                padding: '6px 10px',
+                                borderRadius: 999,
+                                border: 'none',
+                                background: '#ef4444',
+                                color: '#ffffff',
+                                fontSize: 13,
+                                cursor:
+                                  deletingId === student.id ? 'default' : 'pointer',
+                                opacity: deletingId === student.id ? 0.7 : 1,
+                              }}
+                            >
+                              {deletingId === student.id ? '삭제 중...' : '삭제'}
+                            </button>
+                          </>
+                        )}
                       </td>
                     </tr>
                   )
@@ -648,6 +735,165 @@ export default function StudentList() {
         </div>
       </div>
 
+      {/* 합치기 모달 */}
+      {mergingStudent && (
+        <div
+          className="modal-backdrop"
+          style={{
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(15,23,42,0.35)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 50,
+          }}
+        >
+          <div
+            className="modal"
+            style={{
+              width: '100%',
+              maxWidth: 480,
+              borderRadius: 18,
+              background: '#ffffff',
+              padding: 20,
+              boxShadow:
+                '0 20px 25px -5px rgba(0,0,0,0.1), 0 10px 10px -5px rgba(0,0,0,0.04)',
+            }}
+          >
+            <div
+              style={{
+                marginBottom: 12,
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+              }}
+            >
+              <h2 style={{ fontSize: 16, fontWeight: 600 }}>
+                "{getDisplayName(mergingStudent)}" 합치기
+              </h2>
+              <button
+                type="button"
+                onClick={closeMergeModal}
+                style={{
+                  border: 'none',
+                  background: 'transparent',
+                  fontSize: 18,
+                  cursor: 'pointer',
+                }}
+              >
+                ×
+              </button>
+            </div>
+
+            <label style={{ fontSize: 13 }}>
+              합칠 대상 학생 (이 학생만 남음)
+              <select
+                value={mergeTargetId}
+                onChange={e => handleMergeTargetChange(e.target.value)}
+                style={{
+                  width: '100%',
+                  marginTop: 4,
+                  padding: '8px 10px',
+                  borderRadius: 10,
+                  border: '1px solid #d1d5db',
+                  fontSize: 14,
+                  backgroundColor: '#ffffff',
+                }}
+              >
+                <option value="">학생 선택</option>
+                {students
+                  .filter(s => s.id !== mergingStudent.id)
+                  .map(s => (
+                    <option key={s.id} value={s.id}>
+                      {getDisplayName(s)}
+                    </option>
+                  ))}
+              </select>
+            </label>
+
+            {mergeLoading && (
+              <div className="muted" style={{ marginTop: 10, fontSize: 13 }}>
+                옮겨질 데이터를 확인하는 중입니다...
+              </div>
+            )}
+
+            {mergePreview && (
+              <div
+                style={{
+                  marginTop: 12,
+                  padding: '10px 12px',
+                  borderRadius: 10,
+                  background: '#f9fafb',
+                  fontSize: 13,
+                  lineHeight: 1.6,
+                }}
+              >
+                <div>
+                  "{mergePreview.source.name}" → "{mergePreview.target.name}" 로 옮겨집니다.
+                </div>
+                <ul style={{ margin: '6px 0', paddingLeft: 18 }}>
+                  <li>관찰 기록 {mergePreview.moves.log_entries}건</li>
+                  <li>업로드 {mergePreview.moves.ingest_uploads}건</li>
+                  <li>리포트 {mergePreview.moves.report_runs}건</li>
+                  <li>
+                    "학생:{mergePreview.source.name}" 태그 정리{' '}
+                    {mergePreview.moves.student_tags}건
+                  </li>
+                </ul>
+                <div style={{ color: '#b91c1c' }}>
+                  "{mergePreview.source.name}" 학생은 휴지통으로 옮겨집니다. 휴지통에서 복원해도 옮긴 기록은
+                  되돌아가지 않습니다.
+                </div>
+              </div>
+            )}
+
+            <div
+              style={{
+                display: 'flex',
+                justifyContent: 'flex-end',
+                gap: 8,
+                marginTop: 14,
+              }}
+            >
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={closeMergeModal}
+                style={{
+                  padding: '8px 14px',
+                  borderRadius: 999,
+                  border: '1px solid #d1d5db',
+                  background: '#ffffff',
+                  fontSize: 14,
+                  cursor: 'pointer',
+                }}
+              >
+                취소
+              </button>
+              <button
+                type="button"
+                className="btn danger"
+                onClick={handleMerge}
+                disabled={!mergePreview || merging}
+                style={{
+                  padding: '8px 14px',
+                  borderRadius: 999,
+                  border: 'none',
+                  background: '#ef4444',
+                  color: '#ffffff',
+                  fontSize: 14,
+                  cursor: !mergePreview || merging ? 'default' : 'pointer',
+                  opacity: !mergePreview || merging ? 0.7 : 1,
+                }}
+              >
+                {merging ? '합치는 중...' : '합치기'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* 수정 모달 */}
       {editingStudent && (
         <div
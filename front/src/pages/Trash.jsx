@@ -0,0 +1,196 @@
+// src/pages/Trash.jsx
+// 휴지통: 삭제된 학생/기록/업로드/리포트를 보고 복원 (관리자, trash.manage)
+// - 보관 기간(서버 TRASH_RETENTION_DAYS)이 지나면 서버가 완전히 삭제
+import React, { useEffect, useState } from 'react'
+import Layout from '../components/Layout'
+import { apiFetch } from '../lib/api'
+
+const TYPE_LABELS = {
+  students: '학생',
+  log_entries: '관찰 기록',
+  uploads: '업로드',
+  reports: '리포트',
+}
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return String(value)
+  return d.toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+export default function Trash() {
+  const [items, setItems] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [type, setType] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [restoringKey, setRestoringKey] = useState(null)
+
+  useEffect(() => {
+    fetchTrash(type)
+  }, [type])
+
+  async function fetchTrash(nextType) {
+    try {
+      setLoading(true)
+      setError('')
+      const res = await apiFetch(nextType ? `/api/trash?type=${nextType}` : '/api/trash')
+      setItems(Array.isArray(res?.items) ? res.items : [])
+      setRetentionDays(res?.retention_days ?? null)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '휴지통을 불러오는 중 오류가 발생했습니다.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleRestore(item) {
+    const key = `${item.type}:${item.id}`
+    try {
+      setRestoringKey(key)
+      setError('')
+      await apiFetch(`/api/trash/${item.type}/${item.id}/restore`, { method: 'POST' })
+      // 학생/업로드를 복원하면 함께 지워진 기록도 돌아오므로 목록을 다시 불러옴
+      await fetchTrash(type)
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '복원 중 오류가 발생했습니다.')
+    } finally {
+      setRestoringKey(null)
+    }
+  }
+
+  return (
+    <Layout title="휴지통">
+      <div className="page-container" style={{ padding: 16 }}>
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: 16,
+          }}
+        >
+          <div>
+            <h1 style={{ fontSize: 20, fontWeight: 600, marginBottom: 4 }}>휴지통</h1>
+            <p className="muted" style={{ fontSize: 13 }}>
+              삭제된 항목은 {retentionDays ?? '-'}일 동안 보관된 뒤 완전히 삭제됩니다.
+            </p>
+          </div>
+          <select
+            className="app-input"
+            value={type}
+            onChange={e => setType(e.target.value)}
+            style={{ width: 140 }}
+          >
+            <option value="">전체</option>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 12,
+              padding: '8px 12px',
+              borderRadius: 10,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        <div
+          className="card"
+          style={{
+            borderRadius: 16,
+            border: '1px solid #e5e7eb',
+            background: '#ffffff',
+            overflow: 'hidden',
+          }}
+        >
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+            <thead style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+              <tr>
+                {['종류', '항목', '삭제일', '완전 삭제 예정', ''].map(label => (
+                  <th
+                    key={label}
+                    style={{
+                      textAlign: 'left',
+                      padding: '10px 12px',
+                      fontWeight: 500,
+                      fontSize: 13,
+                      color: '#6b7280',
+                    }}
+                  >
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={5} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    불러오는 중입니다...
+                  </td>
+                </tr>
+              ) : items.length === 0 ? (
+                <tr>
+                  <td colSpan={5} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    휴지통이 비어 있습니다.
+                  </td>
+                </tr>
+              ) : (
+                items.map(item => {
+                  const key = `${item.type}:${item.id}`
+                  return (
+                    <tr key={key} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                      <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                        {TYPE_LABELS[item.type] || item.type}
+                      </td>
+                      <td style={{ padding: '10px 12px' }}>{item.title || '(제목 없음)'}</td>
+                      <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                        {formatDateTime(item.deleted_at)}
+                      </td>
+                      <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                        {formatDateTime(item.purge_at)}
+                      </td>
+                      <td style={{ padding: '10px 12px', textAlign: 'right' }}>
+                        <button
+                          type="button"
+                          className="btn secondary"
+                          onClick={() => handleRestore(item)}
+                          disabled={restoringKey === key}
+                          style={{
+                            padding: '6px 10px',
+                            borderRadius: 999,
+                            border: '1px solid #d1d5db',
+                            background: '#ffffff',
+                            fontSize: 13,
+                            cursor: restoringKey === key ? 'default' : 'pointer',
+                          }}
+                        >
+                          {restoringKey === key ? '복원 중...' : '복원'}
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </Layout>
+  )
+}
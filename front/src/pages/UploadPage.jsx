@@ -1,14 +1,15 @@
 // src/pages/UploadPage.jsx
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
 import Layout from '../components/Layout'
-import { apiFetch, extractRecordsWithGemini } from '../lib/api.js'
+import { apiFetch, extractRecordsWithGemini, subscribeUploadEvents } from '../lib/api.js'
 
 // 분리된 컴포넌트 및 유틸리티 임포트
 import { 
   STEP_DEFS, computeOverallFromSteps, normalizeUploads, normalizeAnalysis, 
   hydrateUpload, formatDate, splitDuration, buildActivityTypeState, 
   serializeEmotionTags, createDetailState, INITIAL_ACTIVITY_DETAIL_MODAL, 
-  getActiveStudentState, ACTIVITY_TYPE_PRESETS 
+  getActiveStudentState, ACTIVITY_TYPE_PRESETS, STATUS_LABELS, ACTIVE_STATUSES,
+  analysisFromRecord, stepsFromProgress, summarizeBatches, buildLogEntries
 } from '../utils/uploadHelpers'
 
 import DetailAnalysisModal from '../components/upload/DetailAnalysisModal'
@@ -16,6 +17,15 @@ import ActivityTypeDetailModal from '../components/upload/ActivityTypeDetailModa
 
 let uploadsCache = null
 
+// 실시간 이벤트(SSE) 연결이 끊겨 있는 동안, 처리 중인 업로드가 있으면 목록을 다시 불러오는 간격
+const UPLOAD_POLL_INTERVAL_MS = 3000
+
+// ZIP 일괄 업로드는 /uploads/zip 으로 (서버가 ZIP 만 더 큰 크기 제한을 둠)
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed']
+function isZipFile(file) {
+  return ZIP_MIME_TYPES.includes(file.type) || /\.zip$/i.test(file.name || '')
+}
+
 export default function UploadPage() {
   const fileRef = useRef(null)
 
@@ -35,17 +45,23 @@ export default function UploadPage() {
   const [studentPickerValue, setStudentPickerValue] = useState('')
   const [aiLoading, setAiLoading] = useState(false)
   const [aiError, setAiError] = useState('')
+  const [onlyMine, setOnlyMine] = useState(false)
+  const [liveConnected, setLiveConnected] = useState(false)
+  const [extractionModels, setExtractionModels] = useState([])
+  const [retryModelById, setRetryModelById] = useState({})
+  const [retryingId, setRetryingId] = useState(null)
 
   // -------------------- 로직 함수들 (API & State 처리) --------------------
-  function updateUploads(updater) {
+  // 실시간 이벤트/주기 갱신 effect 가 의존하는 함수는 useCallback 으로 고정
+  const updateUploads = useCallback(updater => {
     setUploads(prev => {
       const next = typeof updater === 'function' ? updater(prev) : updater
       uploadsCache = next
       return next
     })
-  }
+  }, [])
 
-  function updateUploadSteps(uploadId, stepUpdater) {
+  const updateUploadSteps = useCallback((uploadId, stepUpdater) => {
     updateUploads(prev => prev.map(item => {
       if (item.id !== uploadId) return item
       const prevSteps = item.steps || {}
@@ -53,18 +69,22 @@ export default function UploadPage() {
       const overall = computeOverallFromSteps(nextSteps, item.overall_progress)
       return { ...item, steps: nextSteps, overall_progress: overall }
     }))
-  }
+  }, [updateUploads])
 
-  async function fetchUploads() {
-    setLoading(true); setError('')
+  const fetchUploads = useCallback(async (mine = onlyMine, { silent = false } = {}) => {
+    if (!silent) { setLoading(true); setError('') }
     try {
-      const data = await apiFetch('/uploads')
+      // mine=true 이면 내가 올린 업로드만 (uploaded_by=me)
+      const data = await apiFetch(mine ? '/uploads?uploaded_by=me' : '/uploads')
       const items = normalizeUploads(data).map(hydrateUpload)
       items.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
       updateUploads(items)
-    } catch (e) { console.error(e); setError('업로드 목록 로드 실패'); updateUploads([]) } 
-    finally { setLoading(false) }
-  }
+    } catch (e) {
+      console.error(e)
+      if (!silent) { setError('업로드 목록 로드 실패'); updateUploads([]) }
+    }
+    finally { if (!silent) setLoading(false) }
+  }, [onlyMine, updateUploads])
 
   useEffect(() => {
     if (!uploadsCache) fetchUploads()
@@ -74,24 +94,96 @@ export default function UploadPage() {
        const rows = Array.isArray(d) ? d : (d?.items || []);
        setEmotionKeywords(rows.map(r=>({id:r.id||r.name, label:r.name||r.label})).filter(i=>i.label))
     }).catch(console.error);
+    apiFetch('/ai/extraction-models').then(d => {
+       setExtractionModels(Array.isArray(d?.models) ? d.models : [])
+    }).catch(console.error);
     apiFetch('/api/students?limit=500').then(d => {
        const rows = Array.isArray(d?.items)?d.items:(Array.isArray(d)?d:[]);
        setStudentsMaster(rows.map(s=>({id:String(s.id), name:s.name})).filter(s=>s.id))
     }).catch(console.error);
   }, [])
 
+  // 서버 작업 큐의 진행 상황을 GET /uploads/events 로 실시간 반영
+  const applyUploadEvent = useCallback(({ type, upload }) => {
+    if (!upload?.id) return
+    if (type === 'deleted') {
+      updateUploads(prev => prev.filter(item => item.id !== upload.id))
+      return
+    }
+    if (type === 'created') {
+      updateUploads(prev => prev.some(item => item.id === upload.id) ? prev : [hydrateUpload(upload), ...prev])
+      return
+    }
+    updateUploads(prev => prev.map(item => item.id === upload.id ? { ...item, ...upload } : item))
+    if (typeof upload.progress === 'number') {
+      updateUploadSteps(upload.id, stepsFromProgress(upload.progress))
+    }
+  }, [updateUploads, updateUploadSteps])
+
+  useEffect(() => {
+    const unsubscribe = subscribeUploadEvents(
+      { onEvent: applyUploadEvent, onStatus: setLiveConnected },
+      { uploadedBy: onlyMine ? 'me' : null },
+    )
+    return () => { unsubscribe(); setLiveConnected(false) }
+  }, [onlyMine, applyUploadEvent])
+
+  // 실시간 연결이 안 될 때만, 처리 중인 업로드가 끝날 때까지 목록을 주기적으로 갱신
+  const hasActiveUploads = uploads.some(u => ACTIVE_STATUSES.includes(u.status))
+  useEffect(() => {
+    if (!hasActiveUploads || liveConnected) return undefined
+    const timer = setInterval(() => fetchUploads(onlyMine, { silent: true }), UPLOAD_POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [hasActiveUploads, liveConnected, onlyMine, fetchUploads])
+
   async function handleFiles(files) {
     const list = Array.from(files || [])
     if (!list.length || uploading) return
     setUploading(true)
+    const duplicates = []
+    const failures = []
+    const batches = []
     try {
       for (const file of list) {
         const form = new FormData(); form.append('file', file)
-        await apiFetch('/uploads', { method: 'POST', body: form, _formName: file.name })
+        try {
+          // ZIP 은 따로 (/uploads/zip): 서버가 안의 문서마다 업로드를 만들고 batch 요약을 돌려줌
+          const res = await apiFetch(isZipFile(file) ? '/uploads/zip' : '/uploads', { method: 'POST', body: form, _formName: file.name })
+          if (res?.batch) {
+            const b = res.batch
+            batches.push(`${b.file_name}: ${b.created}개 추가, 중복 ${b.duplicates}개, 건너뜀 ${b.skipped.length}개${b.error ? ` (중단: ${b.error})` : ''}`)
+            b.skipped.forEach(item => failures.push(`${b.file_name} / ${item.name}: ${item.reason}`))
+          }
+          // 같은 내용의 파일이 이미 있으면 서버가 기존 업로드를 돌려줌 (새 행 없음)
+          if (res?.duplicate) duplicates.push(`${file.name} → ${res.file_name}`)
+        } catch (e) {
+          failures.push(`${file.name}: ${e?.body?.message || e.message || '업로드 실패'}`)
+        }
       }
       await fetchUploads()
-    } catch (e) { setError('업로드 실패') } 
-    finally { setUploading(false) }
+    } finally {
+      setUploading(false)
+    }
+    if (batches.length) alert(`ZIP 일괄 업로드\n${batches.join('\n')}`)
+    if (duplicates.length) alert(`이미 업로드된 파일이라 기존 업로드에 연결했습니다.\n${duplicates.join('\n')}`)
+    if (failures.length) { setError('업로드 실패'); alert(`업로드하지 못한 파일이 있습니다.\n${failures.join('\n')}`) }
+  }
+
+  // 실패한 업로드를 저장된 원본으로 다시 처리 (POST /uploads/:id/reprocess)
+  async function handleRetryUpload(upload) {
+    if (retryingId) return
+    setRetryingId(upload.id)
+    try {
+      // '' 은 기본 모델로 되돌리기, 선택 안 했으면(undefined) 지난번 모델 유지
+      const model = retryModelById[upload.id]
+      const updated = await apiFetch(`/uploads/${upload.id}/reprocess`, { method: 'POST', body: { model } })
+      if (updated) applyUploadEvent({ type: 'updated', upload: updated })
+    } catch (e) {
+      console.error(e)
+      alert(e?.body?.message || '재처리 요청 중 오류가 발생했습니다.')
+    } finally {
+      setRetryingId(null)
+    }
   }
 
   // --- 상세 모달 & 분석 로직 ---
@@ -104,8 +196,13 @@ export default function UploadPage() {
       
       // 학생 및 분석 데이터 매핑 (기존 로직 축약)
       const logs = uploadRes?.log_entries || []
+      // 아직 저장 전이면 작업 큐가 만들어 둔 AI 추출 결과(ai_records)로 미리 채움
+      const aiRecords = !logs.length && Array.isArray(uploadRes?.ai_records) ? uploadRes.ai_records : []
       const fromEntries = logs.map((e,i)=>({id:String(e.student_id||`s-${i}`), name:e.student_name||`학생${i+1}`}))
-      const students = fromEntries.length ? fromEntries : [{id:String(hydrated.student_id||'s1'), name:hydrated.student_name||'학생'}]
+      const fromRecords = detailFromRecords(aiRecords)
+      const students = fromEntries.length ? fromEntries
+        : fromRecords.students.length ? fromRecords.students
+        : [{id:String(hydrated.student_id||'s1'), name:hydrated.student_name||'학생'}]
       
       // 중복제거
       const uniqueStudents = Array.from(new Map(students.map(s=>[s.id,s])).values())
@@ -122,6 +219,8 @@ export default function UploadPage() {
             })
             analysisByStudent[sId] = { analysis, activityTypes: typeState }
          })
+      } else if (aiRecords.length) {
+         Object.assign(analysisByStudent, fromRecords.analysisByStudent)
       } else {
          uniqueStudents.forEach(s => {
             analysisByStudent[s.id] = { analysis: {...hydrated.analysis}, activityTypes: buildActivityTypeState() }
@@ -135,6 +234,20 @@ export default function UploadPage() {
     } catch(e) { setDetail(createDetailState({open:true, loading:false, upload, error:'상세 로드 실패'})) }
   }
 
+  // AI 추출 records → 상세 모달의 학생 목록과 학생별 분석 (이름이 같은 등록 학생이 있으면 그 학생으로)
+  function detailFromRecords(records) {
+    const fromRecords = records.map((r,i)=>{
+       const matched = studentsMaster.find(s=>s.name===r.student_name)
+       return { id: matched ? matched.id : `ai-${i}`, name: r.student_name || `학생${i+1}` }
+    })
+    const analysisByStudent = {}
+    records.forEach((record, i) => {
+       analysisByStudent[fromRecords[i].id] = { analysis: analysisFromRecord(record), activityTypes: buildActivityTypeState() }
+    })
+    const students = Array.from(new Map(fromRecords.map(s=>[s.id,s])).values())
+    return { students, analysisByStudent }
+  }
+
   // AI 분석 실행
   async function handleRunAiExtraction() {
     if (!detail.upload || aiLoading) return
@@ -145,18 +258,77 @@ export default function UploadPage() {
       const res = await extractRecordsWithGemini({ raw_text: text, file_name: detail.upload.file_name })
       const records = res?.parsed?.records || res?.records || []
       if(!records.length) throw new Error('기록 없음')
-      
-      // 결과 반영 로직
-      setDetail(prev => {
-         // (여기서 학생 매칭 및 분석 데이터 업데이트 로직은 기존과 동일하게 처리)
-         // ... 너무 길어서 생략하지만 실제 파일엔 기존 로직 그대로 유지해야 함 ...
-         return { ...prev } 
-      })
-      alert('분석 완료')
+
+      // 새 분석 결과로 학생/분석을 바꾸고, 저장할 때 이 분석에 쓴 프롬프트(aiPrompt)를 같이 보냄
+      const { students, analysisByStudent } = detailFromRecords(records)
+      setDetail(prev => ({
+        ...prev, students, activeStudentId: students[0].id, analysisByStudent,
+        aiPrompt: res.prompt || null, saved: false, studentMatches: [], studentResolutions: {},
+      }))
+      // 긴 문서의 일부 조각만 실패하면 빠진 구간을 알려 줌
+      alert(res.warning ? `분석 완료 (일부 실패)\n${res.warning}` : '분석 완료')
     } catch(e) { setAiError('AI 분석 실패') } 
     finally { setAiLoading(false) }
   }
 
+  // 원본 파일 다운로드 (GET /uploads/:id/file)
+  async function handleDownloadOriginal() {
+    if (!detail.upload || downloading) return
+    setDownloading(true)
+    try {
+      const blob = await apiFetch(`/uploads/${detail.upload.id}/file`, { _responseType: 'blob' })
+      const downloadUrl = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = downloadUrl
+      a.download = detail.upload.file_name || 'download'
+      document.body.appendChild(a)
+      a.click()
+      a.remove()
+      URL.revokeObjectURL(downloadUrl)
+    } catch (e) {
+      console.error(e)
+      alert(e.status === 404 ? '저장된 원본 파일이 없습니다.' : '원본 다운로드 중 오류가 발생했습니다.')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  // 데이터베이스 저장 (POST /uploads/:id/log)
+  // - 확인이 필요한 학생 이름이 있으면 서버가 아무것도 저장하지 않고 409 로 후보를 돌려줌
+  //   → 모달에서 교사가 연결/합치기/새 학생을 고른 뒤 studentResolutions 와 함께 다시 저장
+  async function handleSaveLogEntry(studentResolutions = detail.studentResolutions) {
+    if (!detail.upload || detail.saving) return
+    setDetail(p => ({ ...p, saving: true, error: '' }))
+    try {
+      await apiFetch(`/uploads/${detail.upload.id}/log`, {
+        method: 'POST',
+        body: {
+          file_name: detail.upload.file_name,
+          raw_text: detail.editedText,
+          log_entries: buildLogEntries(detail),
+          student_resolutions: studentResolutions,
+          prompt: detail.aiPrompt,
+        },
+      })
+      setDetail(p => ({ ...p, saving: false, saved: true, studentMatches: [], studentResolutions: {} }))
+    } catch (e) {
+      console.error(e)
+      if (e.code === 'UNRESOLVED_STUDENTS') {
+        const matches = e.body?.student_matches || []
+        // 가장 점수가 높은 후보를 미리 골라 두고, 교사가 확인/변경
+        const suggested = Object.fromEntries(
+          matches.filter(m => m.candidates?.length).map(m => [m.name, { student_id: m.candidates[0].id }]),
+        )
+        setDetail(p => ({
+          ...p, saving: false, studentMatches: matches,
+          studentResolutions: { ...suggested, ...p.studentResolutions },
+        }))
+        return
+      }
+      setDetail(p => ({ ...p, saving: false, error: e.message || '저장 중 오류가 발생했습니다.' }))
+    }
+  }
+
   // 저장, 다운로드 등 기타 핸들러들은 props로 전달
   // ... (기존 핸들러 함수들 모두 유지) ...
 
@@ -164,6 +336,7 @@ export default function UploadPage() {
   // 5. 렌더링 (View)
   // ==============================================================================
   const safeUploads = Array.isArray(uploads) ? uploads : []
+  const batchSummaries = summarizeBatches(safeUploads)
 
   return (
     <Layout>
@@ -186,21 +359,74 @@ export default function UploadPage() {
              <div style={{textAlign:'center'}}>
                <div className="upload-icon-large">📂</div>
                <div className="upload-guide-text">파일 선택 / 드래그</div>
-               <div className="upload-sub-text">PDF, TXT 지원</div>
+               <div className="upload-sub-text">PDF, HWP, HWPX, DOCX, TXT, 이미지, ZIP(일괄) 지원</div>
              </div>
           )}
         </div>
 
         {/* 오른쪽: 목록 */}
         <div className="upload-right-panel">
-          <h3 className="section-title" style={{marginTop:0}}>업로드 현황</h3>
+          <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+            <h3 className="section-title" style={{marginTop:0}}>업로드 현황</h3>
+            <label className="muted" style={{fontSize:13, display:'flex', alignItems:'center', gap:4}}>
+              <input type="checkbox" checked={onlyMine} onChange={e=>{ setOnlyMine(e.target.checked); fetchUploads(e.target.checked) }} />
+              내 업로드만
+            </label>
+          </div>
+          {batchSummaries.length > 0 && (
+            <div className="upload-card-steps" style={{marginTop:0, marginBottom:10}}>
+              {batchSummaries.map(b => (
+                <div key={b.id} className="step-row">
+                  <span className="step-label" title={b.name}>📦 {b.name}</span>
+                  <div className="step-progress-wrap">
+                    <div className="progress step-progress"><i style={{width:`${b.progress}%`}} /></div>
+                    <span className="step-percent">
+                      {b.done}/{b.total} 완료{b.failed > 0 && ` · 실패 ${b.failed}`}{b.active > 0 && ` · 처리 중 ${b.active}`}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
           <div style={{flex:1, overflowY:'auto'}}>
              {safeUploads.map(u => (
                <div key={u.id} className="file-item" onClick={()=>openDetail(u)}>
                  <div className="file-icon-box">📄</div>
                  <div className="file-info">
                    <div className="file-name">{u.file_name}</div>
-                   <div className="file-meta">{formatDate(u.created_at)} • {u.status}</div>
+                   <div className="file-meta">{formatDate(u.created_at)} • {STATUS_LABELS[u.status] || u.status}{u.text_extractor && ` • ${u.text_extractor}`}</div>
+                   {u.status !== 'success' && (
+                     <div className="upload-card-steps">
+                       {STEP_DEFS.map(step => (
+                         <div key={step.key} className="step-row">
+                           <span className="step-label">{step.label}</span>
+                           <div className="step-progress-wrap">
+                             <div className="progress step-progress"><i style={{width:`${u.steps?.[step.key] || 0}%`}} /></div>
+                             <span className="step-percent">{u.steps?.[step.key] || 0}%</span>
+                           </div>
+                         </div>
+                       ))}
+                     </div>
+                   )}
+                   {u.error && <div className="error" style={{fontSize:12, marginTop:4}}>{u.error}</div>}
+                   {(u.status === 'failed' || (u.status === 'needs_review' && u.error)) && (
+                     <div style={{display:'flex', alignItems:'center', gap:6, marginTop:6}} onClick={e=>e.stopPropagation()}>
+                       {extractionModels.length > 0 && (
+                         <select
+                           value={retryModelById[u.id] ?? u.extraction_model ?? ''}
+                           onChange={e=>setRetryModelById(prev=>({...prev, [u.id]: e.target.value}))}
+                           style={{fontSize:12}}
+                         >
+                           <option value="">기본 모델</option>
+                           {extractionModels.map(m => <option key={m} value={m}>{m}</option>)}
+                         </select>
+                       )}
+                       <button type="button" className="btn secondary" style={{fontSize:12, padding:'2px 10px'}} disabled={retryingId === u.id} onClick={()=>handleRetryUpload(u)}>
+                         {retryingId === u.id ? '요청 중...' : '재시도'}
+                       </button>
+                       {u.attempts > 0 && <span className="muted" style={{fontSize:12}}>시도 {u.attempts}회</span>}
+                     </div>
+                   )}
                  </div>
                </div>
              ))}
@@ -213,8 +439,12 @@ export default function UploadPage() {
         detail={detail} 
         setDetail={setDetail}
         aiLoading={aiLoading}
+        downloading={downloading}
+        handleDownloadOriginal={handleDownloadOriginal}
         // ... 필요한 모든 props 전달
         handleRunAiExtraction={handleRunAiExtraction}
+        handleSaveLogEntry={() => handleSaveLogEntry()}
+        studentsMaster={studentsMaster}
         closeDetail={() => setDetail(createDetailState())}
         // ... (나머지 props)
       />
@@ -0,0 +1,182 @@
+// src/pages/Users.jsx
+// 사용자 관리: 가입한 사용자의 역할(꿈뜰 활동자/교사/관리자)을 바꿈 (관리자, users.manage)
+// - 직접 가입하면 항상 꿈뜰 활동자(observer), 교사 권한은 여기서 부여
+// - 바뀐 역할은 그 사용자가 다시 로그인하거나 토큰이 갱신될 때 반영됨
+import React, { useEffect, useState } from 'react'
+import Layout from '../components/Layout'
+import { apiFetch } from '../lib/api'
+
+const ROLE_LABELS = {
+  observer: '꿈뜰 활동자',
+  teacher: '교사',
+  admin: '관리자',
+}
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const d = new Date(value)
+  if (Number.isNaN(d.getTime())) return String(value)
+  return d.toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+function currentUserId() {
+  try {
+    return JSON.parse(localStorage.getItem('user') || 'null')?.id || null
+  } catch {
+    return null
+  }
+}
+
+export default function Users() {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [savingId, setSavingId] = useState(null)
+  const myId = currentUserId()
+
+  useEffect(() => {
+    fetchUsers()
+  }, [])
+
+  async function fetchUsers() {
+    try {
+      setLoading(true)
+      setError('')
+      const res = await apiFetch('/api/users')
+      setItems(Array.isArray(res?.items) ? res.items : [])
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '사용자 목록을 불러오는 중 오류가 발생했습니다.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleRoleChange(user, role) {
+    if (role === user.role) return
+    if (
+      !window.confirm(
+        `${user.display_name || user.email} 님의 역할을 '${ROLE_LABELS[role]}'(으)로 바꿀까요?`,
+      )
+    ) {
+      return
+    }
+    try {
+      setSavingId(user.id)
+      setError('')
+      const updated = await apiFetch(`/api/users/${user.id}/role`, {
+        method: 'PATCH',
+        body: { role },
+      })
+      setItems(prev => prev.map(item => (item.id === user.id ? { ...item, ...updated } : item)))
+    } catch (e) {
+      console.error(e)
+      setError(e.message || '역할을 바꾸는 중 오류가 발생했습니다.')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  return (
+    <Layout title="사용자 관리">
+      <div className="page-container" style={{ padding: 16 }}>
+        <div style={{ marginBottom: 16 }}>
+          <h1 style={{ fontSize: 20, fontWeight: 600, marginBottom: 4 }}>사용자 관리</h1>
+          <p className="muted" style={{ fontSize: 13 }}>
+            새로 가입한 사용자는 꿈뜰 활동자입니다. 교사 권한은 여기서 부여하며, 다시 로그인하면
+            반영됩니다.
+          </p>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 12,
+              padding: '8px 12px',
+              borderRadius: 10,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        <div
+          className="card"
+          style={{
+            borderRadius: 16,
+            border: '1px solid #e5e7eb',
+            background: '#ffffff',
+            overflow: 'hidden',
+          }}
+        >
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+            <thead style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+              <tr>
+                {['이름', '이메일', '가입일', '역할'].map(label => (
+                  <th
+                    key={label}
+                    style={{
+                      textAlign: 'left',
+                      padding: '10px 12px',
+                      fontWeight: 500,
+                      fontSize: 13,
+                      color: '#6b7280',
+                    }}
+                  >
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={4} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    불러오는 중입니다...
+                  </td>
+                </tr>
+              ) : items.length === 0 ? (
+                <tr>
+                  <td colSpan={4} style={{ padding: '14px 12px', fontSize: 13, color: '#6b7280' }}>
+                    가입한 사용자가 없습니다.
+                  </td>
+                </tr>
+              ) : (
+                items.map(user => (
+                  <tr key={user.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                    <td style={{ padding: '10px 12px' }}>{user.display_name || '-'}</td>
+                    <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                      {user.email}
+                    </td>
+                    <td style={{ padding: '10px 12px', fontSize: 13, color: '#4b5563' }}>
+                      {formatDateTime(user.created_at)}
+                    </td>
+                    <td style={{ padding: '10px 12px' }}>
+                      <select
+                        className="app-input"
+                        value={user.role}
+                        onChange={e => handleRoleChange(user, e.target.value)}
+                        disabled={user.id === myId || savingId === user.id}
+                        title={user.id === myId ? '자기 자신의 역할은 바꿀 수 없습니다.' : undefined}
+                        style={{ width: 140 }}
+                      >
+                        {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </Layout>
+  )
+}
@@ -7,6 +7,19 @@ export const STEP_DEFS = [
   { key: 'save', label: '데이터베이스 저장' },
 ]
 
+// 서버 작업 큐(ingest_uploads.status) 상태 라벨
+export const STATUS_LABELS = {
+  queued: '대기 중',
+  extracting: '텍스트 추출 중',
+  analyzing: 'AI 분석 중',
+  needs_review: '검토 필요',
+  success: '저장 완료',
+  failed: '실패',
+}
+
+// 아직 서버에서 처리 중인 상태 (목록 자동 새로고침 대상)
+export const ACTIVE_STATUSES = ['queued', 'extracting', 'analyzing']
+
 export const ACTIVITY_TYPE_PRESETS = {
   harvest: { label: '수확', icon: '🍅', placeholder: '예: 토마토 수확, 감자 캐기' },
   sowing: { label: '파종', icon: '🌱', placeholder: '예: 씨앗 뿌리기, 모종 심기' },
@@ -28,6 +41,65 @@ export function computeOverallFromSteps(steps, fallbackProgress) {
   return Math.round(sum / keys.length)
 }
 
+// 서버 progress(0~100) → STEP_DEFS 단계별 진행률
+// (extract: 0~33, ai: 33~66, save: 66~100 구간을 각각 0~100 으로 환산)
+const STEP_PROGRESS_BOUNDS = [0, 33, 66, 100]
+
+export function stepsFromProgress(progress) {
+  const value = typeof progress === 'number' ? progress : 0
+  const steps = {}
+  STEP_DEFS.forEach((step, i) => {
+    const start = STEP_PROGRESS_BOUNDS[i]
+    const end = STEP_PROGRESS_BOUNDS[i + 1]
+    const ratio = (value - start) / (end - start)
+    steps[step.key] = Math.round(Math.min(1, Math.max(0, ratio)) * 100)
+  })
+  return steps
+}
+
+// ZIP 일괄 업로드(batch_id)별 진행 요약
+// → [{ id, name, total, done, failed, active, progress }] (최근 업로드 순)
+export function summarizeBatches(uploads) {
+  const byId = new Map()
+  ;(uploads || []).forEach(u => {
+    if (!u.batch_id) return
+    if (!byId.has(u.batch_id)) {
+      byId.set(u.batch_id, { id: u.batch_id, name: u.batch_name || '일괄 업로드', items: [] })
+    }
+    byId.get(u.batch_id).items.push(u)
+  })
+
+  return [...byId.values()].map(({ items, ...batch }) => {
+    const count = statuses => items.filter(u => statuses.includes(u.status)).length
+    const progressSum = items.reduce((sum, u) => sum + (u.overall_progress || 0), 0)
+    return {
+      ...batch,
+      total: items.length,
+      done: count(['needs_review', 'success']),
+      failed: count(['failed']),
+      active: count(ACTIVE_STATUSES),
+      progress: items.length ? Math.round(progressSum / items.length) : 0,
+    }
+  })
+}
+
+// 로컬 OCR 줄 신뢰도(0~100)가 이 값보다 낮으면 검토 대상으로 표시
+export const LOW_OCR_CONFIDENCE = 70
+
+// ingest_uploads.ocr_pages → 신뢰도 낮은 줄 목록 [{ page, text, confidence }]
+export function lowConfidenceLines(ocrPages, threshold = LOW_OCR_CONFIDENCE) {
+  if (!Array.isArray(ocrPages)) return []
+  const result = []
+  ocrPages.forEach(page => {
+    ;(page?.lines || []).forEach(line => {
+      if (typeof line?.confidence === 'number' && line.confidence < threshold && line.text) {
+        result.push({ page: page.page, text: line.text, confidence: line.confidence })
+      }
+    })
+  })
+  return result
+}
+
 export function normalizeUploads(data) {
   if (Array.isArray(data)) return data
   if (data && Array.isArray(data.items)) return data.items
@@ -70,6 +142,23 @@ export function normalizeAnalysis(raw) {
   }
 }
 
+// AI 추출 결과(records[] 한 건, PDF_TXT_EXTRACTION_PROMPT 스키마) → normalizeAnalysis 형태
+export function analysisFromRecord(record = {}) {
+  const emotions = Array.isArray(record.emotions) ? record.emotions : []
+  return normalizeAnalysis({
+    date: record.date,
+    activity_name: record.activity_title,
+    activity_type: record.activity_type,
+    level: record.ability_analysis?.level,
+    ability: record.ability_analysis?.main_abilities,
+    note: record.teacher_comment,
+    emotion_tags: emotions.map(e => e?.label),
+    emotionCause: emotions.map(e => e?.reason).filter(Boolean).join(' / '),
+    observedBehaviors: (record.behavior_tags || []).join(', '),
+    raw_text: record.raw_activity_text,
+  })
+}
+
 export function hydrateUpload(raw) {
   const id = raw.id || raw.upload_id || raw.uuid || String(raw.file_name || raw.filename || raw.name || Math.random())
   const fileName = raw.file_name || raw.filename || '이름 없는 파일'
@@ -78,13 +167,8 @@ export function hydrateUpload(raw) {
   const status = raw.status || 'queued'
   const progress = typeof raw.progress === 'number' ? raw.progress : raw.overall_progress
 
-  let steps = raw.steps
-  if (!steps) {
-    const base = typeof progress === 'number' ? progress : 0
-    steps = { upload: base, extract: 100, ocr: base, sentiment: base }
-  }
-
-  const overall = typeof progress === 'number' ? progress : Math.round((steps.upload + steps.extract + steps.ocr + steps.sentiment) / 4)
+  const steps = raw.steps || stepsFromProgress(progress)
+  const overall = typeof progress === 'number' ? progress : computeOverallFromSteps(steps, 0)
   const analysis = normalizeAnalysis(raw)
 
   return {
@@ -153,10 +237,44 @@ export function serializeEmotionTags(tags) {
 export function createDetailState(overrides = {}) {
   return {
     open: false, loading: false, upload: null, error: '', saving: false, saved: false,
-    editedText: '', students: [], activeStudentId: null, analysisByStudent: {}, ...overrides,
+    editedText: '', students: [], activeStudentId: null, analysisByStudent: {},
+    studentMatches: [], studentResolutions: {}, aiPrompt: null, ...overrides,
   }
 }
 
+// 상세 모달 편집 내용 → POST /uploads/:id/log 의 log_entries
+// - log_content 는 학생마다 그 학생 기록의 원문(rawTextCleaned) (문서 전체에는 다른 학생 이야기도 있음)
+//   학생이 한 명뿐이고 원문이 따로 없을 때만 문서 전체(editedText)
+export function buildLogEntries(detail) {
+  const students = detail.students || []
+  return students.map(stu => {
+    const { analysis: a = {}, activityTypes = {} } = detail.analysisByStudent?.[stu.id] || {}
+    const emotionTags = serializeEmotionTags(a.emotionTags)
+    return {
+      student_id: stu.id,
+      student_name: stu.name,
+      log_date: a.date ? formatDate(a.date) : null,
+      emotion_tag: emotionTags.join(', ') || null,
+      activity_tags: Object.values(activityTypes).filter(t => t.selected).map(t => t.label),
+      log_content: a.rawTextCleaned || (students.length === 1 ? detail.editedText : '') || null,
+      related_metrics: {
+        activityName: a.activityName, durationMinutes: a.durationMinutes, note: a.note,
+        level: a.level, ability: a.ability, score: a.score,
+        emotionSummary: a.emotionSummary, emotionCause: a.emotionCause,
+        observedBehaviors: a.observedBehaviors, emotionTags,
+      },
+    }
+  })
+}
+
+// 학생 이름 매칭 근거 (POST /uploads/:id/log 409 UNRESOLVED_STUDENTS 의 candidates[].reason)
+export const STUDENT_MATCH_REASONS = {
+  exact: '같은 이름',
+  nickname: '별명',
+  given_name: '성 뺀 이름',
+  similar: '비슷한 이름',
+}
+
 export const INITIAL_ACTIVITY_DETAIL_MODAL = {
   open: false, loading: false, records: [], summary: null, analysisText: '', error: '',
 }